@@ -171,32 +171,23 @@ contract BondingCurve is ReentrancyGuard {
      * @param _token Address of the LaunchToken contract
      * @param _treasury Address to receive platform fees
      * @param _platformFeePercent Fee percentage in basis points
+     * @param _router DEX router used for graduation liquidity
      * 
-     * @notice Automatically detects network and sets appropriate router
+     * @notice The router comes from the factory's deployment config rather than the chain id
      */
     constructor(
         address _token,
         address _treasury,
-        uint256 _platformFeePercent
+        uint256 _platformFeePercent,
+        address _router
     ) {
+        require(_router != address(0), "Invalid router");
         token = LaunchToken(_token);
         factory = msg.sender;
         treasury = _treasury;
         platformFeePercent = _platformFeePercent;
         launchTime = block.timestamp;
-        
-        // Set router based on network for automatic graduation
-        uint256 chainId;
-        assembly { chainId := chainid() }
-        
-        if (chainId == 43113) {
-            traderJoeRouter = 0xE54Ca86531e17Ef3616d22Ca28b0D458b6C89106;
-        } else if (chainId == 43114) {
-            traderJoeRouter = 0x60aE616a2155Ee3d9A68541Ba4544862310933d4;
-        } else {
-            // Default to mainnet
-            traderJoeRouter = 0x60aE616a2155Ee3d9A68541Ba4544862310933d4;
-        }
+        traderJoeRouter = _router;
     }
     
     // ============ EXTERNAL TRADING FUNCTIONS ============
@@ -15,6 +15,7 @@ import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
  * - Metadata storage for frontend display
  * - Creator attribution and launch timestamp
  * - Social links storage (website, Twitter)
+ * - Optional metadata document URI for further links
  * 
  * @author FAIR Token Launch Platform
  * @notice This contract represents a token launched through the platform's bonding curve mechanism
@@ -50,6 +51,10 @@ contract LaunchToken is ERC20, ERC20Burnable {
     /// @notice Project Twitter/X URL
     string public twitter;
     
+    /// @notice URI of a JSON metadata document with further project links
+    /// @dev Usually ipfs://<cid>; empty when the token has none
+    string public metadataURI;
+    
     // ============ MODIFIERS ============
     
     /**
@@ -71,6 +76,7 @@ contract LaunchToken is ERC20, ERC20Burnable {
      * @param _creator Address of the token creator
      * @param _website Project website URL (optional)
      * @param _twitter Project Twitter/X URL (optional)
+     * @param _metadataURI Metadata document URI (optional)
      * 
      * @notice Minter must be set separately by the factory after deployment
      */
@@ -81,7 +87,8 @@ contract LaunchToken is ERC20, ERC20Burnable {
         string memory _imageUrl,
         address _creator,
         string memory _website,
-        string memory _twitter
+        string memory _twitter,
+        string memory _metadataURI
     ) ERC20(name, symbol) {
         description = _description;
         imageUrl = _imageUrl;
@@ -89,6 +96,7 @@ contract LaunchToken is ERC20, ERC20Burnable {
         launchTime = block.timestamp;
         website = _website;
         twitter = _twitter;
+        metadataURI = _metadataURI;
         // Note: Minter will be set by factory after deployment for security
     }
     
@@ -36,6 +36,9 @@ contract TokenFactory {
     /// @notice Treasury address for fee collection
     address public treasury;
     
+    /// @notice DEX router handed to new bonding curves for graduation liquidity
+    address public dexRouter;
+    
     /// @notice Platform fee percentage in basis points (e.g., 100 = 1%)
     uint256 public platformFeePercent = 100; // 1% default
     
@@ -79,6 +82,13 @@ contract TokenFactory {
         string twitter
     );
     
+    /**
+     * @notice Emitted after TokenCreated when the token references a metadata document
+     * @param token Address of the token
+     * @param metadataURI URI of the token's JSON metadata document
+     */
+    event TokenMetadataURI(address indexed token, string metadataURI);
+    
     /// @notice Emitted when platform fee is updated
     event PlatformFeeUpdated(uint256 newFee);
     
@@ -88,6 +98,9 @@ contract TokenFactory {
     /// @notice Emitted when treasury address is updated
     event TreasuryUpdated(address newTreasury);
     
+    /// @notice Emitted when the DEX router for new curves is updated
+    event DexRouterUpdated(address newRouter);
+    
     // ============ MODIFIERS ============
     
     /**
@@ -101,16 +114,19 @@ contract TokenFactory {
     // ============ CONSTRUCTOR ============
     
     /**
-     * @dev Initializes the factory with treasury address
+     * @dev Initializes the factory with treasury and DEX router addresses
      * @param _treasury Address to receive platform fees
+     * @param _dexRouter DEX router new bonding curves graduate into
      * 
      * @notice Sets deployer as initial owner
-     * @notice Treasury address cannot be zero
+     * @notice Treasury and router addresses cannot be zero
      */
-    constructor(address _treasury) {
+    constructor(address _treasury, address _dexRouter) {
         require(_treasury != address(0), "Invalid treasury");
+        require(_dexRouter != address(0), "Invalid router");
         owner = msg.sender;
         treasury = _treasury;
+        dexRouter = _dexRouter;
     }
     
     // ============ TOKEN CREATION ============
@@ -158,6 +174,42 @@ contract TokenFactory {
      * @return token Address of the newly created token
      * @return bondingCurve Address of the bonding curve contract
      * 
+     * @notice Use createTokenWithMetadata() to reference a metadata document with further links
+     */
+    function createTokenWithSocials(
+        string memory name,
+        string memory symbol,
+        string memory description,
+        string memory imageUrl,
+        string memory website,
+        string memory twitter,
+        uint256 initialBuyAmount
+    ) public payable returns (address token, address bondingCurve) {
+        return createTokenWithMetadata(
+            name,
+            symbol,
+            description,
+            imageUrl,
+            website,
+            twitter,
+            "", // no metadata document
+            initialBuyAmount
+        );
+    }
+    
+    /**
+     * @dev Creates a new token with bonding curve, social links and a metadata document
+     * @param name Token name (e.g., "My Awesome Token")
+     * @param symbol Token symbol (e.g., "MAT")
+     * @param description Human-readable description of the token
+     * @param imageUrl URL to token's image/logo
+     * @param website Project website URL (can be empty)
+     * @param twitter Project Twitter/X URL (can be empty)
+     * @param metadataURI URI of a JSON document with further project links (can be empty)
+     * @param initialBuyAmount Amount of FAIR to spend on initial token purchase
+     * @return token Address of the newly created token
+     * @return bondingCurve Address of the bonding curve contract
+     * 
      * Requirements:
      * - Must send at least tokenCreationFee + initialBuyAmount FAIR
      * - Name and symbol cannot be empty
@@ -172,15 +224,16 @@ contract TokenFactory {
      * 5. Update factory mappings and arrays
      * 6. Process initial token purchase if requested
      * 7. Send creation fee to treasury
-     * 8. Emit TokenCreated event
+     * 8. Emit TokenCreated (and TokenMetadataURI when a document is given)
      */
-    function createTokenWithSocials(
+    function createTokenWithMetadata(
         string memory name,
         string memory symbol,
         string memory description,
         string memory imageUrl,
         string memory website,
         string memory twitter,
+        string memory metadataURI,
         uint256 initialBuyAmount
     ) public payable returns (address token, address bondingCurve) {
         // Validate input parameters
@@ -196,7 +249,8 @@ contract TokenFactory {
             imageUrl,
             msg.sender, // Set creator as the caller
             website,
-            twitter
+            twitter,
+            metadataURI
         );
         token = address(newToken);
         
@@ -204,7 +258,8 @@ contract TokenFactory {
         BondingCurve newBondingCurve = new BondingCurve(
             token,
             treasury, // Fees go directly to treasury
-            platformFeePercent
+            platformFeePercent,
+            dexRouter
         );
         bondingCurve = address(newBondingCurve);
         
@@ -228,6 +283,9 @@ contract TokenFactory {
             website,
             twitter
         );
+        if (bytes(metadataURI).length > 0) {
+            emit TokenMetadataURI(token, metadataURI);
+        }
         
         // Process initial token purchase if requested
         if (initialBuyAmount > 0) {
@@ -292,6 +350,19 @@ contract TokenFactory {
         emit TreasuryUpdated(_treasury);
     }
     
+    /**
+     * @dev Updates the DEX router handed to newly created bonding curves
+     * @param _dexRouter New router address
+     * 
+     * @notice Only callable by owner
+     * @notice Existing curves keep their router; use updateTokenRouter for those
+     */
+    function setDexRouter(address _dexRouter) external onlyOwner {
+        require(_dexRouter != address(0), "Invalid router");
+        dexRouter = _dexRouter;
+        emit DexRouterUpdated(_dexRouter);
+    }
+    
     /**
      * @dev Updates the Trader Joe router for a specific token's bonding curve
      * @param token Address of the token
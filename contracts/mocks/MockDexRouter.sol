@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title MockDexRouter
+ * @dev Stand-in for the graduation DEX router on local devnets
+ * 
+ * Implements the single router call BondingCurve makes when a token graduates:
+ * it takes the tokens and FAIR, records the pool reserves and reports the
+ * whole deposit as liquidity. There is no trading against the pool.
+ * 
+ * @notice For local development only
+ */
+contract MockDexRouter {
+    
+    /// @notice Token and FAIR reserves deposited per token
+    mapping(address => uint256) public tokenReserves;
+    mapping(address => uint256) public fairReserves;
+    
+    /// @notice Emitted for every graduation liquidity deposit
+    event LiquidityAdded(address indexed token, uint256 amountToken, uint256 amountFAIR, address indexed to);
+    
+    /**
+     * @dev Mirrors ITraderJoeRouter.addLiquidityFAIR
+     * @return amountToken Tokens taken from the caller
+     * @return amountFAIR FAIR received with the call
+     * @return liquidity Mock LP amount, equal to the FAIR deposited
+     */
+    function addLiquidityFAIR(
+        address token,
+        uint amountTokenDesired,
+        uint amountTokenMin,
+        uint amountFAIRMin,
+        address to,
+        uint deadline
+    ) external payable returns (uint amountToken, uint amountFAIR, uint liquidity) {
+        require(block.timestamp <= deadline, "Expired");
+        require(amountTokenDesired >= amountTokenMin, "Insufficient token amount");
+        require(msg.value >= amountFAIRMin, "Insufficient FAIR amount");
+        
+        require(IERC20(token).transferFrom(msg.sender, address(this), amountTokenDesired), "Transfer failed");
+        
+        tokenReserves[token] += amountTokenDesired;
+        fairReserves[token] += msg.value;
+        
+        emit LiquidityAdded(token, amountTokenDesired, msg.value, to);
+        
+        return (amountTokenDesired, msg.value, msg.value);
+    }
+}
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { ethers } from 'ethers';
+import { createLaunchpadClient } from '../../src/lib/launchpadClient.js';
+import { plainTransport, connectBiteTransport } from '../../src/lib/transports.js';
+import { checkGasBalance, waitForGas, createFaucet } from '../../src/lib/gasFaucet.js';
+
+/**
+ * stealthly - launch and trade from the command line
+ * Runs the same client, ABIs and BITE encryption as the app and prints JSON.
+ * Amount arguments are decimal (FAIR or tokens); amounts printed are wei strings
+ */
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../..');
+const DEPLOYMENTS_DIR = path.join(ROOT, 'deployments');
+
+const USAGE = `Usage: stealthly <command> [arguments] [options]
+
+Commands:
+  list                              All tokens, newest first
+  info <token>                      One token read straight from its contracts
+  create --name --symbol --description [--image] [--website] [--twitter] [--metadata <uri>] [--initial-buy <FAIR>]
+  buy <token> <FAIR>                Buy from the token's bonding curve
+  sell <token> <amount|all>         Sell back to the curve, approving it first if needed
+  topup                             Get gas from the deployment's faucet if the account is short of it
+  watch                             Stream curve events as JSON lines until interrupted
+  deploy-block                      Find the block the factory was deployed at, for the deployment file
+
+Options:
+  --deployment <id>     Entry in deployments/ (default: $STEALTHLY_DEPLOYMENT or fair-testnet)
+  --rpc <url>           Override the deployment's RPC and BITE endpoint
+  --key <hex>           Private key (default: $STEALTHLY_PRIVATE_KEY)
+  --keystore <file>     Encrypted JSON keystore; password from $STEALTHLY_KEYSTORE_PASSWORD
+  --account <address>   Include balances for this address in list/info; the account to top up
+  --slippage <bps>      Slippage tolerance in basis points (default: 100)
+  --plain               Send transactions unencrypted instead of through BITE
+  --standing-allowance  Let sell approve the curve for any amount, so later sells are one transaction
+  --help                Show this message`;
+
+const OPTIONS = {
+  deployment: { type: 'string' },
+  rpc: { type: 'string' },
+  key: { type: 'string' },
+  keystore: { type: 'string' },
+  account: { type: 'string' },
+  slippage: { type: 'string' },
+  plain: { type: 'boolean', default: false },
+  'standing-allowance': { type: 'boolean', default: false },
+  name: { type: 'string' },
+  symbol: { type: 'string' },
+  description: { type: 'string' },
+  image: { type: 'string', default: '' },
+  website: { type: 'string', default: '' },
+  twitter: { type: 'string', default: '' },
+  metadata: { type: 'string', default: '' },
+  'initial-buy': { type: 'string', default: '0' },
+  help: { type: 'boolean', default: false }
+};
+
+class UsageError extends Error {}
+
+const print = (value) => {
+  console.log(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2));
+};
+
+const loadDeployment = (id, rpcOverride) => {
+  const file = path.join(DEPLOYMENTS_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    const known = fs.readdirSync(DEPLOYMENTS_DIR).filter((name) => name.endsWith('.json')).map((name) => name.slice(0, -5));
+    throw new UsageError(`Unknown deployment "${id}". Known: ${known.join(', ')}`);
+  }
+
+  const deployment = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (rpcOverride) {
+    deployment.rpcUrl = rpcOverride;
+    deployment.biteEndpoint = rpcOverride;
+  }
+  return deployment;
+};
+
+/**
+ * Wallet from --keystore or --key
+ * Nonces are tracked locally: the provider briefly caches the transaction
+ * count, which would hand a sell the nonce its approval just used
+ */
+const loadSigner = async (options, provider) => {
+  let wallet;
+  if (options.keystore) {
+    const password = process.env.STEALTHLY_KEYSTORE_PASSWORD;
+    if (password === undefined) {
+      throw new UsageError('Set STEALTHLY_KEYSTORE_PASSWORD to unlock the keystore');
+    }
+    wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(options.keystore, 'utf8'), password);
+  } else {
+    const key = options.key || process.env.STEALTHLY_PRIVATE_KEY;
+    if (!key) {
+      throw new UsageError('A signer is required: pass --key, --keystore or set STEALTHLY_PRIVATE_KEY');
+    }
+    wallet = new ethers.Wallet(key);
+  }
+
+  return new ethers.NonceManager(wallet.connect(provider));
+};
+
+const parseAmount = (value, label) => {
+  try {
+    const amount = ethers.parseEther(value);
+    if (amount > 0n) return amount;
+  } catch {
+    // Reported below
+  }
+  throw new UsageError(`Invalid ${label}: ${value}`);
+};
+
+const requireAddress = (value) => {
+  if (!value || !ethers.isAddress(value)) {
+    throw new UsageError(`Expected a token address, got ${value ?? 'nothing'}`);
+  }
+  return ethers.getAddress(value);
+};
+
+const parseSlippage = (value) => {
+  if (value === undefined) return undefined;
+  const bps = Number(value);
+  if (!Number.isInteger(bps) || bps < 0 || bps > 5000) {
+    throw new UsageError('--slippage must be whole basis points between 0 and 5000');
+  }
+  return bps;
+};
+
+/**
+ * Attach the signer and transport for commands that write
+ */
+const connectWriter = async (client, deployment, options) => {
+  const signer = await loadSigner(options, client.provider);
+  client.setSigner(signer);
+
+  if (options.plain) {
+    client.setTransport(plainTransport);
+  } else {
+    try {
+      client.setTransport(await connectBiteTransport(deployment.biteEndpoint, { gasOverhead: deployment.biteGasOverhead }));
+    } catch (error) {
+      throw new Error(`BITE encryption unavailable (${error.message}). Retry with --plain to send unencrypted`);
+    }
+  }
+
+  return { account: await signer.getAddress(), encrypted: !options.plain };
+};
+
+/**
+ * Sum the estimated fees of a command's transactions
+ */
+const trackFees = () => {
+  const fees = { total: 0n };
+  fees.onEstimate = ({ fee }) => {
+    fees.total += fee;
+  };
+  return fees;
+};
+
+/**
+ * First block at which `address` has code, by bisecting eth_getCode
+ * Needs a node that serves historical state
+ */
+const findDeployBlock = async (provider, address) => {
+  let high = await provider.getBlockNumber();
+  if ((await provider.getCode(address, high)) === '0x') {
+    throw new Error(`No contract at ${address}`);
+  }
+
+  let low = 0;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await provider.getCode(address, middle)) === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+const commands = {
+  list: async ({ client, options }) => {
+    print(await client.listTokens({ account: options.account }));
+  },
+
+  info: async ({ client, options, args }) => {
+    print(await client.getToken(requireAddress(args[0]), { account: options.account }));
+  },
+
+  create: async ({ client, deployment, options }) => {
+    for (const field of ['name', 'symbol', 'description']) {
+      if (!options[field]) throw new UsageError(`create requires --${field}`);
+    }
+
+    const initialBuy = options['initial-buy'] === '0' ? 0n : parseAmount(options['initial-buy'], '--initial-buy');
+    const writer = await connectWriter(client, deployment, options);
+    const fees = trackFees();
+    const result = await client.createToken({
+      name: options.name,
+      symbol: options.symbol,
+      description: options.description,
+      imageUrl: options.image,
+      website: options.website,
+      twitter: options.twitter,
+      metadataUri: options.metadata,
+      initialBuy,
+      onEstimate: fees.onEstimate
+    });
+
+    print({
+      ...writer,
+      hash: result.receipt.hash,
+      estimatedFee: fees.total,
+      tokenAddress: result.tokenAddress,
+      bondingCurveAddress: result.bondingCurveAddress
+    });
+  },
+
+  buy: async ({ client, deployment, options, args }) => {
+    const token = await client.getToken(requireAddress(args[0]));
+    const amount = parseAmount(args[1] ?? '', 'buy amount');
+    const writer = await connectWriter(client, deployment, options);
+    const fees = trackFees();
+    const result = await client.buy(token, amount, {
+      slippageBps: parseSlippage(options.slippage),
+      onEstimate: fees.onEstimate
+    });
+
+    print({
+      ...writer,
+      hash: result.receipt.hash,
+      estimatedFee: fees.total,
+      token: token.address,
+      spent: amount,
+      expectedTokens: result.expectedTokens,
+      minTokensOut: result.minTokensOut
+    });
+  },
+
+  sell: async ({ client, deployment, options, args }) => {
+    const tokenAddress = requireAddress(args[0]);
+    const writer = await connectWriter(client, deployment, options);
+    const token = await client.getToken(tokenAddress, { account: writer.account });
+
+    const amount = args[1] === 'all' ? token.userBalance : parseAmount(args[1] ?? '', 'sell amount');
+    if (amount === 0n || amount > token.userBalance) {
+      throw new UsageError(`Balance is ${ethers.formatEther(token.userBalance)} ${token.symbol}`);
+    }
+
+    const fees = trackFees();
+    const result = await client.sell(token, amount, {
+      slippageBps: parseSlippage(options.slippage),
+      standingAllowance: options['standing-allowance'],
+      onEstimate: fees.onEstimate
+    });
+
+    print({
+      ...writer,
+      hash: result.receipt.hash,
+      estimatedFee: fees.total,
+      token: token.address,
+      sold: amount,
+      approvalSent: result.approvalSent,
+      expectedOut: result.expectedOut,
+      minOut: result.minOut
+    });
+  },
+
+  topup: async ({ client, deployment, options }) => {
+    const faucet = createFaucet(deployment.faucet);
+    if (!faucet) {
+      throw new Error(`Deployment "${deployment.id}" has no faucet`);
+    }
+
+    const account = options.account
+      ? requireAddress(options.account)
+      : await (await loadSigner(options, client.provider)).getAddress();
+    const before = await checkGasBalance(client.provider, account);
+    const { hash } = before.sufficient ? { hash: null } : await faucet.request(account, { provider: client.provider });
+    const after = before.sufficient ? before : await waitForGas(client.provider, account);
+
+    print({
+      account,
+      toppedUp: !before.sufficient,
+      hash,
+      balance: after.balance,
+      reserve: after.reserve,
+      sufficient: after.sufficient
+    });
+  },
+
+  'deploy-block': async ({ client }) => {
+    print({
+      factoryAddress: client.factoryAddress,
+      deployBlock: await findDeployBlock(client.provider, client.factoryAddress)
+    });
+  },
+
+  watch: async ({ client }) => {
+    await client.listTokens();
+
+    const unsubscribe = client.subscribe({
+      onEvent: ({ curveAddress, event, log }) => {
+        console.log(JSON.stringify({
+          curve: curveAddress,
+          event: event.name,
+          args: Object.fromEntries(Object.entries(event.args.toObject()).map(([key, value]) => [key, String(value)])),
+          block: log.blockNumber,
+          transactionHash: log.transactionHash
+        }));
+      },
+      onModeChange: (mode) => console.error(`Watching curve events (${mode})`)
+    });
+
+    // New launches are picked up by re-listing now and then
+    const relist = setInterval(() => {
+      client.listTokens().catch((error) => console.error('Token refresh failed:', error.message));
+    }, 30000);
+
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    clearInterval(relist);
+    unsubscribe();
+  }
+};
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const deployment = loadDeployment(options.deployment || process.env.STEALTHLY_DEPLOYMENT || 'fair-testnet', options.rpc);
+  const provider = new ethers.JsonRpcProvider(deployment.rpcUrl);
+  const client = createLaunchpadClient({
+    provider,
+    rpcUrl: deployment.rpcUrl,
+    factoryAddress: deployment.factoryAddress,
+    deployBlock: deployment.deployBlock,
+    wsUrl: deployment.wsUrl,
+    gasMarginBps: deployment.gasMarginBps
+  });
+
+  try {
+    await commands[command]({ client, deployment, options, args });
+  } finally {
+    provider.destroy();
+  }
+};
+
+main().then(
+  () => process.exit(0),
+  (error) => {
+    console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Error: ${error.shortMessage || error.message}`);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,211 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { ethers } from 'ethers';
+import { bn254 } from '@noble/curves/bn254';
+
+/**
+ * Stand-in BITE endpoint for the local devnet
+ * A JSON-RPC proxy in front of the local node that serves a committee key for
+ * bite_getCommitteesInfo, so the real `encryptTransaction` runs unchanged, and
+ * executes encrypted transactions by decrypting them and replaying the inner
+ * call as the sender (the node must support hardhat_impersonateAccount, which
+ * both anvil and hardhat do)
+ */
+
+export const BITE_ADDRESS = '0x42495445204D452049274d20454e435259505444';
+
+// Fixed so ciphertexts from one run stay decryptable in the next
+const DEFAULT_SECRET_KEY = 0x5eed_b17en;
+
+const G2 = bn254.G2.ProjectivePoint;
+const Fp2 = bn254.fields.Fp2;
+
+const toWord = (value) => value.toString(16).padStart(64, '0');
+
+/**
+ * Committee for a BLS secret key: the key itself plus the public key in the
+ * 256-hex-char G2 form bite_getCommitteesInfo returns
+ */
+export const createCommittee = (secretKey = DEFAULT_SECRET_KEY) => {
+  const publicKey = G2.BASE.multiply(secretKey).toAffine();
+  return {
+    secretKey,
+    epochId: 0,
+    commonBLSPublicKey: toWord(publicKey.x.c0) + toWord(publicKey.x.c1) + toWord(publicKey.y.c0) + toWord(publicKey.y.c1)
+  };
+};
+
+const readG2 = (bytes, offset) => {
+  const word = (index) => BigInt(ethers.hexlify(bytes.subarray(offset + index * 32, offset + (index + 1) * 32)));
+  return G2.fromAffine({
+    x: Fp2.create({ c0: word(0), c1: word(1) }),
+    y: Fp2.create({ c0: word(2), c1: word(3) })
+  });
+};
+
+// Ciphertext layout from t-encrypt: version byte, U (G2), masked AES key V,
+// W (G1), then AES-256-GCM iv | ciphertext | tag
+const U_OFFSET = 1;
+const V_OFFSET = 129;
+const GCM_OFFSET = 225;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const decryptPayload = (secretKey, payload) => {
+  const shared = readG2(payload, U_OFFSET).multiply(secretKey).toAffine();
+  const digest = crypto.createHash('sha256')
+    .update(`${shared.x.c0}${shared.x.c1}${shared.y.c0}${shared.y.c1}`)
+    .digest('hex');
+  // The mask is the first 32 characters of the hex digest, not its bytes
+  const mask = Buffer.from(digest.slice(0, 32), 'latin1');
+  const aesKey = Buffer.from(payload.subarray(V_OFFSET, V_OFFSET + 32).map((byte, i) => byte ^ mask[i]));
+
+  const iv = payload.subarray(GCM_OFFSET, GCM_OFFSET + IV_LENGTH);
+  const tag = payload.subarray(payload.length - TAG_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', aesKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(payload.subarray(GCM_OFFSET + IV_LENGTH, payload.length - TAG_LENGTH)),
+    decipher.final()
+  ]);
+};
+
+// The plaintext carries trailing padding after the RLP item
+const rlpItemLength = (bytes) => {
+  const prefix = bytes[0];
+  if (prefix < 0xc0) throw new Error('Encrypted payload is not an RLP list');
+  if (prefix <= 0xf7) return 1 + prefix - 0xc0;
+  const lengthBytes = prefix - 0xf7;
+  return 1 + lengthBytes + Number(BigInt(ethers.hexlify(bytes.subarray(1, 1 + lengthBytes))));
+};
+
+/**
+ * Recover the original { to, data } from an encrypted transaction's data field
+ * (t-encrypt wraps them as RLP [data, to])
+ */
+export const decryptTransactionData = (committee, data) => {
+  const [, ciphertext] = ethers.decodeRlp(data);
+  const plaintext = decryptPayload(committee.secretKey, ethers.getBytes(ciphertext));
+  const [innerData, to] = ethers.decodeRlp(plaintext.subarray(0, rlpItemLength(plaintext)));
+  return { to: ethers.getAddress(to), data: innerData };
+};
+
+const rpcError = (id, message, code = -32000) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+/**
+ * Start the proxy
+ * @returns { server, committee, close }
+ */
+export const startBiteMock = ({ upstreamUrl, port, secretKey, log = console.log }) => {
+  const committee = createCommittee(secretKey);
+  // Original (encrypted) tx hash -> hash of the replayed inner call
+  const replayed = new Map();
+  let nextId = 1;
+
+  const upstream = async (method, params = []) => {
+    const response = await fetch(upstreamUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params })
+    });
+    const body = await response.json();
+    if (body.error) throw new Error(body.error.message);
+    return body.result;
+  };
+
+  const executeEncrypted = async (tx) => {
+    const inner = decryptTransactionData(committee, tx.data);
+    await upstream('hardhat_impersonateAccount', [tx.from]);
+    try {
+      const hash = await upstream('eth_sendTransaction', [{
+        from: tx.from,
+        to: inner.to,
+        data: inner.data,
+        value: ethers.toQuantity(tx.value),
+        gas: ethers.toQuantity(tx.gasLimit),
+        nonce: ethers.toQuantity(tx.nonce)
+      }]);
+      replayed.set(tx.hash, hash);
+      log(`bite: ${tx.hash.slice(0, 10)}… decrypted -> ${inner.to} (${inner.data.slice(0, 10)}) as ${hash.slice(0, 10)}…`);
+      return tx.hash;
+    } finally {
+      await upstream('hardhat_stopImpersonatingAccount', [tx.from]).catch(() => {});
+    }
+  };
+
+  // Wallets and the app track the hash they signed; report the replay under it
+  const withOriginalHash = (original, result) => {
+    if (!result) return result;
+    const rewritten = { ...result };
+    if ('transactionHash' in rewritten) rewritten.transactionHash = original;
+    if ('hash' in rewritten) rewritten.hash = original;
+    if (Array.isArray(rewritten.logs)) {
+      rewritten.logs = rewritten.logs.map((entry) => ({ ...entry, transactionHash: original }));
+    }
+    return rewritten;
+  };
+
+  const handle = async ({ id, method, params = [] }) => {
+    try {
+      if (method === 'bite_getCommitteesInfo') {
+        return { jsonrpc: '2.0', id, result: [{ commonBLSPublicKey: committee.commonBLSPublicKey, epochId: committee.epochId }] };
+      }
+
+      if (method === 'eth_sendRawTransaction') {
+        const tx = ethers.Transaction.from(params[0]);
+        if (tx.to && tx.to.toLowerCase() === BITE_ADDRESS.toLowerCase()) {
+          return { jsonrpc: '2.0', id, result: await executeEncrypted(tx) };
+        }
+      }
+
+      if ((method === 'eth_getTransactionReceipt' || method === 'eth_getTransactionByHash') && replayed.has(params[0])) {
+        const result = await upstream(method, [replayed.get(params[0])]);
+        return { jsonrpc: '2.0', id, result: withOriginalHash(params[0], result) };
+      }
+
+      return { jsonrpc: '2.0', id, result: await upstream(method, params) };
+    } catch (error) {
+      return rpcError(id, error.message);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify(rpcError(null, 'Parse error', -32700)));
+        return;
+      }
+      // The app's read batcher sends JSON-RPC batches
+      const result = Array.isArray(payload) ? await Promise.all(payload.map(handle)) : await handle(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(result));
+    });
+  });
+
+  server.listen(port);
+
+  return {
+    server,
+    committee,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const upstreamUrl = process.env.DEVNET_RPC || 'http://127.0.0.1:8545';
+  const port = Number(process.env.BITE_MOCK_PORT || 8546);
+  startBiteMock({ upstreamUrl, port });
+  console.log(`Mock BITE endpoint on http://127.0.0.1:${port}, proxying ${upstreamUrl}`);
+}
@@ -0,0 +1,78 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import solc from 'solc';
+
+/**
+ * Contract compilation for the local devnet
+ * Builds everything under contracts/ with solc-js and writes one
+ * { abi, bytecode } artifact per contract to artifacts/
+ */
+
+const require = createRequire(import.meta.url);
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../..');
+const CONTRACTS_DIR = path.join(ROOT, 'contracts');
+export const ARTIFACTS_DIR = path.join(ROOT, 'artifacts');
+
+const readSource = (file) => fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+
+const collectSources = (dir, sources = {}) => {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      collectSources(file, sources);
+    } else if (entry.name.endsWith('.sol')) {
+      sources[path.relative(ROOT, file)] = { content: readSource(file) };
+    }
+  }
+  return sources;
+};
+
+// Package imports (@openzeppelin/...) resolve from node_modules
+const findImport = (importPath) => {
+  try {
+    return { contents: readSource(require.resolve(importPath)) };
+  } catch {
+    return { error: `File not found: ${importPath}` };
+  }
+};
+
+/**
+ * Compile all contracts and write their artifacts
+ * @returns Map of contract name to { abi, bytecode }
+ */
+export const compileContracts = () => {
+  const input = {
+    language: 'Solidity',
+    sources: collectSources(CONTRACTS_DIR),
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+  const errors = (output.errors || []).filter((error) => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Compilation failed:\n${errors.map((error) => error.formattedMessage).join('\n')}`);
+  }
+
+  fs.mkdirSync(ARTIFACTS_DIR, { recursive: true });
+  const artifacts = {};
+
+  for (const [source, contracts] of Object.entries(output.contracts)) {
+    if (!source.startsWith('contracts')) continue;
+    for (const [name, contract] of Object.entries(contracts)) {
+      if (!contract.evm.bytecode.object) continue; // interfaces
+      artifacts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+      fs.writeFileSync(path.join(ARTIFACTS_DIR, `${name}.json`), JSON.stringify(artifacts[name], null, 2));
+    }
+  }
+
+  return artifacts;
+};
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const artifacts = compileContracts();
+  console.log(`Compiled ${Object.keys(artifacts).join(', ')} into ${path.relative(process.cwd(), ARTIFACTS_DIR)}/`);
+}
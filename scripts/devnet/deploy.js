@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { ethers } from 'ethers';
+import { compileContracts } from './compile.js';
+
+/**
+ * Local devnet deployment
+ * Deploys MockDexRouter and TokenFactory to the local node, then writes the
+ * result to deployments/local.json and points .env.local at it
+ */
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../..');
+const DEPLOYMENT_FILE = path.join(ROOT, 'deployments', 'local.json');
+const ENV_FILE = path.join(ROOT, '.env.local');
+
+// First prefunded account of both anvil and hardhat node
+export const DEFAULT_DEPLOYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+// These override the default deployment's fields (see src/lib/deployments.js)
+const OVERRIDE_KEYS = [
+  'VITE_FACTORY_ADDRESS',
+  'VITE_SKALE_ENDPOINT',
+  'VITE_BITE_ENDPOINT',
+  'VITE_SKALE_WS_ENDPOINT',
+  'VITE_FACTORY_DEPLOY_BLOCK',
+  'VITE_CHAIN_ID',
+  'VITE_CHAIN_NAME',
+  'VITE_EXPLORER_URL'
+];
+
+const deployContract = async (artifact, signer, args = []) => {
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const contract = await factory.deploy(...args);
+  const receipt = await contract.deploymentTransaction().wait();
+  return { address: await contract.getAddress(), blockNumber: receipt.blockNumber };
+};
+
+/**
+ * Make the local deployment the app's default
+ * Overrides meant for another network are commented out rather than deleted
+ */
+const writeEnvFile = () => {
+  const lines = fs.existsSync(ENV_FILE) ? fs.readFileSync(ENV_FILE, 'utf8').split('\n') : [];
+  const updated = lines
+    .filter((line) => !line.startsWith('VITE_DEPLOYMENT='))
+    .map((line) => (OVERRIDE_KEYS.some((key) => line.startsWith(`${key}=`)) ? `# ${line}` : line));
+
+  while (updated.length > 0 && updated[updated.length - 1] === '') updated.pop();
+  updated.push('VITE_DEPLOYMENT=local', '');
+  fs.writeFileSync(ENV_FILE, updated.join('\n'));
+};
+
+/**
+ * Deploy the platform and write the app configuration
+ * @param nodeUrl JSON-RPC URL of the local node
+ * @param appRpcUrl URL the app and wallets should use (the mock BITE proxy)
+ * @param faucetUrl Optional gas faucet for fresh wallets (see faucet.js)
+ */
+export const deployDevnet = async ({ nodeUrl, appRpcUrl, faucetUrl = '', privateKey = DEFAULT_DEPLOYER_KEY }) => {
+  const artifacts = compileContracts();
+  const provider = new ethers.JsonRpcProvider(nodeUrl);
+  const deployer = new ethers.NonceManager(new ethers.Wallet(privateKey, provider));
+  const deployerAddress = await deployer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const router = await deployContract(artifacts.MockDexRouter, deployer);
+  const factory = await deployContract(artifacts.TokenFactory, deployer, [deployerAddress, router.address]);
+
+  const deployment = {
+    id: 'local',
+    chainName: 'Local Devnet',
+    chainId: Number(chainId),
+    rpcUrl: appRpcUrl,
+    wsUrl: '',
+    biteEndpoint: appRpcUrl,
+    factoryAddress: factory.address,
+    deployBlock: factory.blockNumber,
+    dexRouter: router.address,
+    explorerUrl: '',
+    nativeSymbol: 'FAIR',
+    ...(faucetUrl ? { faucet: { type: 'http', url: faucetUrl } } : {})
+  };
+
+  fs.writeFileSync(DEPLOYMENT_FILE, `${JSON.stringify(deployment, null, 2)}\n`);
+  writeEnvFile();
+
+  return deployment;
+};
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const nodeUrl = process.env.DEVNET_RPC || 'http://127.0.0.1:8545';
+  const appRpcUrl = `http://127.0.0.1:${process.env.BITE_MOCK_PORT || 8546}`;
+  const faucetUrl = `http://127.0.0.1:${process.env.FAUCET_PORT || 8547}`;
+  const deployment = await deployDevnet({ nodeUrl, appRpcUrl, faucetUrl, privateKey: process.env.DEVNET_PRIVATE_KEY });
+  console.log(JSON.stringify(deployment, null, 2));
+}
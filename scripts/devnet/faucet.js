@@ -0,0 +1,89 @@
+import http from 'node:http';
+import { ethers } from 'ethers';
+import { DEFAULT_DEPLOYER_KEY } from './deploy.js';
+
+/**
+ * Local gas faucet
+ * Stands in for a chain's sFUEL distribution endpoint: POST { "address" } and
+ * the funded dev account sends it a little gas money, unless it already has some
+ */
+
+const DEFAULT_AMOUNT = ethers.parseEther('0.05');
+
+const reply = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+};
+
+/**
+ * Start the faucet
+ * @returns { server, close }
+ */
+export const startFaucet = ({
+  nodeUrl,
+  port,
+  privateKey = DEFAULT_DEPLOYER_KEY,
+  amount = DEFAULT_AMOUNT,
+  log = console.log
+}) => {
+  const provider = new ethers.JsonRpcProvider(nodeUrl);
+  const funder = new ethers.NonceManager(new ethers.Wallet(privateKey, provider));
+
+  const fund = async (address) => {
+    if ((await provider.getBalance(address)) >= amount) {
+      return { hash: null, funded: false };
+    }
+    const response = await funder.sendTransaction({ to: address, value: amount });
+    await response.wait();
+    log(`faucet: sent ${ethers.formatEther(amount)} to ${address}`);
+    return { hash: response.hash, funded: true };
+  };
+
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      reply(res, 405, { error: 'POST { "address": "0x..." }' });
+      return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      let address;
+      try {
+        address = ethers.getAddress(JSON.parse(body).address);
+      } catch {
+        reply(res, 400, { error: 'Expected { "address": "0x..." }' });
+        return;
+      }
+
+      try {
+        reply(res, 200, await fund(address));
+      } catch (error) {
+        reply(res, 500, { error: error.shortMessage || error.message });
+      }
+    });
+  });
+
+  server.listen(port);
+
+  return {
+    server,
+    close: () => new Promise((resolve) => {
+      provider.destroy();
+      server.close(resolve);
+    })
+  };
+};
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const nodeUrl = process.env.DEVNET_RPC || 'http://127.0.0.1:8545';
+  const port = Number(process.env.FAUCET_PORT || 8547);
+  startFaucet({ nodeUrl, port, privateKey: process.env.DEVNET_PRIVATE_KEY || DEFAULT_DEPLOYER_KEY });
+  console.log(`Gas faucet on http://127.0.0.1:${port}, funding from ${nodeUrl}`);
+}
@@ -0,0 +1,92 @@
+import { spawn } from 'node:child_process';
+import { ethers } from 'ethers';
+import { deployDevnet, DEFAULT_DEPLOYER_KEY } from './deploy.js';
+import { startBiteMock } from './biteMock.js';
+import { startFaucet } from './faucet.js';
+
+/**
+ * Local development stack
+ * Starts anvil (unless DEVNET_RPC already answers), deploys the contracts,
+ * writes the app config and serves the mock BITE endpoint and gas faucet
+ * until interrupted
+ */
+
+const NODE_PORT = Number(process.env.DEVNET_PORT || 8545);
+const BITE_PORT = Number(process.env.BITE_MOCK_PORT || 8546);
+const FAUCET_PORT = Number(process.env.FAUCET_PORT || 8547);
+const NODE_URL = process.env.DEVNET_RPC || `http://127.0.0.1:${NODE_PORT}`;
+const APP_RPC_URL = `http://127.0.0.1:${BITE_PORT}`;
+const FAUCET_URL = `http://127.0.0.1:${FAUCET_PORT}`;
+
+const isNodeUp = async () => {
+  try {
+    await new ethers.JsonRpcProvider(NODE_URL, undefined, { staticNetwork: true }).getBlockNumber();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const waitForNode = async (timeoutMs = 15000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await isNodeUp()) return;
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(`Local node did not come up at ${NODE_URL}`);
+};
+
+const startAnvil = () => {
+  const anvil = spawn('anvil', ['--port', String(NODE_PORT), '--silent'], { stdio: 'inherit' });
+  anvil.on('error', (error) => {
+    if (error.code === 'ENOENT') {
+      console.error('anvil not found. Install Foundry (https://getfoundry.sh) or start another node and set DEVNET_RPC.');
+    } else {
+      console.error('anvil failed:', error.message);
+    }
+    process.exit(1);
+  });
+  return anvil;
+};
+
+const main = async () => {
+  let anvil = null;
+  if (await isNodeUp()) {
+    console.log(`Using node at ${NODE_URL}`);
+  } else {
+    anvil = startAnvil();
+    await waitForNode();
+    console.log(`Started anvil on ${NODE_URL}`);
+  }
+
+  const deployment = await deployDevnet({ nodeUrl: NODE_URL, appRpcUrl: APP_RPC_URL, faucetUrl: FAUCET_URL });
+  const mock = startBiteMock({ upstreamUrl: NODE_URL, port: BITE_PORT });
+  const faucet = startFaucet({ nodeUrl: NODE_URL, port: FAUCET_PORT });
+
+  const deployer = new ethers.Wallet(DEFAULT_DEPLOYER_KEY);
+  console.log(`
+Devnet ready (chain ${deployment.chainId})
+  TokenFactory   ${deployment.factoryAddress}
+  MockDexRouter  ${deployment.dexRouter}
+  RPC + BITE     ${APP_RPC_URL}
+  Gas faucet     ${FAUCET_URL}
+
+deployments/local.json written and .env.local set to VITE_DEPLOYMENT=local.
+Add ${APP_RPC_URL} as a network in your wallet and import the funded dev account
+${deployer.address} (key ${DEFAULT_DEPLOYER_KEY}), then run \`npm run dev\`.
+`);
+
+  const shutdown = async () => {
+    await mock.close();
+    await faucet.close();
+    if (anvil) anvil.kill();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
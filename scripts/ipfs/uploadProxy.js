@@ -0,0 +1,205 @@
+import http from 'node:http';
+import { getImageType, ACCEPTED_IMAGE_TYPES } from '../../src/lib/images.js';
+
+/**
+ * IPFS upload proxy
+ * The browser build must not hold a pinning service's credentials: every
+ * VITE_* variable ends up in the public bundle. Point VITE_IPFS_API_URL here
+ * instead. It accepts the app's /api/v0/add uploads and forwards them to the
+ * real API with the token it keeps server-side. Anyone can reach it with curl,
+ * so it only takes what the app uploads: one size-capped token image or
+ * metadata document per request, a few per minute per address
+ */
+
+const ADD_PATH = '/api/v0/add';
+// Images are resized to 512px before upload and metadata documents are tiny
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_RATE_LIMIT = { uploads: 10, windowMs: 60 * 1000 };
+const JSON_TYPE = 'application/json';
+
+const reply = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+};
+
+/**
+ * The single file part of a multipart/form-data body
+ * @returns {{ type: string, content: Buffer }|null} null for anything else
+ */
+const readFilePart = (contentType, body) => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!/^multipart\/form-data/i.test(contentType || '') || !boundary) return null;
+
+  const delimiter = `--${boundary[1] || boundary[2]}`;
+  const parts = body.toString('latin1').split(delimiter).slice(1, -1);
+  if (parts.length !== 1) return null;
+
+  // Each part is \r\n<headers>\r\n\r\n<content>\r\n
+  const part = parts[0];
+  const headerEnd = part.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return null;
+  const headers = part.slice(2, headerEnd);
+  if (!/name="file"/i.test(headers)) return null;
+
+  return {
+    type: (/^content-type:\s*([^\r\n;]+)/im.exec(headers)?.[1] || '').trim().toLowerCase(),
+    content: Buffer.from(part.slice(headerEnd + 4, -2), 'latin1')
+  };
+};
+
+/**
+ * Whether a file is a token image or a metadata document, by its content
+ * rather than the type it claims
+ */
+const isAccepted = ({ type, content }) => {
+  if (type === JSON_TYPE) {
+    try {
+      const document = JSON.parse(content.toString('utf8'));
+      return !!document && typeof document === 'object' && !Array.isArray(document);
+    } catch {
+      return false;
+    }
+  }
+  return ACCEPTED_IMAGE_TYPES.includes(type) && getImageType(content.subarray(0, 12)) === type;
+};
+
+/**
+ * Fixed-window upload counter per client address
+ * @returns {(address: string) => boolean} Whether the address may upload now
+ */
+const createRateLimiter = ({ uploads, windowMs }) => {
+  const windows = new Map();
+
+  return (address) => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+
+    const window = windows.get(address) ?? { count: 0, resetAt: now + windowMs };
+    windows.set(address, window);
+    window.count += 1;
+    return window.count <= uploads;
+  };
+};
+
+/**
+ * Start the proxy
+ * @param apiUrl Upstream IPFS HTTP API root, e.g. a pinning service
+ * @param token Upstream bearer token; never sent to the browser
+ * @param allowedOrigin Origin of the app (CORS), e.g. https://launch.example.com. Required
+ * @param rateLimit { uploads, windowMs } allowed per client address
+ * @param trustProxy Take the client address from X-Forwarded-For, when behind a reverse proxy
+ * @returns { server, close }
+ */
+export const startUploadProxy = ({
+  port,
+  apiUrl,
+  token = '',
+  allowedOrigin,
+  maxBytes = DEFAULT_MAX_BYTES,
+  rateLimit = DEFAULT_RATE_LIMIT,
+  trustProxy = false,
+  log = console.log
+}) => {
+  if (!allowedOrigin || allowedOrigin === '*') {
+    throw new Error('The upload proxy needs the app\'s origin, not "*"');
+  }
+
+  const upstream = `${apiUrl.replace(/\/+$/, '')}${ADD_PATH}?cid-version=1&pin=true`;
+  const allowUpload = createRateLimiter(rateLimit);
+
+  const clientAddress = (req) => {
+    const forwarded = trustProxy && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+  };
+
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Vary', 'Origin');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    if (req.method !== 'POST' || new URL(req.url, 'http://proxy').pathname !== ADD_PATH) {
+      reply(res, 404, { error: `POST ${ADD_PATH}` });
+      return;
+    }
+    // Browsers always say where they upload from; other pages get no further
+    if (req.headers.origin && req.headers.origin !== allowedOrigin) {
+      reply(res, 403, { error: 'Origin not allowed' });
+      return;
+    }
+    if (!allowUpload(clientAddress(req))) {
+      reply(res, 429, { error: 'Too many uploads, try again in a minute' });
+      return;
+    }
+    if (Number(req.headers['content-length'] || 0) > maxBytes) {
+      reply(res, 413, { error: 'Upload too large' });
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reply(res, 413, { error: 'Upload too large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks);
+      const file = readFilePart(req.headers['content-type'], body);
+      if (!file || !isAccepted(file)) {
+        reply(res, 415, { error: `Only ${[...ACCEPTED_IMAGE_TYPES, JSON_TYPE].join(', ')} files` });
+        return;
+      }
+
+      try {
+        // The multipart body goes through as is, boundary and all
+        const response = await fetch(upstream, {
+          method: 'POST',
+          headers: {
+            'Content-Type': req.headers['content-type'],
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+          },
+          body
+        });
+        const text = await response.text();
+        if (!response.ok) log(`ipfs proxy: upstream answered ${response.status}`);
+        res.writeHead(response.status, { 'Content-Type': 'application/json' }).end(text);
+      } catch (error) {
+        reply(res, 502, { error: `Upstream unreachable: ${error.message}` });
+      }
+    });
+  });
+
+  server.listen(port);
+
+  return {
+    server,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const apiUrl = process.env.IPFS_UPSTREAM_URL;
+  const allowedOrigin = process.env.IPFS_ALLOWED_ORIGIN;
+  if (!apiUrl || !allowedOrigin) {
+    console.error('Set IPFS_UPSTREAM_URL and IPFS_ALLOWED_ORIGIN (and IPFS_API_TOKEN for a pinning service)');
+    process.exit(1);
+  }
+  const port = Number(process.env.IPFS_PROXY_PORT || 5002);
+  startUploadProxy({
+    port,
+    apiUrl,
+    token: process.env.IPFS_API_TOKEN || '',
+    allowedOrigin,
+    trustProxy: process.env.IPFS_TRUST_PROXY === '1'
+  });
+  console.log(`IPFS upload proxy on http://127.0.0.1:${port} for ${allowedOrigin}, forwarding to ${apiUrl}`);
+}
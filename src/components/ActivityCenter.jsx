@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { History, Lock, Eye, ExternalLink, RefreshCw, X } from 'lucide-react';
+import { getTransactionUrl } from '../lib/activity.js';
+import { STANDING_ALLOWANCE } from '../lib/allowance.js';
+import { formatTokenAmount, formatEthAmount, formatAddress, formatTimeAgo } from '../lib/format.js';
+
+const KIND_LABELS = {
+  create: 'Create',
+  approve: 'Approve',
+  buy: 'Buy',
+  sell: 'Sell'
+};
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+  dropped: 'Dropped'
+};
+
+/**
+ * What the transaction did, or what it was sent to do while pending
+ */
+const describeOutcome = (entry, nativeSymbol) => {
+  const { kind, outcome, amount, tokenSymbol } = entry;
+
+  if (kind === 'create') {
+    if (outcome?.tokenAddress) return `Launched at ${formatAddress(outcome.tokenAddress)}`;
+    return amount !== '0' ? `Initial buy of ${formatEthAmount(amount)} ${nativeSymbol}` : '';
+  }
+  if (kind === 'approve') {
+    if (BigInt(amount) === STANDING_ALLOWANCE) return `Standing allowance for ${tokenSymbol}`;
+    return `Allow the curve to take ${formatTokenAmount(amount)} ${tokenSymbol}`;
+  }
+  if (kind === 'buy') {
+    if (outcome) {
+      return `${formatEthAmount(outcome.spent)} ${nativeSymbol} → ${formatTokenAmount(outcome.received)} ${tokenSymbol}`;
+    }
+    return `Spend ${formatEthAmount(amount)} ${nativeSymbol}`;
+  }
+  if (kind === 'sell') {
+    if (outcome) {
+      return `${formatTokenAmount(outcome.sold)} ${tokenSymbol} → ${formatEthAmount(outcome.received)} ${nativeSymbol}`;
+    }
+    return `Sell ${formatTokenAmount(amount)} ${tokenSymbol}`;
+  }
+  return '';
+};
+
+/**
+ * Activity Center Component
+ * Header dropdown listing the transactions sent from this browser, newest
+ * first, with pending ones counted on the button
+ */
+function ActivityCenter({ entries, explorerUrl, nativeSymbol, onClear }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const pendingCount = entries.filter((entry) => entry.status === 'pending').length;
+
+  return (
+    <div className="activity-center">
+      <button
+        className="activity-button"
+        onClick={() => setIsOpen((open) => !open)}
+        title="Recent activity"
+        aria-label="Recent activity"
+        aria-expanded={isOpen}
+      >
+        <History className="activity-button-icon" />
+        {pendingCount > 0 && <span className="activity-pending-count">{pendingCount}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="activity-panel" role="dialog" aria-label="Recent activity">
+          <div className="activity-panel-header">
+            <h3>Recent Activity</h3>
+            <div className="activity-panel-actions">
+              {entries.some((entry) => entry.status !== 'pending') && (
+                <button className="activity-clear-button" onClick={onClear}>
+                  Clear
+                </button>
+              )}
+              <button className="activity-close-button" onClick={() => setIsOpen(false)} aria-label="Close">
+                <X className="activity-close-icon" />
+              </button>
+            </div>
+          </div>
+
+          {entries.length === 0 ? (
+            <p className="activity-empty">Transactions you send will show up here.</p>
+          ) : (
+            <ul className="activity-list">
+              {entries.map((entry) => {
+                const url = getTransactionUrl(explorerUrl, entry.hash);
+                return (
+                  <li key={entry.hash} className={`activity-entry ${entry.status}`}>
+                    <div className="activity-entry-header">
+                      <span className="activity-entry-title">
+                        {KIND_LABELS[entry.kind]} {entry.tokenSymbol}
+                      </span>
+                      <span className={`activity-status ${entry.status}`}>
+                        {entry.status === 'pending' && <RefreshCw className="activity-status-icon spinning" />}
+                        {STATUS_LABELS[entry.status]}
+                      </span>
+                    </div>
+                    <div className="activity-entry-outcome">{describeOutcome(entry, nativeSymbol)}</div>
+                    <div className="activity-entry-footer">
+                      <span className={`activity-privacy ${entry.encrypted ? 'encrypted' : 'public'}`}>
+                        {entry.encrypted ? <Lock className="activity-privacy-icon" /> : <Eye className="activity-privacy-icon" />}
+                        {entry.encrypted ? 'Encrypted' : 'Public'}
+                      </span>
+                      <span className="activity-time">{formatTimeAgo(Math.floor(entry.createdAt / 1000))}</span>
+                      {url ? (
+                        <a className="activity-hash" href={url} target="_blank" rel="noopener noreferrer">
+                          {formatAddress(entry.hash)}
+                          <ExternalLink className="activity-link-icon" />
+                        </a>
+                      ) : (
+                        <span className="activity-hash" title={entry.hash}>{formatAddress(entry.hash)}</span>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ActivityCenter;
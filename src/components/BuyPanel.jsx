@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Lock, Eye, ShoppingCart } from 'lucide-react';
+import SlippageSettings from './SlippageSettings.jsx';
+import { getDefaultSlippage, applySlippage } from '../lib/slippage.js';
+import { formatTokenAmount, formatEthAmount, formatPrice } from '../lib/format.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const EMPTY_PREVIEW = {
+  tokensOut: '0',
+  newPrice: '0',
+  priceImpact: '0',
+  platformFee: '0'
+};
+
+/**
+ * Buy Panel Component
+ * Amount input, preview, slippage and submit for buying from a curve
+ */
+function BuyPanel({ token, client, encryptionEnabled, isConnected, onBuyTokens, onSubmitted, onCancel }) {
+  const [buyAmount, setBuyAmount] = useState('0.1');
+  const [isBuying, setIsBuying] = useState(false);
+  const [slippageBps, setSlippageBps] = useState(getDefaultSlippage());
+  const [buyPreview, setBuyPreview] = useState(EMPTY_PREVIEW);
+
+  // Quotes come from the curve state on the record, so they follow live trades
+  const { bondingCurveAddress, tokensSold, avaxRaised, graduated } = token;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const updateBuyPreview = async () => {
+      if (!client || !buyAmount || parseFloat(buyAmount) <= 0) {
+        setBuyPreview(EMPTY_PREVIEW);
+        return;
+      }
+
+      try {
+        const preview = await client.quoteBuy(
+          { bondingCurveAddress, tokensSold, avaxRaised, graduated },
+          ethers.parseEther(buyAmount)
+        );
+
+        if (!cancelled) {
+          setBuyPreview({
+            tokensOut: preview.tokensOut.toString(),
+            newPrice: preview.newPrice.toString(),
+            priceImpact: preview.priceImpact.toString(),
+            platformFee: preview.platformFee.toString()
+          });
+        }
+      } catch (error) {
+        console.error('Error getting buy preview:', error);
+        if (!cancelled) setBuyPreview(EMPTY_PREVIEW);
+      }
+    };
+
+    updateBuyPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [buyAmount, client, bondingCurveAddress, tokensSold, avaxRaised, graduated]);
+
+  const handleBuySubmit = async () => {
+    const amount = parseFloat(buyAmount);
+
+    if (!isConnected) {
+      alert('Please connect your wallet to buy tokens');
+      return;
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+      alert('Please enter a valid buy amount');
+      return;
+    }
+
+    if (amount > 10) {
+      const confirmed = window.confirm(
+        `You are about to buy ${amount} ${NATIVE_SYMBOL} worth of tokens. This is a large amount. Continue?`
+      );
+      if (!confirmed) return;
+    }
+
+    setIsBuying(true);
+
+    // Hand control back to the container as soon as the transaction starts
+    const submittedAmount = buyAmount;
+    setBuyAmount('0.1');
+    onSubmitted?.();
+
+    try {
+      await onBuyTokens(token, submittedAmount, slippageBps);
+    } catch (error) {
+      console.error('Buy failed:', error);
+    } finally {
+      setIsBuying(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-body">
+        {/* Purchase Amount Input */}
+        <div className="form-group">
+          <label className="form-label">Purchase Amount ({NATIVE_SYMBOL})</label>
+          <input
+            type="number"
+            step="0.01"
+            min="0.001"
+            max="100"
+            className="form-input"
+            value={buyAmount}
+            onChange={(e) => setBuyAmount(e.target.value)}
+            placeholder="0.1"
+          />
+        </div>
+
+        {/* Purchase Preview */}
+        <div className="purchase-preview">
+          <h4>Purchase Preview</h4>
+          <div className="preview-item">
+            <span>You pay:</span>
+            <span>{buyAmount || '0'} {NATIVE_SYMBOL}</span>
+          </div>
+          <div className="preview-item">
+            <span>You receive:</span>
+            <span>{formatTokenAmount(buyPreview.tokensOut)} {token.symbol}</span>
+          </div>
+          <div className="preview-item">
+            <span>New price:</span>
+            <span>{formatPrice(buyPreview.newPrice)} {NATIVE_SYMBOL}</span>
+          </div>
+          <div className="preview-item">
+            <span>Price impact:</span>
+            <span>{(Number(buyPreview.priceImpact) / 100).toFixed(2)}%</span>
+          </div>
+          <div className="preview-item">
+            <span>Platform fee:</span>
+            <span>{formatEthAmount(buyPreview.platformFee)} {NATIVE_SYMBOL}</span>
+          </div>
+          <div className="preview-item">
+            <span>Minimum received:</span>
+            <span>{formatTokenAmount(applySlippage(buyPreview.tokensOut, slippageBps))} {token.symbol}</span>
+          </div>
+        </div>
+
+        <SlippageSettings slippageBps={slippageBps} onChange={setSlippageBps} />
+
+        {/* Encryption Notice */}
+        {encryptionEnabled ? (
+          <div className="encryption-notice success">
+            <Lock className="notice-icon" />
+            <div className="notice-content">
+              <strong>Private Transaction</strong>
+              <p>Your purchase will be encrypted and protected from MEV</p>
+            </div>
+          </div>
+        ) : (
+          <div className="encryption-notice warning">
+            <Eye className="notice-icon" />
+            <div className="notice-content">
+              <strong>Public Transaction</strong>
+              <p>Your purchase will be visible and may be subject to front-running</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="modal-footer">
+        {onCancel && (
+          <button
+            className="cancel-button"
+            onClick={onCancel}
+            disabled={isBuying}
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          className={`confirm-button ${encryptionEnabled ? 'encrypted' : 'public'}`}
+          onClick={handleBuySubmit}
+          disabled={isBuying || token.graduated || !isConnected || !buyAmount || parseFloat(buyAmount) <= 0}
+        >
+          {isBuying ? (
+            'Processing...'
+          ) : encryptionEnabled ? (
+            <>
+              <Lock className="button-icon" />
+              Buy {token.symbol}
+            </>
+          ) : (
+            <>
+              <ShoppingCart className="button-icon" />
+              Buy {token.symbol}
+            </>
+          )}
+        </button>
+      </div>
+    </>
+  );
+}
+
+export default BuyPanel;
@@ -1,22 +1,45 @@
 import React, { useState, useEffect } from 'react';
-import { Lock, Eye, AlertTriangle, ExternalLink, Twitter } from 'lucide-react';
+import { Lock, Eye, AlertTriangle, ExternalLink, Plus, X } from 'lucide-react';
+import ImageDropzone from './ImageDropzone.jsx';
+import LinkIcon from './LinkIcon.jsx';
+import { getActiveDeployment } from '../lib/deployments.js';
+import { getImageSources, getImageStorage } from '../lib/imageStorage.js';
+import {
+  LINK_TYPES,
+  MAX_CUSTOM_LINKS,
+  MAX_LINK_LABEL_LENGTH,
+  emptyCustomLink,
+  validateCustomLink,
+  normalizeLinks,
+  needsMetadataDocument,
+  buildMetadataDocument
+} from '../lib/tokenMetadata.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const EMPTY_FORM = {
+  name: '',
+  symbol: '',
+  description: '',
+  imageUrl: '',
+  ...Object.fromEntries(LINK_TYPES.map((type) => [type.id, ''])),
+  customLinks: [],
+  initialBuy: '0.1'
+};
 
 /**
  * Form component for creating new tokens
  * Handles form validation and submission
+ * @param metadataSupported false when the factory cannot reference a metadata
+ * document, so only website and X links can be kept
  */
-function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encryptionEnabled, isConnected }) {
-  const [formData, setFormData] = useState({
-    name: '',
-    symbol: '',
-    description: '',
-    imageUrl: '',
-    website: '',
-    twitter: '',
-    initialBuy: '0.1'
-  });
+function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encryptionEnabled, isConnected, metadataSupported = true }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
   
   const [validationErrors, setValidationErrors] = useState({});
+  const [isUploadingImage, setIsUploadingImage] = useState(false);
+  const [isStoringMetadata, setIsStoringMetadata] = useState(false);
+  const [metadataError, setMetadataError] = useState('');
 
   // Update parent component with form data changes for preview
   useEffect(() => {
@@ -43,6 +66,36 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
     }
   };
 
+  // Without an upload endpoint, images and metadata documents stay in this browser
+  const storesLocally = !getImageStorage().persistent;
+
+  // Links the factory would have nowhere to keep block the launch rather than being dropped
+  const hasUnsupportedLinks = !metadataSupported && needsMetadataDocument(normalizeLinks(formData));
+
+  /**
+   * Edit, add and remove custom links
+   */
+  const updateCustomLink = (index, field, value) => {
+    handleInputChange('customLinks', formData.customLinks.map((link, current) => (
+      current === index ? { ...link, [field]: value } : link
+    )));
+    if (validationErrors[`customLink${index}`]) {
+      setValidationErrors(prev => ({ ...prev, [`customLink${index}`]: '' }));
+    }
+  };
+
+  const addCustomLink = () => {
+    handleInputChange('customLinks', [...formData.customLinks, emptyCustomLink()]);
+  };
+
+  const removeCustomLink = (index) => {
+    handleInputChange('customLinks', formData.customLinks.filter((_, current) => current !== index));
+    // Rows shift up, so their errors no longer line up
+    setValidationErrors(prev => Object.fromEntries(
+      Object.entries(prev).filter(([field]) => !field.startsWith('customLink'))
+    ));
+  };
+
   /**
    * Validate form data
    */
@@ -78,74 +131,38 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
       errors.description = 'Description must not exceed 500 characters';
     }
     
-    // Image URL validation
-    if (formData.imageUrl && !isValidUrl(formData.imageUrl)) {
+    // Image URL validation: anything the image resolver can load
+    if (formData.imageUrl && getImageSources(formData.imageUrl).length === 0) {
       errors.imageUrl = 'Please enter a valid URL';
     }
     
-    // Website URL validation
-    if (formData.website && !isValidUrl(formData.website)) {
-      errors.website = 'Please enter a valid website URL';
-    }
-    
-    // Twitter URL validation
-    if (formData.twitter && !isValidTwitterUrl(formData.twitter)) {
-      errors.twitter = 'Please enter a valid X (Twitter) URL or username';
+    // Project links: each type has its own validator
+    for (const type of LINK_TYPES) {
+      const value = formData[type.id].trim();
+      if (value && !type.validate(value)) {
+        errors[type.id] = type.error;
+      }
     }
+
+    formData.customLinks.forEach((link, index) => {
+      const error = validateCustomLink(link);
+      if (error) {
+        errors[`customLink${index}`] = error;
+      }
+    });
     
     // Initial buy amount validation
     const initialBuyNumber = parseFloat(formData.initialBuy);
     if (isNaN(initialBuyNumber) || initialBuyNumber < 0) {
       errors.initialBuy = 'Initial buy amount must be a valid number';
     } else if (initialBuyNumber > 100) {
-      errors.initialBuy = 'Initial buy amount must not exceed 100 FAIR';
+      errors.initialBuy = `Initial buy amount must not exceed 100 ${NATIVE_SYMBOL}`;
     }
     
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
-  /**
-   * Check if URL is valid
-   */
-  const isValidUrl = (string) => {
-    try {
-      new URL(string);
-      return true;
-    } catch (_) {
-      return false;
-    }
-  };
-
-  /**
-   * Check if Twitter URL or username is valid
-   */
-  const isValidTwitterUrl = (string) => {
-    if (!string) return true; // Optional field
-    
-    // Handle both URL and username formats
-    const twitterUrlPattern = /^https?:\/\/(www\.)?(twitter\.com|x\.com)\/[a-zA-Z0-9_]+\/?$/;
-    const usernamePattern = /^@?[a-zA-Z0-9_]+$/;
-    
-    return twitterUrlPattern.test(string) || usernamePattern.test(string);
-  };
-
-  /**
-   * Format Twitter input to proper URL
-   */
-  const formatTwitterUrl = (input) => {
-    if (!input) return '';
-    
-    // If it's already a URL, return as is
-    if (input.startsWith('http')) {
-      return input;
-    }
-    
-    // If it's a username (with or without @), convert to URL
-    const username = input.startsWith('@') ? input.slice(1) : input;
-    return `https://x.com/${username}`;
-  };
-
   /**
    * Handle form submission
    */
@@ -157,14 +174,35 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
       return;
     }
     
-    if (!validateForm()) {
+    if (!validateForm() || hasUnsupportedLinks) {
       return;
     }
     
-    // Format the Twitter URL before submission
+    // Links go out as URLs; anything beyond website and twitter goes into
+    // a metadata document the token references
+    const links = normalizeLinks(formData);
+    let metadataUri = '';
+
+    if (needsMetadataDocument(links)) {
+      setMetadataError('');
+      setIsStoringMetadata(true);
+      try {
+        const document = JSON.stringify(buildMetadataDocument(links));
+        metadataUri = await getImageStorage().upload(new Blob([document], { type: 'application/json' }));
+      } catch (error) {
+        console.error('Failed to store token metadata:', error);
+        setMetadataError(`Could not store the links: ${error.message}`);
+        return;
+      } finally {
+        setIsStoringMetadata(false);
+      }
+    }
+
     const submissionData = {
       ...formData,
-      twitter: formatTwitterUrl(formData.twitter)
+      website: links.website,
+      twitter: links.twitter,
+      metadataUri
     };
     
     // Call the parent component's create token function
@@ -172,15 +210,7 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
     
     if (success) {
       // Reset form on successful creation
-      setFormData({
-        name: '',
-        symbol: '',
-        description: '',
-        imageUrl: '',
-        website: '',
-        twitter: '',
-        initialBuy: '0.1'
-      });
+      setFormData(EMPTY_FORM);
     }
   };
 
@@ -214,7 +244,10 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
            formData.description.trim() &&
            formData.initialBuy && 
            parseFloat(formData.initialBuy) >= 0 &&
-           Object.keys(validationErrors).length === 0;
+           !isUploadingImage &&
+           !isStoringMetadata &&
+           !hasUnsupportedLinks &&
+           Object.values(validationErrors).every(error => !error);
   };
 
   return (
@@ -309,25 +342,28 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
           </div>
         </div>
 
-        {/* Image URL */}
+        {/* Token Image */}
         <div className="form-group">
-          <label htmlFor="token-image" className="form-label">
-            Image URL (Optional)
+          <span className="form-label">Token Image (Optional)</span>
+          <ImageDropzone
+            value={formData.imageUrl}
+            onChange={(uri) => handleInputChange('imageUrl', uri)}
+            onUploadingChange={setIsUploadingImage}
+          />
+          <label htmlFor="token-image" className="input-hint">
+            Or paste an Image URL (https:// or ipfs://)
           </label>
           <input
             id="token-image"
             type="url"
             className={`form-input ${validationErrors.imageUrl ? 'error' : ''}`}
-            placeholder="https://example.com/token-image.png"
+            placeholder="ipfs://... or https://example.com/token-image.png"
             value={formData.imageUrl}
             onChange={(e) => handleInputChange('imageUrl', e.target.value)}
           />
           {validationErrors.imageUrl && (
             <span className="error-message">{validationErrors.imageUrl}</span>
           )}
-          <div className="input-hint">
-            Add a logo or image to make your token more recognizable
-          </div>
         </div>
 
         {/* Social Links Section */}
@@ -337,60 +373,108 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
             Social Links (Optional)
           </h3>
           <p className="section-description">
-            Add your project's social presence to build trust and community
+            Add your project's social presence to build trust and community.
+            Website and X are stored on the token contract, the rest in its metadata document
           </p>
           
           <div className="form-grid">
-            {/* Website */}
-            <div className="form-group">
-              <label htmlFor="token-website" className="form-label">
-                <ExternalLink className="form-label-icon" />
-                Website
-              </label>
-              <input
-                id="token-website"
-                type="url"
-                className={`form-input ${validationErrors.website ? 'error' : ''}`}
-                placeholder="https://yourproject.com"
-                value={formData.website}
-                onChange={(e) => handleInputChange('website', e.target.value)}
-              />
-              {validationErrors.website && (
-                <span className="error-message">{validationErrors.website}</span>
-              )}
-              <div className="input-hint">
-                Your project's official website
+            {LINK_TYPES.map((type) => (
+              <div className="form-group" key={type.id}>
+                <label htmlFor={`token-${type.id}`} className="form-label">
+                  <LinkIcon type={type.id} className="form-label-icon" />
+                  {type.label}
+                </label>
+                <input
+                  id={`token-${type.id}`}
+                  type={type.id === 'website' ? 'url' : 'text'}
+                  className={`form-input ${validationErrors[type.id] ? 'error' : ''}`}
+                  placeholder={type.placeholder}
+                  value={formData[type.id]}
+                  onChange={(e) => handleInputChange(type.id, e.target.value)}
+                />
+                {validationErrors[type.id] && (
+                  <span className="error-message">{validationErrors[type.id]}</span>
+                )}
+                <div className="input-hint">
+                  {type.hint}
+                </div>
               </div>
-            </div>
+            ))}
+          </div>
 
-            {/* X (Twitter) */}
-            <div className="form-group">
-              <label htmlFor="token-twitter" className="form-label">
-                <Twitter className="form-label-icon" />
-                X (Twitter)
-              </label>
-              <input
-                id="token-twitter"
-                type="text"
-                className={`form-input ${validationErrors.twitter ? 'error' : ''}`}
-                placeholder="@username"
-                value={formData.twitter}
-                onChange={(e) => handleInputChange('twitter', e.target.value)}
-              />
-              {validationErrors.twitter && (
-                <span className="error-message">{validationErrors.twitter}</span>
-              )}
-              <div className="input-hint">
-                Your project's X (Twitter) profile
+          {/* Other links: docs, whitepaper, anything else */}
+          <div className="form-group custom-links">
+            <span className="form-label">
+              <LinkIcon type="custom" className="form-label-icon" />
+              Other Links
+            </span>
+            {formData.customLinks.map((link, index) => (
+              <div className="custom-link" key={index}>
+                <div className="custom-link-row">
+                  <input
+                    type="text"
+                    className={`form-input custom-link-label ${validationErrors[`customLink${index}`] ? 'error' : ''}`}
+                    aria-label={`Link ${index + 1} label`}
+                    placeholder="Docs"
+                    maxLength={MAX_LINK_LABEL_LENGTH}
+                    value={link.label}
+                    onChange={(e) => updateCustomLink(index, 'label', e.target.value)}
+                  />
+                  <input
+                    type="url"
+                    className={`form-input ${validationErrors[`customLink${index}`] ? 'error' : ''}`}
+                    aria-label={`Link ${index + 1} URL`}
+                    placeholder="https://docs.yourproject.com"
+                    value={link.url}
+                    onChange={(e) => updateCustomLink(index, 'url', e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="custom-link-remove"
+                    title="Remove link"
+                    onClick={() => removeCustomLink(index)}
+                  >
+                    <X className="custom-link-remove-icon" />
+                  </button>
+                </div>
+                {validationErrors[`customLink${index}`] && (
+                  <span className="error-message">{validationErrors[`customLink${index}`]}</span>
+                )}
               </div>
+            ))}
+            {formData.customLinks.length < MAX_CUSTOM_LINKS && (
+              <button type="button" className="add-link-button" onClick={addCustomLink}>
+                <Plus className="add-link-icon" />
+                Add link
+              </button>
+            )}
+            <div className="input-hint">
+              Up to {MAX_CUSTOM_LINKS} more, such as docs or a whitepaper
             </div>
           </div>
+
+          {metadataError && (
+            <span className="error-message">{metadataError}</span>
+          )}
+
+          {hasUnsupportedLinks && (
+            <div className="encryption-notice warning">
+              <AlertTriangle className="notice-icon" />
+              <div className="notice-content">
+                <h4>Only Website and X on this network</h4>
+                <p>
+                  This network's token factory cannot reference a metadata document, so the other
+                  links would not reach the token. Remove them to launch.
+                </p>
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Initial Buy Amount */}
         <div className="form-group">
           <label htmlFor="initial-buy" className="form-label">
-            Initial Buy Amount (FAIR) *
+            Initial Buy Amount ({NATIVE_SYMBOL}) *
           </label>
           <input
             id="initial-buy"
@@ -416,15 +500,15 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
           <h3>Cost Breakdown</h3>
           <div className="cost-item">
             <span>Creation Fee:</span>
-            <span>{creationFee} FAIR</span>
+            <span>{creationFee} {NATIVE_SYMBOL}</span>
           </div>
           <div className="cost-item">
             <span>Initial Buy:</span>
-            <span>{formData.initialBuy || '0'} FAIR</span>
+            <span>{formData.initialBuy || '0'} {NATIVE_SYMBOL}</span>
           </div>
           <div className="cost-item total">
             <span>Total Cost:</span>
-            <span>{calculateTotalCost()} FAIR</span>
+            <span>{calculateTotalCost()} {NATIVE_SYMBOL}</span>
           </div>
         </div>
 
@@ -457,6 +541,21 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
           </div>
         )}
 
+        {storesLocally && (
+          <div className="encryption-notice warning">
+            <AlertTriangle className="notice-icon" />
+            <div className="notice-content">
+              <h4>Uploads Stay in This Browser</h4>
+              <p>
+                This site has no IPFS upload endpoint, so an uploaded image and the Telegram, Discord,
+                GitHub and other links are kept in your browser only. Nobody else will see them. Paste
+                an image URL that is already hosted, and stick to website and X links, for a token
+                everyone can see in full.
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Large Amount Warning */}
         {parseFloat(formData.initialBuy) > 10 && (
           <div className="encryption-notice warning">
@@ -464,7 +563,7 @@ function CreateTokenForm({ onCreateToken, onFormDataUpdate, creationFee, encrypt
             <div className="notice-content">
               <h4>Large Initial Buy Warning</h4>
               <p>
-                You're about to purchase {formData.initialBuy} FAIR worth of tokens. 
+                You're about to purchase {formData.initialBuy} {NATIVE_SYMBOL} worth of tokens. 
                 {!encryptionEnabled && ' Consider enabling encryption to prevent front-running of this large order.'}
               </p>
             </div>
@@ -0,0 +1,207 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CreateTokenForm from './CreateTokenForm.jsx';
+import { computeCid } from '../lib/imageStorage.js';
+
+// jsdom has no canvas to resize in
+vi.mock('../lib/images.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resizeImage: async (file) => file
+}));
+
+const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const VALID = {
+  name: 'Test Token',
+  symbol: 'TEST',
+  description: 'A token used in tests'
+};
+
+const renderForm = (props = {}) => {
+  const onCreateToken = vi.fn(async () => true);
+  render(
+    <CreateTokenForm
+      onCreateToken={onCreateToken}
+      creationFee="0.1"
+      encryptionEnabled={false}
+      isConnected
+      {...props}
+    />
+  );
+  return { onCreateToken, user: userEvent.setup() };
+};
+
+const fill = async (user, values) => {
+  const fields = {
+    name: /Token Name/,
+    symbol: /Token Symbol/,
+    description: /Description/,
+    imageUrl: /Image URL/,
+    website: /Website/,
+    twitter: /X \(Twitter\)/,
+    telegram: /Telegram/,
+    initialBuy: /Initial Buy Amount/
+  };
+  for (const [field, value] of Object.entries(values)) {
+    const input = screen.getByLabelText(fields[field]);
+    await user.clear(input);
+    if (value) await user.type(input, value);
+  }
+};
+
+const submit = (user) => user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+// Skips the browser's own checks (type="url", max) so the form's rules are what reject
+const forceSubmit = () => fireEvent.submit(screen.getByRole('button', { name: /launch your token/ }).closest('form'));
+
+describe('CreateTokenForm', () => {
+  it('keeps submit disabled until the required fields are filled', async () => {
+    const { user } = renderForm();
+    const button = screen.getByRole('button', { name: /launch your token/ });
+    expect(button).toBeDisabled();
+
+    await fill(user, VALID);
+    expect(button).toBeEnabled();
+  });
+
+  it('requires a connected wallet', () => {
+    renderForm({ isConnected: false });
+    expect(screen.getByRole('button', { name: /launch your token/ })).toBeDisabled();
+    expect(screen.getByText('Please connect your wallet to create a token')).toBeInTheDocument();
+  });
+
+  it.each([
+    [{ name: 'ab' }, 'Token name must be at least 3 characters'],
+    [{ symbol: 'T' }, 'Token symbol must be at least 2 characters'],
+    [{ description: 'Too short' }, 'Description must be at least 10 characters'],
+    [{ imageUrl: 'not a url' }, 'Please enter a valid URL'],
+    [{ website: 'example.com' }, 'Please enter a valid website URL'],
+    [{ twitter: 'https://example.com/someone' }, 'Please enter a valid X (Twitter) URL or username'],
+    [{ telegram: 'https://t.me.evil.com/group' }, 'Please enter a valid Telegram link or username'],
+    [{ initialBuy: '101' }, 'Initial buy amount must not exceed 100 FAIR']
+  ])('rejects %o', async (override, message) => {
+    const { user, onCreateToken } = renderForm();
+    await fill(user, { ...VALID, ...override });
+    forceSubmit();
+
+    expect(screen.getByText(message)).toBeInTheDocument();
+    expect(onCreateToken).not.toHaveBeenCalled();
+  });
+
+  it('uppercases the symbol as it is typed', async () => {
+    const { user } = renderForm();
+    await fill(user, { symbol: 'abc1' });
+    expect(screen.getByLabelText(/Token Symbol/)).toHaveValue('ABC1');
+  });
+
+  it('re-enables submit once an invalid field is corrected', async () => {
+    const { user, onCreateToken } = renderForm();
+    await fill(user, { ...VALID, name: 'ab' });
+    await submit(user);
+    expect(screen.getByText('Token name must be at least 3 characters')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText(/Token Name/), 'c');
+    expect(screen.queryByText('Token name must be at least 3 characters')).not.toBeInTheDocument();
+
+    await submit(user);
+    expect(onCreateToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('submits a twitter handle as a profile URL and resets on success', async () => {
+    const { user, onCreateToken } = renderForm();
+    await fill(user, { ...VALID, twitter: '@stealthly', initialBuy: '2' });
+    await submit(user);
+
+    expect(onCreateToken).toHaveBeenCalledWith({
+      ...VALID,
+      imageUrl: '',
+      website: '',
+      twitter: 'https://x.com/stealthly',
+      telegram: '',
+      discord: '',
+      github: '',
+      customLinks: [],
+      metadataUri: '',
+      initialBuy: '2'
+    });
+    expect(screen.getByLabelText(/Token Name/)).toHaveValue('');
+  });
+
+  it('stores links beyond website and twitter in a metadata document', async () => {
+    const { user, onCreateToken } = renderForm();
+    await fill(user, { ...VALID, telegram: '@stealthly_chat' });
+    await user.click(screen.getByRole('button', { name: /Add link/ }));
+    await user.type(screen.getByLabelText('Link 1 label'), 'Docs');
+    await user.type(screen.getByLabelText('Link 1 URL'), 'https://docs.example.com');
+    await submit(user);
+
+    const document = {
+      version: 1,
+      links: { telegram: 'https://t.me/stealthly_chat' },
+      customLinks: [{ label: 'Docs', url: 'https://docs.example.com' }]
+    };
+    const cid = await computeCid(new Blob([JSON.stringify(document)]));
+    // The document is hashed and stored before the form hands it over
+    await waitFor(() => expect(onCreateToken).toHaveBeenCalledWith(expect.objectContaining({
+      website: '',
+      twitter: '',
+      metadataUri: `ipfs://${cid}`
+    })));
+  });
+
+  it('blocks links the factory cannot keep instead of dropping them', async () => {
+    const { user, onCreateToken } = renderForm({ metadataSupported: false });
+    await fill(user, { ...VALID, twitter: '@stealthly', telegram: '@stealthly_chat' });
+
+    expect(screen.getByText('Only Website and X on this network')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /launch your token/ })).toBeDisabled();
+    forceSubmit();
+    expect(onCreateToken).not.toHaveBeenCalled();
+
+    await fill(user, { telegram: '' });
+    expect(screen.queryByText('Only Website and X on this network')).not.toBeInTheDocument();
+    await submit(user);
+    expect(onCreateToken).toHaveBeenCalledWith(expect.objectContaining({ twitter: 'https://x.com/stealthly', metadataUri: '' }));
+  });
+
+  it('says uploads stay in the browser without an IPFS endpoint', () => {
+    renderForm();
+    expect(screen.getByText('Uploads Stay in This Browser')).toBeInTheDocument();
+  });
+
+  it('keeps the input when creation fails', async () => {
+    const { user } = renderForm({ onCreateToken: vi.fn(async () => false) });
+    await fill(user, VALID);
+    await submit(user);
+
+    expect(screen.getByLabelText(/Token Name/)).toHaveValue(VALID.name);
+  });
+
+  it('totals the creation fee and initial buy', async () => {
+    const { user } = renderForm();
+    await fill(user, { initialBuy: '1.5' });
+
+    expect(screen.getByText('Total Cost:').nextSibling).toHaveTextContent('1.6000 FAIR');
+  });
+
+  it('stores an uploaded image as its content-addressed URI', async () => {
+    const { user } = renderForm();
+    const file = new File([new Uint8Array([...PNG_HEADER, 1, 2, 3, 4])], 'logo.png', { type: 'image/png' });
+
+    await user.upload(screen.getByLabelText('Image file'), file);
+
+    expect(await screen.findByDisplayValue(`ipfs://${await computeCid(file)}`)).toBe(screen.getByLabelText(/Image URL/));
+  });
+
+  it('rejects files that are not images', async () => {
+    const { user } = renderForm();
+    const file = new File(['<svg onload="alert(1)"/>'], 'logo.png', { type: 'image/png' });
+
+    await user.upload(screen.getByLabelText('Image file'), file);
+
+    expect(await screen.findByText('Unsupported format. Use PNG, JPEG, GIF, WebP')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Image URL/)).toHaveValue('');
+  });
+});
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ethers } from 'ethers';
+import { Rocket, Download, RefreshCw, CheckCircle, Users, Calculator, Activity } from 'lucide-react';
+import Link from './Link.jsx';
+import { fetchTokenHistory } from '../lib/tokenHistory.js';
+import { GRADUATION_THRESHOLD } from '../lib/curveMath.js';
+import { summarizeLaunch, getVolumeSeries, launchesToCsv } from '../lib/launchStats.js';
+import { formatEthAmount } from '../lib/format.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+const { nativeSymbol: NATIVE_SYMBOL, deployBlock: DEPLOY_BLOCK } = getActiveDeployment();
+
+const BAR_WIDTH = 10;
+const BAR_GAP = 3;
+const BARS_HEIGHT = 60;
+
+/**
+ * Stacked buy/sell volume bars for one launch
+ */
+function VolumeBars({ series }) {
+  const max = Math.max(...series.buckets.map((bucket) => bucket.buy + bucket.sell), 0);
+  const width = series.buckets.length * (BAR_WIDTH + BAR_GAP);
+  const scale = (value) => (max > 0 ? (value / max) * BARS_HEIGHT : 0);
+
+  return (
+    <svg className="volume-bars" viewBox={`0 0 ${width} ${BARS_HEIGHT}`} preserveAspectRatio="none">
+      {series.buckets.map((bucket, index) => {
+        const buyHeight = scale(bucket.buy);
+        const sellHeight = scale(bucket.sell);
+        const x = index * (BAR_WIDTH + BAR_GAP);
+        return (
+          <g key={bucket.time}>
+            <title>
+              {`${new Date(bucket.time * 1000).toLocaleString()}: ${bucket.buy.toFixed(2)} bought, ${bucket.sell.toFixed(2)} sold`}
+            </title>
+            <rect className="volume-bar buy" x={x} y={BARS_HEIGHT - buyHeight} width={BAR_WIDTH} height={buyHeight} />
+            <rect className="volume-bar sell" x={x} y={BARS_HEIGHT - buyHeight - sellHeight} width={BAR_WIDTH} height={sellHeight} />
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+const formatFeePhase = ({ fee, phase, remaining }) => {
+  if (phase === 'standard') return `Standard · ${(fee / 100).toFixed(2)}%`;
+  return `Anti-dump · ${(fee / 100).toFixed(2)}% · ${Math.ceil(remaining / 60)}m left`;
+};
+
+/**
+ * Creator Dashboard Component
+ * Stats for every token launched by the connected wallet, with CSV export
+ */
+function CreatorDashboard({ tokens, provider, userAddress, isConnected }) {
+  const [histories, setHistories] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [historyUnavailable, setHistoryUnavailable] = useState(false);
+  const historiesRef = useRef({});
+
+  const launches = useMemo(() => {
+    if (!userAddress) return [];
+    const account = userAddress.toLowerCase();
+    return tokens.filter((token) => token.creator && token.creator.toLowerCase() === account);
+  }, [tokens, userAddress]);
+
+  const launchKey = launches.map((token) => `${token.address}:${token.tokensSold}`).join(',');
+
+  // The token list is rebuilt on every refresh; launchKey says when the launches really moved
+  const launchesRef = useRef(launches);
+  useEffect(() => {
+    launchesRef.current = launches;
+  }, [launches]);
+
+  // Incrementally pull each launch's history; refreshes when any curve moves
+  useEffect(() => {
+    const current = launchesRef.current;
+    if (current.length === 0) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    let unavailable = false;
+    Promise.all(current.map(async (token) => {
+      try {
+        const history = await fetchTokenHistory(provider, token, historiesRef.current[token.address] ?? null, DEPLOY_BLOCK);
+        return [token.address, history];
+      } catch (error) {
+        if (error.code === 'DEPLOY_BLOCK_REQUIRED') {
+          unavailable = true;
+        } else {
+          console.error(`Failed to load history for ${token.address}:`, error);
+        }
+        return [token.address, historiesRef.current[token.address] ?? null];
+      }
+    }))
+      .then((entries) => {
+        if (cancelled) return;
+        historiesRef.current = Object.fromEntries(entries);
+        setHistories(historiesRef.current);
+        setHistoryUnavailable(unavailable);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, launchKey, refreshKey]);
+
+  const rows = useMemo(() => launches.map((token) => ({
+    token,
+    history: histories[token.address] ?? null,
+    summary: summarizeLaunch(token, histories[token.address]),
+    volume: histories[token.address] ? getVolumeSeries(token.launchTime, histories[token.address].trades) : null
+  })), [launches, histories]);
+
+  const exportCsv = () => {
+    const csv = launchesToCsv(rows);
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `stealthly-launches-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!isConnected) {
+    return (
+      <div className="marketplace-empty">
+        <h3>No Wallet Connected</h3>
+        <p>Connect the wallet you launched from to see your tokens.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="creator-dashboard">
+      <div className="portfolio-header">
+        <h2>
+          <Rocket className="tab-icon" />
+          My Launches ({launches.length})
+        </h2>
+        <div className="compact-controls">
+          <button
+            className="export-button"
+            onClick={exportCsv}
+            disabled={rows.length === 0}
+          >
+            <Download size={16} />
+            Export CSV
+          </button>
+          <button
+            className="refresh-btn"
+            onClick={() => setRefreshKey((key) => key + 1)}
+            disabled={isLoading}
+            title="Refresh launch stats"
+          >
+            <RefreshCw className={isLoading ? 'spinning' : ''} size={18} />
+          </button>
+        </div>
+      </div>
+
+      {historyUnavailable && (
+        <p className="error-hint">Buyers and volume unavailable - no deploy block is set for this network</p>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="marketplace-empty">
+          <h3>No Launches Yet</h3>
+          <p>Tokens created from this wallet will show up here.</p>
+          <Link to="/create" className="token-details-link">Launch a token</Link>
+        </div>
+      ) : (
+        <div className="launch-grid">
+          {rows.map(({ token, history, summary, volume }) => (
+            <div key={token.address} className="launch-card">
+              <div className="launch-card-header">
+                <Link to={`/token/${token.address}`} className="token-name-link">
+                  <h3>{token.name} <span className="portfolio-symbol">${token.symbol}</span></h3>
+                </Link>
+                {token.graduated ? (
+                  <span className="graduated-badge">
+                    <CheckCircle className="graduated-icon" />
+                    Graduated
+                  </span>
+                ) : (
+                  <span className="launch-status live">On curve</span>
+                )}
+              </div>
+
+              <div className="graduation-progress">
+                <div className="progress-header">
+                  <span className="progress-label">
+                    {formatEthAmount(token.avaxRaised)} / {Number(ethers.formatEther(GRADUATION_THRESHOLD))} {NATIVE_SYMBOL}
+                  </span>
+                  <span className="progress-percentage">{summary.progress.toFixed(1)}%</span>
+                </div>
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${summary.progress}%` }} />
+                </div>
+              </div>
+
+              <div className="launch-stats">
+                <div className="metadata-item">
+                  <Users className="metadata-icon" />
+                  <span className="metadata-label">Unique buyers:</span>
+                  <span className="metadata-value">{history ? summary.uniqueBuyers : '—'}</span>
+                </div>
+                <div className="metadata-item">
+                  <Activity className="metadata-icon" />
+                  <span className="metadata-label">Volume:</span>
+                  <span className="metadata-value">
+                    {history ? `${formatEthAmount(summary.buyVolume + summary.sellVolume)} ${NATIVE_SYMBOL} · ${summary.tradeCount} trades` : '—'}
+                  </span>
+                </div>
+                <div className="metadata-item">
+                  <Calculator className="metadata-icon" />
+                  <span className="metadata-label">Sell fee:</span>
+                  <span className={`metadata-value fee-phase ${summary.feePhase.phase}`}>
+                    {formatFeePhase(summary.feePhase)}
+                  </span>
+                </div>
+              </div>
+
+              {volume && (
+                <div className="launch-volume">
+                  <span className="stat-label">
+                    Volume per {volume.intervalSeconds === 3600 ? 'hour' : 'day'}
+                  </span>
+                  <VolumeBars series={volume} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CreatorDashboard;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+
+/**
+ * Deployment Picker Component
+ * Header selector for the network deployment the app runs against
+ */
+function DeploymentPicker({ deployments, activeId, onSelect }) {
+  return (
+    <label className="deployment-picker" title="Network deployment">
+      <Globe className="deployment-picker-icon" />
+      <select
+        value={activeId}
+        onChange={(e) => onSelect(e.target.value)}
+        disabled={deployments.length < 2}
+        aria-label="Network deployment"
+      >
+        {deployments.map((deployment) => (
+          <option key={deployment.id} value={deployment.id}>
+            {deployment.chainName}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default DeploymentPicker;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Fuel, RefreshCw } from 'lucide-react';
+
+const TOP_UP_LABELS = {
+  http: 'Requesting...',
+  pow: 'Mining gas request...'
+};
+
+/**
+ * Gas Banner Component
+ * Shown while the connected wallet cannot pay for gas; offers a top-up when
+ * the deployment has a faucet
+ */
+function GasBanner({ nativeSymbol, faucetType, isToppingUp, onTopUp }) {
+  return (
+    <div className="network-banner gas-banner">
+      <Fuel className="network-banner-icon" />
+      <div className="network-banner-content">
+        <strong>No {nativeSymbol} for gas</strong>
+        <p>
+          Your wallet needs a little {nativeSymbol} to pay for transactions. Trading and token
+          creation are disabled until it has some.
+          {!faucetType && ` Get ${nativeSymbol} from the network's faucet, then reconnect.`}
+        </p>
+      </div>
+      {faucetType && (
+        <button className="network-switch-button" onClick={onTopUp} disabled={isToppingUp}>
+          {isToppingUp ? <RefreshCw className="button-icon spinning" /> : null}
+          {isToppingUp ? TOP_UP_LABELS[faucetType] : `Get free ${nativeSymbol}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default GasBanner;
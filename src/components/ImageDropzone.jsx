@@ -0,0 +1,126 @@
+import React, { useState, useRef } from 'react';
+import { Upload, X } from 'lucide-react';
+import TokenImage from './TokenImage.jsx';
+import { ACCEPTED_IMAGE_TYPES, IMAGE_SIZE, MAX_IMAGE_BYTES, validateImageFile, resizeImage } from '../lib/images.js';
+import { getImageStorage } from '../lib/imageStorage.js';
+
+/**
+ * Image Dropzone Component
+ * Drag-and-drop or pick an image; it is checked, resized and uploaded, and
+ * the resulting content-addressed URI is passed to onChange
+ */
+function ImageDropzone({ value, onChange, onUploadingChange }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  const storage = getImageStorage();
+
+  const setUploading = (uploading) => {
+    setIsUploading(uploading);
+    onUploadingChange?.(uploading);
+  };
+
+  const handleFile = async (file) => {
+    if (!file || isUploading) return;
+    setError('');
+
+    const invalid = await validateImageFile(file);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const uri = await storage.upload(await resizeImage(file));
+      onChange(uri);
+    } catch (uploadError) {
+      console.error('Image upload failed:', uploadError);
+      setError(`Upload failed: ${uploadError.message}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFile(event.dataTransfer.files[0]);
+  };
+
+  const openPicker = () => {
+    if (!isUploading) inputRef.current?.click();
+  };
+
+  return (
+    <div className="image-dropzone-group">
+      <div
+        className={`image-dropzone ${isDragging ? 'dragging' : ''} ${error ? 'error' : ''}`}
+        role="button"
+        tabIndex={0}
+        aria-label="Upload token image"
+        onClick={openPicker}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            openPicker();
+          }
+        }}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <div className="dropzone-preview">
+          <TokenImage
+            src={value}
+            alt="Token image"
+            className="token-image"
+            fallback={<Upload className="dropzone-icon" />}
+          />
+        </div>
+        <div className="dropzone-text">
+          <strong>
+            {isUploading ? 'Uploading...' : value ? 'Drop or click to replace' : 'Drag an image here or click to choose'}
+          </strong>
+          <span>
+            PNG, JPEG, GIF or WebP up to {MAX_IMAGE_BYTES / 1024 / 1024} MB, resized to {IMAGE_SIZE}px
+          </span>
+        </div>
+        {value && !isUploading && (
+          <button
+            type="button"
+            className="dropzone-remove"
+            title="Remove image"
+            onClick={(event) => {
+              event.stopPropagation();
+              onChange('');
+            }}
+          >
+            <X className="dropzone-remove-icon" />
+          </button>
+        )}
+      </div>
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_IMAGE_TYPES.join(',')}
+        className="dropzone-input"
+        aria-label="Image file"
+        onChange={(event) => {
+          handleFile(event.target.files[0]);
+          event.target.value = '';
+        }}
+      />
+
+      {error && <span className="error-message">{error}</span>}
+    </div>
+  );
+}
+
+export default ImageDropzone;
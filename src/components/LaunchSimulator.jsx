@@ -0,0 +1,138 @@
+import React, { useMemo } from 'react';
+import { ethers } from 'ethers';
+import { Calculator, Coins, PieChart, TrendingUp, Wallet } from 'lucide-react';
+import { GRADUATION_THRESHOLD, TOTAL_SUPPLY, getPriceCurve, simulateLaunch } from '../lib/curveMath.js';
+import { formatTokenAmount, formatEthAmount, formatPrice } from '../lib/format.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+
+// The curve shape is the same for every launch
+const PRICE_CURVE = getPriceCurve();
+const MAX_PRICE = PRICE_CURVE[PRICE_CURVE.length - 1].price;
+
+const chartX = (raised) => Number((raised * BigInt(CHART_WIDTH)) / GRADUATION_THRESHOLD);
+const chartY = (price) => Math.max(0, CHART_HEIGHT - Number((price * BigInt(CHART_HEIGHT)) / MAX_PRICE));
+
+const parseInitialBuy = (value) => {
+  try {
+    const amount = ethers.parseEther(value || '0');
+    return amount > 0n ? amount : 0n;
+  } catch {
+    return 0n;
+  }
+};
+
+/**
+ * Spot price against native currency raised, with the launch point marked
+ */
+function CurveChart({ raised, price }) {
+  const path = PRICE_CURVE.map((point) => `${chartX(point.raised)},${chartY(point.price)}`).join(' ');
+  const markerX = chartX(raised < GRADUATION_THRESHOLD ? raised : GRADUATION_THRESHOLD);
+
+  return (
+    <svg className="curve-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      <polyline className="curve-line" points={path} />
+      <polyline
+        className="curve-line launched"
+        points={PRICE_CURVE
+          .filter((point) => point.raised <= raised)
+          .map((point) => `${chartX(point.raised)},${chartY(point.price)}`)
+          .concat(`${markerX},${chartY(price)}`)
+          .join(' ')}
+      />
+      <circle className="curve-marker" cx={markerX} cy={chartY(price)} r="4">
+        <title>{`After your initial buy: ${formatPrice(price)} ${NATIVE_SYMBOL}`}</title>
+      </circle>
+    </svg>
+  );
+}
+
+/**
+ * Launch Simulator Component
+ * What the creator's initial buy gets on a new curve, computed with the
+ * contract math and the factory's current fees
+ */
+function LaunchSimulator({ initialBuy, creationFee, platformFee }) {
+  const amount = parseInitialBuy(initialBuy);
+  const launch = useMemo(() => simulateLaunch(amount, platformFee || 0), [amount, platformFee]);
+
+  const totalCost = amount + ethers.parseEther(creationFee || '0');
+  const supplyShare = (Number(launch.tokensOut) / Number(TOTAL_SUPPLY)) * 100;
+  const progress = Number(launch.progress) / 100;
+  const threshold = Number(ethers.formatEther(GRADUATION_THRESHOLD));
+
+  return (
+    <div className="launch-simulator">
+      <div className="simulator-header">
+        <Calculator className="simulator-icon" />
+        <h4>Launch Simulator</h4>
+      </div>
+
+      <div className="launch-stats">
+        <div className="metadata-item">
+          <Wallet className="metadata-icon" />
+          <span className="metadata-label">Total cost:</span>
+          <span className="metadata-value">
+            {formatEthAmount(totalCost)} {NATIVE_SYMBOL} incl. {creationFee || '0'} creation fee
+          </span>
+        </div>
+        <div className="metadata-item">
+          <Calculator className="metadata-icon" />
+          <span className="metadata-label">Platform fee:</span>
+          <span className="metadata-value">
+            {formatEthAmount(launch.platformFee)} {NATIVE_SYMBOL} ({(Number(platformFee || 0) / 100).toFixed(2)}%)
+          </span>
+        </div>
+        <div className="metadata-item">
+          <Coins className="metadata-icon" />
+          <span className="metadata-label">You receive:</span>
+          <span className="metadata-value">{formatTokenAmount(launch.tokensOut)} tokens</span>
+        </div>
+        <div className="metadata-item">
+          <PieChart className="metadata-icon" />
+          <span className="metadata-label">Supply share:</span>
+          <span className="metadata-value">{supplyShare.toFixed(4)}% of {formatTokenAmount(TOTAL_SUPPLY)}</span>
+        </div>
+        <div className="metadata-item">
+          <TrendingUp className="metadata-icon" />
+          <span className="metadata-label">Price after:</span>
+          <span className="metadata-value">
+            {formatPrice(launch.price)} {NATIVE_SYMBOL} (+{(Number(launch.priceImpact) / 100).toFixed(2)}%)
+          </span>
+        </div>
+        <div className="metadata-item">
+          <TrendingUp className="metadata-icon" />
+          <span className="metadata-label">Market cap:</span>
+          <span className="metadata-value">{formatEthAmount(launch.marketCap)} {NATIVE_SYMBOL}</span>
+        </div>
+      </div>
+
+      <div className="graduation-progress">
+        <div className="progress-header">
+          <span className="progress-label">
+            {formatEthAmount(launch.state.avaxRaised)} / {threshold} {NATIVE_SYMBOL} to graduation
+          </span>
+          <span className="progress-percentage">{progress.toFixed(2)}%</span>
+        </div>
+        <div className="progress-bar">
+          <div className="progress-fill" style={{ width: `${Math.min(progress, 100)}%` }} />
+        </div>
+      </div>
+
+      <div className="simulator-chart">
+        <span className="stat-label">Price vs. {NATIVE_SYMBOL} raised</span>
+        <CurveChart raised={launch.state.avaxRaised} price={launch.price} />
+        <div className="curve-chart-axis">
+          <span>0 · {formatPrice(PRICE_CURVE[0].price)}</span>
+          <span>{threshold} · {formatPrice(MAX_PRICE)}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LaunchSimulator;
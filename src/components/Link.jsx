@@ -0,0 +1,25 @@
+import React from 'react';
+import { navigate } from '../lib/router.js';
+
+/**
+ * Link Component
+ * Anchor that navigates client-side, leaving modified clicks to the browser
+ */
+function Link({ to, replace = false, onClick, children, ...rest }) {
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
+
+export default Link;
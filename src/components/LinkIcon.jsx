@@ -0,0 +1,20 @@
+import React from 'react';
+import { ExternalLink, Twitter, Send, MessageCircle, Github, Link2 } from 'lucide-react';
+
+const ICONS = {
+  website: ExternalLink,
+  twitter: Twitter,
+  telegram: Send,
+  discord: MessageCircle,
+  github: Github
+};
+
+/**
+ * Icon for a project link type (see LINK_TYPES); custom links get a plain link icon
+ */
+function LinkIcon({ type, className }) {
+  const Icon = ICONS[type] || Link2;
+  return <Icon className={className} />;
+}
+
+export default LinkIcon;
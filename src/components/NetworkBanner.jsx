@@ -0,0 +1,27 @@
+import React from 'react';
+import { AlertTriangle, RefreshCw } from 'lucide-react';
+
+/**
+ * Network Banner Component
+ * Shown while the wallet is on a different chain than the app's deployment
+ */
+function NetworkBanner({ chainName, walletNetwork, isSwitching, onSwitch }) {
+  return (
+    <div className="network-banner">
+      <AlertTriangle className="network-banner-icon" />
+      <div className="network-banner-content">
+        <strong>Wrong network</strong>
+        <p>
+          Your wallet is connected to {walletNetwork || 'another network'}. Trading and token
+          creation are disabled until you switch to {chainName}.
+        </p>
+      </div>
+      <button className="network-switch-button" onClick={onSwitch} disabled={isSwitching}>
+        {isSwitching ? <RefreshCw className="button-icon spinning" /> : null}
+        {isSwitching ? 'Check your wallet...' : `Switch to ${chainName}`}
+      </button>
+    </div>
+  );
+}
+
+export default NetworkBanner;
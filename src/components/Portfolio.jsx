@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ethers } from 'ethers';
+import { Briefcase, RefreshCw, TrendingDown, Lock } from 'lucide-react';
+import Link from './Link.jsx';
+import { fetchWalletTrades, buildPositions, getHeldCostBasis } from '../lib/portfolio.js';
+import { getDefaultSlippage } from '../lib/slippage.js';
+import { formatTokenAmount, formatEthAmount } from '../lib/format.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const formatPnl = (value) => {
+  const sign = value > 0n ? '+' : value < 0n ? '-' : '';
+  const magnitude = value < 0n ? -value : value;
+  return `${sign}${formatEthAmount(magnitude)}`;
+};
+
+const pnlClass = (value) => (value > 0n ? 'positive' : value < 0n ? 'negative' : '');
+
+/**
+ * Portfolio Component
+ * Holdings across all factory tokens with cost basis, realized and unrealized PnL
+ */
+function Portfolio({ tokens, provider, client, userAddress, startBlock, platformFee, encryptionEnabled, isConnected, onSellTokens }) {
+  const [walletTrades, setWalletTrades] = useState(null);
+  const [sellValues, setSellValues] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [sellingAddress, setSellingAddress] = useState(null);
+  const walletTradesRef = useRef(null);
+
+  const curveKey = tokens.map((token) => token.bondingCurveAddress.toLowerCase()).join(',');
+  const balanceKey = tokens.map((token) => `${token.address}:${token.userBalance || 0}`).join(',');
+
+  // Start over for another wallet
+  useEffect(() => {
+    walletTradesRef.current = null;
+    setWalletTrades(null);
+  }, [userAddress, startBlock]);
+
+  // Fetch the wallet's new trades whenever balances move
+  useEffect(() => {
+    if (!userAddress || !curveKey) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    fetchWalletTrades(provider, userAddress, walletTradesRef.current, startBlock)
+      .then((next) => {
+        if (cancelled) return;
+        walletTradesRef.current = next;
+        setWalletTrades(next);
+        setLoadError(null);
+      })
+      .catch((error) => {
+        console.error('Failed to load portfolio trades:', error);
+        if (cancelled) return;
+        setLoadError(error.code === 'DEPLOY_BLOCK_REQUIRED'
+          ? 'Cost basis and PnL unavailable - no deploy block is set for this network'
+          : 'Could not load trade history for this wallet');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, userAddress, startBlock, curveKey, balanceKey, refreshKey]);
+
+  const positions = useMemo(() => {
+    if (!walletTrades) return {};
+    const curves = new Set(curveKey.split(','));
+    return buildPositions(walletTrades.trades.filter((trade) => curves.has(trade.curveAddress)), platformFee);
+  }, [walletTrades, curveKey, platformFee]);
+
+  const holdings = useMemo(() => tokens.filter((token) => BigInt(token.userBalance || 0) > 0n), [tokens]);
+
+  // Mark-to-market at the current sell fee
+  useEffect(() => {
+    const sellable = holdings.filter((token) => !token.graduated);
+    if (!client || sellable.length === 0) {
+      setSellValues({});
+      return;
+    }
+
+    let cancelled = false;
+
+    Promise.all(sellable.map((token) => client.quoteSell(token, BigInt(token.userBalance))))
+      .then((previews) => {
+        if (cancelled) return;
+        const values = {};
+        sellable.forEach((token, index) => {
+          values[token.address] = previews[index].netAvaxOut;
+        });
+        setSellValues(values);
+      })
+      .catch((error) => {
+        console.error('Failed to preview portfolio sells:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, holdings]);
+
+  const rows = useMemo(() => {
+    return tokens
+      .map((token) => {
+        const position = positions[token.bondingCurveAddress.toLowerCase()];
+        const balance = BigInt(token.userBalance || 0);
+        if (balance === 0n && !position) return null;
+
+        const costBasis = getHeldCostBasis(position, balance);
+        const value = sellValues[token.address] ?? null;
+
+        return {
+          token,
+          balance,
+          costBasis,
+          value,
+          unrealizedPnl: value !== null && balance > 0n ? value - costBasis : 0n,
+          realizedPnl: position ? position.realizedPnl : 0n
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.value ?? 0n) > (a.value ?? 0n) ? 1 : -1);
+  }, [tokens, positions, sellValues]);
+
+  const totals = rows.reduce((sum, row) => ({
+    costBasis: sum.costBasis + row.costBasis,
+    value: sum.value + (row.value ?? 0n),
+    unrealizedPnl: sum.unrealizedPnl + row.unrealizedPnl,
+    realizedPnl: sum.realizedPnl + row.realizedPnl
+  }), { costBasis: 0n, value: 0n, unrealizedPnl: 0n, realizedPnl: 0n });
+
+  const handleSellAll = async (row) => {
+    setSellingAddress(row.token.address);
+    try {
+      await onSellTokens(row.token, ethers.formatEther(row.balance), getDefaultSlippage());
+    } finally {
+      setSellingAddress(null);
+    }
+  };
+
+  if (!isConnected) {
+    return (
+      <div className="marketplace-empty">
+        <h3>No Wallet Connected</h3>
+        <p>Connect your wallet to see your holdings and PnL.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="portfolio">
+      <div className="portfolio-header">
+        <h2>
+          <Briefcase className="tab-icon" />
+          Portfolio
+        </h2>
+        <button
+          className="refresh-btn"
+          onClick={() => setRefreshKey((key) => key + 1)}
+          disabled={isLoading}
+          title="Refresh portfolio"
+        >
+          <RefreshCw className={isLoading ? 'spinning' : ''} size={18} />
+        </button>
+      </div>
+
+      <div className="portfolio-summary">
+        <div className="stat-item">
+          <span className="stat-label">Value (net of fees)</span>
+          <span className="stat-value">{formatEthAmount(totals.value)} {NATIVE_SYMBOL}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Cost Basis</span>
+          <span className="stat-value">{formatEthAmount(totals.costBasis)} {NATIVE_SYMBOL}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Unrealized PnL</span>
+          <span className={`stat-value pnl ${pnlClass(totals.unrealizedPnl)}`}>
+            {formatPnl(totals.unrealizedPnl)} {NATIVE_SYMBOL}
+          </span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Realized PnL</span>
+          <span className={`stat-value pnl ${pnlClass(totals.realizedPnl)}`}>
+            {formatPnl(totals.realizedPnl)} {NATIVE_SYMBOL}
+          </span>
+        </div>
+      </div>
+
+      {loadError && <p className="error-hint">{loadError}</p>}
+
+      {rows.length === 0 ? (
+        <div className="marketplace-empty">
+          <h3>{isLoading ? 'Loading positions...' : 'No Positions'}</h3>
+          {!isLoading && <p>Tokens you buy will show up here.</p>}
+        </div>
+      ) : (
+        <div className="portfolio-table-wrapper">
+          <table className="portfolio-table">
+            <thead>
+              <tr>
+                <th>Token</th>
+                <th>Balance</th>
+                <th>Cost Basis</th>
+                <th>Value</th>
+                <th>Unrealized</th>
+                <th>Realized</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.token.address}>
+                  <td>
+                    <Link to={`/token/${row.token.address}`} className="token-name-link">
+                      {row.token.name} <span className="portfolio-symbol">${row.token.symbol}</span>
+                    </Link>
+                  </td>
+                  <td>{formatTokenAmount(row.balance)}</td>
+                  <td>{formatEthAmount(row.costBasis)}</td>
+                  <td>{row.token.graduated ? 'Graduated' : row.value === null ? '—' : formatEthAmount(row.value)}</td>
+                  <td className={`pnl ${pnlClass(row.unrealizedPnl)}`}>{formatPnl(row.unrealizedPnl)}</td>
+                  <td className={`pnl ${pnlClass(row.realizedPnl)}`}>{formatPnl(row.realizedPnl)}</td>
+                  <td>
+                    <button
+                      className={`portfolio-sell-button ${encryptionEnabled ? 'encrypted' : 'public'}`}
+                      onClick={() => handleSellAll(row)}
+                      disabled={row.balance === 0n || row.token.graduated || sellingAddress !== null}
+                    >
+                      {encryptionEnabled ? <Lock size={14} /> : <TrendingDown size={14} />}
+                      {sellingAddress === row.token.address ? 'Selling...' : 'Sell All'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Portfolio;
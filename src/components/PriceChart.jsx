@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { CANDLE_INTERVALS } from '../lib/candles.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 320;
+const PRICE_HEIGHT = 250;
+const VOLUME_TOP = 264;
+const AXIS_WIDTH = 80;
+const MAX_CANDLES = 80;
+
+const formatAxisPrice = (value) => {
+  if (value === 0) return '0';
+  if (value < 0.0001) return value.toExponential(2);
+  return value.toPrecision(4);
+};
+
+const formatCandleTime = (time, intervalSeconds) => {
+  const date = new Date(time * 1000);
+  return intervalSeconds >= 86400
+    ? date.toLocaleDateString()
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Price Chart Component
+ * SVG candlestick chart with volume bars and an interval selector
+ */
+function PriceChart({ candles, intervalSeconds, onIntervalChange, isLoading }) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const visible = candles.slice(-MAX_CANDLES);
+  const plotWidth = CHART_WIDTH - AXIS_WIDTH;
+  const slotWidth = plotWidth / Math.max(visible.length, 20);
+  const bodyWidth = Math.max(2, slotWidth * 0.6);
+
+  const high = Math.max(...visible.map((candle) => candle.high));
+  const low = Math.min(...visible.map((candle) => candle.low));
+  const padding = (high - low) * 0.1 || high * 0.05 || 1;
+  const top = high + padding;
+  const bottom = Math.max(0, low - padding);
+  const maxVolume = Math.max(...visible.map((candle) => candle.volume), 0);
+
+  const y = (price) => ((top - price) / (top - bottom)) * PRICE_HEIGHT;
+  const x = (index) => index * slotWidth + slotWidth / 2;
+  const gridPrices = [0, 0.25, 0.5, 0.75, 1].map((step) => top - (top - bottom) * step);
+
+  const hovered = hoverIndex !== null ? visible[hoverIndex] : visible[visible.length - 1];
+
+  return (
+    <div className="price-chart">
+      <div className="price-chart-header">
+        <div className="price-chart-ohlc">
+          {hovered ? (
+            <>
+              <span className="ohlc-time">{formatCandleTime(hovered.time, intervalSeconds)}</span>
+              <span>O <strong>{formatAxisPrice(hovered.open)}</strong></span>
+              <span>H <strong>{formatAxisPrice(hovered.high)}</strong></span>
+              <span>L <strong>{formatAxisPrice(hovered.low)}</strong></span>
+              <span className={hovered.close >= hovered.open ? 'up' : 'down'}>
+                C <strong>{formatAxisPrice(hovered.close)}</strong>
+              </span>
+              <span>Vol <strong>{hovered.volume.toFixed(2)} {NATIVE_SYMBOL}</strong></span>
+            </>
+          ) : (
+            <span className="ohlc-time">No trades yet</span>
+          )}
+        </div>
+
+        <div className="interval-selector">
+          {CANDLE_INTERVALS.map((interval) => (
+            <button
+              key={interval.seconds}
+              className={`interval-button ${interval.seconds === intervalSeconds ? 'active' : ''}`}
+              onClick={() => onIntervalChange(interval.seconds)}
+            >
+              {interval.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="price-chart-empty">
+          {isLoading ? 'Loading price history...' : 'Price history will appear after the first trade'}
+        </div>
+      ) : (
+        <svg
+          className="price-chart-svg"
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          preserveAspectRatio="none"
+          onMouseLeave={() => setHoverIndex(null)}
+        >
+          {gridPrices.map((price) => (
+            <g key={price}>
+              <line className="chart-grid" x1={0} x2={plotWidth} y1={y(price)} y2={y(price)} />
+              <text className="chart-axis-label" x={plotWidth + 6} y={y(price) + 4}>
+                {formatAxisPrice(price)}
+              </text>
+            </g>
+          ))}
+
+          {visible.map((candle, index) => {
+            const direction = candle.close >= candle.open ? 'up' : 'down';
+            const bodyTop = y(Math.max(candle.open, candle.close));
+            const bodyHeight = Math.max(1, Math.abs(y(candle.open) - y(candle.close)));
+            const volumeHeight = maxVolume > 0
+              ? (candle.volume / maxVolume) * (CHART_HEIGHT - VOLUME_TOP)
+              : 0;
+
+            return (
+              <g key={candle.time} className={`candle ${direction}`}>
+                <rect
+                  className="candle-volume"
+                  x={x(index) - bodyWidth / 2}
+                  y={CHART_HEIGHT - volumeHeight}
+                  width={bodyWidth}
+                  height={volumeHeight}
+                />
+                <line className="candle-wick" x1={x(index)} x2={x(index)} y1={y(candle.high)} y2={y(candle.low)} />
+                <rect
+                  className="candle-body"
+                  x={x(index) - bodyWidth / 2}
+                  y={bodyTop}
+                  width={bodyWidth}
+                  height={bodyHeight}
+                />
+                <rect
+                  className="candle-hit"
+                  x={index * slotWidth}
+                  y={0}
+                  width={slotWidth}
+                  height={CHART_HEIGHT}
+                  onMouseEnter={() => setHoverIndex(index)}
+                />
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </div>
+  );
+}
+
+export default PriceChart;
@@ -0,0 +1,38 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+/**
+ * Price Ticker Component
+ * Renders a value and briefly flashes green/red when it moves up or down
+ */
+function PriceTicker({ value, children, className = '' }) {
+  const [direction, setDirection] = useState(null);
+  const valueKey = value === undefined || value === null ? '' : value.toString();
+  const previousValue = useRef(valueKey);
+
+  useEffect(() => {
+    const previous = previousValue.current;
+    previousValue.current = valueKey;
+
+    if (previous === '' || valueKey === '') return;
+
+    try {
+      const before = BigInt(previous);
+      const after = BigInt(valueKey);
+      if (before === after) return;
+
+      setDirection(after > before ? 'up' : 'down');
+      const timer = setTimeout(() => setDirection(null), 1500);
+      return () => clearTimeout(timer);
+    } catch {
+      return;
+    }
+  }, [valueKey]);
+
+  return (
+    <span className={`price-ticker ${direction ? `flash-${direction}` : ''} ${className}`}>
+      {children}
+    </span>
+  );
+}
+
+export default PriceTicker;
@@ -0,0 +1,37 @@
+import React from 'react';
+import LinkIcon from './LinkIcon.jsx';
+
+/**
+ * Project Links Component
+ * Renders a token's links from getTokenLinks(). With showMissing, link types
+ * the token does not have are shown disabled, so every card lines up
+ * @param preview Links are shown but not followed (create form preview)
+ */
+function ProjectLinks({ links, showMissing = false, preview = false }) {
+  const visible = showMissing ? links : links.filter((link) => link.url);
+  if (visible.length === 0) return null;
+
+  return (
+    <div className="token-project-links">
+      {visible.map((link, index) => {
+        const available = !!link.url;
+        return (
+          <a
+            key={`${link.type}-${index}`}
+            href={available ? link.url : '#'}
+            target={available ? '_blank' : '_self'}
+            rel={available ? 'noopener noreferrer' : ''}
+            className={`project-link ${available ? 'available' : 'disabled'}`}
+            title={available ? link.label : `${link.label} not provided`}
+            onClick={available && !preview ? undefined : (e) => e.preventDefault()}
+          >
+            <LinkIcon type={link.type} className="project-link-icon" />
+            <span className="project-link-label">{link.label}</span>
+          </a>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ProjectLinks;
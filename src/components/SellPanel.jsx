@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Lock, Eye, TrendingDown } from 'lucide-react';
+import SlippageSettings from './SlippageSettings.jsx';
+import { getDefaultSlippage, applySlippage } from '../lib/slippage.js';
+import { getStandingAllowance, setStandingAllowance } from '../lib/allowance.js';
+import { formatTokenAmount, formatEthAmount } from '../lib/format.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const EMPTY_PREVIEW = {
+  avaxOut: '0',
+  netAvaxOut: '0',
+  sellFee: '0',
+  feeAmount: '0'
+};
+
+/**
+ * Sell Panel Component
+ * Amount input, preview, slippage and submit for selling into a curve
+ */
+function SellPanel({ token, client, encryptionEnabled, isConnected, onSellTokens, onSubmitted, onCancel }) {
+  const [sellAmount, setSellAmount] = useState('');
+  const [isSelling, setIsSelling] = useState(false);
+  const [slippageBps, setSlippageBps] = useState(getDefaultSlippage());
+  const [sellPreview, setSellPreview] = useState(EMPTY_PREVIEW);
+  const [standingAllowance, setStandingAllowanceState] = useState(getStandingAllowance);
+
+  const balance = BigInt(token.userBalance || 0);
+
+  // Quotes come from the curve state on the record, so they follow live trades
+  const { tokensSold, avaxRaised, graduated, launchTime } = token;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const updateSellPreview = async () => {
+      if (!client || !sellAmount || parseFloat(sellAmount) <= 0) {
+        setSellPreview(EMPTY_PREVIEW);
+        return;
+      }
+
+      try {
+        const preview = await client.quoteSell(
+          { tokensSold, avaxRaised, graduated, launchTime },
+          ethers.parseEther(sellAmount)
+        );
+
+        if (!cancelled) {
+          setSellPreview({
+            avaxOut: preview.avaxOut.toString(),
+            netAvaxOut: preview.netAvaxOut.toString(),
+            sellFee: preview.sellFee.toString(),
+            feeAmount: preview.feeAmount.toString()
+          });
+        }
+      } catch (error) {
+        console.error('Error getting sell preview:', error);
+        if (!cancelled) setSellPreview(EMPTY_PREVIEW);
+      }
+    };
+
+    updateSellPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [sellAmount, client, tokensSold, avaxRaised, graduated, launchTime]);
+
+  const handleSellSubmit = async () => {
+    const amount = parseFloat(sellAmount);
+
+    if (!isConnected) {
+      alert('Please connect your wallet to sell tokens');
+      return;
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+      alert('Please enter a valid sell amount');
+      return;
+    }
+
+    // Check if they have enough tokens
+    if (balance === 0n || ethers.parseEther(sellAmount) > balance) {
+      alert('You do not have enough tokens to sell');
+      return;
+    }
+
+    setIsSelling(true);
+
+    // Hand control back to the container as soon as the transaction starts
+    const submittedAmount = sellAmount;
+    setSellAmount('');
+    onSubmitted?.();
+
+    try {
+      await onSellTokens(token, submittedAmount, slippageBps);
+    } catch (error) {
+      console.error('Sell failed:', error);
+    } finally {
+      setIsSelling(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-body">
+        {/* Sell Amount Input */}
+        <div className="form-group">
+          <label className="form-label">
+            Tokens to Sell
+            <span className="balance-info">
+              Balance: {formatTokenAmount(balance)} {token.symbol}
+            </span>
+          </label>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            className="form-input"
+            value={sellAmount}
+            onChange={(e) => setSellAmount(e.target.value)}
+            placeholder="Enter amount to sell"
+          />
+        </div>
+
+        {/* Sell Preview */}
+        <div className="purchase-preview">
+          <h4>Sell Preview</h4>
+          <div className="preview-item">
+            <span>You sell:</span>
+            <span>{sellAmount || '0'} {token.symbol}</span>
+          </div>
+          <div className="preview-item">
+            <span>You receive (gross):</span>
+            <span>{formatEthAmount(sellPreview.avaxOut)} {NATIVE_SYMBOL}</span>
+          </div>
+          <div className="preview-item">
+            <span>You receive (net):</span>
+            <span>{formatEthAmount(sellPreview.netAvaxOut)} {NATIVE_SYMBOL}</span>
+          </div>
+          <div className="preview-item warning">
+            <span>Sell fee:</span>
+            <span>{(Number(sellPreview.sellFee) / 100).toFixed(2)}%</span>
+          </div>
+          <div className="preview-item warning">
+            <span>Fee amount:</span>
+            <span>{formatEthAmount(sellPreview.feeAmount)} {NATIVE_SYMBOL}</span>
+          </div>
+          <div className="preview-item">
+            <span>Minimum received:</span>
+            <span>{formatEthAmount(applySlippage(sellPreview.netAvaxOut, slippageBps))} {NATIVE_SYMBOL}</span>
+          </div>
+        </div>
+
+        <SlippageSettings slippageBps={slippageBps} onChange={setSlippageBps} />
+
+        {/* Standing allowance: approve once, then every sale is one transaction */}
+        <label className="standing-allowance">
+          <input
+            type="checkbox"
+            checked={standingAllowance}
+            onChange={(e) => setStandingAllowanceState(setStandingAllowance(e.target.checked))}
+          />
+          <span>Keep tokens approved for future sells</span>
+        </label>
+        <div className="input-hint">
+          {standingAllowance
+            ? 'The next approval covers any amount, so later sales of this token are a single transaction'
+            : 'Each sale approves exactly its amount first'}
+        </div>
+
+        {/* Encryption Notice */}
+        {encryptionEnabled ? (
+          <div className="encryption-notice success">
+            <Lock className="notice-icon" />
+            <div className="notice-content">
+              <strong>Private Transaction</strong>
+              <p>Your approval and sale will be encrypted and protected from MEV</p>
+            </div>
+          </div>
+        ) : (
+          <div className="encryption-notice warning">
+            <Eye className="notice-icon" />
+            <div className="notice-content">
+              <strong>Public Transaction</strong>
+              <p>Your sale will be visible and may be subject to front-running</p>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="modal-footer">
+        {onCancel && (
+          <button
+            className="cancel-button"
+            onClick={onCancel}
+            disabled={isSelling}
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          className={`confirm-button ${encryptionEnabled ? 'encrypted' : 'public'}`}
+          onClick={handleSellSubmit}
+          disabled={isSelling || token.graduated || !isConnected || !sellAmount || parseFloat(sellAmount) <= 0}
+        >
+          {isSelling ? (
+            'Processing...'
+          ) : encryptionEnabled ? (
+            <>
+              <Lock className="button-icon" />
+              Sell Privately
+            </>
+          ) : (
+            <>
+              <TrendingDown className="button-icon" />
+              Sell Publicly
+            </>
+          )}
+        </button>
+      </div>
+    </>
+  );
+}
+
+export default SellPanel;
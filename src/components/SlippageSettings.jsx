@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Settings } from 'lucide-react';
+import {
+  SLIPPAGE_PRESETS,
+  MAX_SLIPPAGE_BPS,
+  formatSlippage,
+  percentToBps,
+  getDefaultSlippage,
+  setDefaultSlippage
+} from '../lib/slippage.js';
+
+/**
+ * Slippage Settings Component
+ * Per-trade tolerance override with an option to save it as the default
+ */
+function SlippageSettings({ slippageBps, onChange }) {
+  const [customValue, setCustomValue] = useState('');
+  const [savedDefault, setSavedDefault] = useState(getDefaultSlippage());
+
+  const handlePresetClick = (bps) => {
+    setCustomValue('');
+    onChange(bps);
+  };
+
+  const handleCustomChange = (value) => {
+    setCustomValue(value);
+    if (value !== '' && !isNaN(parseFloat(value))) {
+      onChange(percentToBps(value));
+    }
+  };
+
+  const handleSaveDefault = () => {
+    setSavedDefault(setDefaultSlippage(slippageBps));
+  };
+
+  return (
+    <div className="slippage-settings">
+      <div className="slippage-header">
+        <Settings className="slippage-icon" />
+        <span className="slippage-title">Slippage Tolerance</span>
+        <span className="slippage-current">{formatSlippage(slippageBps)}</span>
+      </div>
+
+      <div className="slippage-options">
+        {SLIPPAGE_PRESETS.map((bps) => (
+          <button
+            key={bps}
+            type="button"
+            className={`slippage-preset ${slippageBps === bps && !customValue ? 'active' : ''}`}
+            onClick={() => handlePresetClick(bps)}
+          >
+            {formatSlippage(bps)}
+          </button>
+        ))}
+        <div className="slippage-custom">
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            max={MAX_SLIPPAGE_BPS / 100}
+            className="form-input"
+            value={customValue}
+            onChange={(e) => handleCustomChange(e.target.value)}
+            placeholder="Custom"
+          />
+          <span className="currency">%</span>
+        </div>
+      </div>
+
+      <div className="slippage-footer">
+        <span className="slippage-hint">
+          Default: {formatSlippage(savedDefault)}
+        </span>
+        <button
+          type="button"
+          className="slippage-save"
+          onClick={handleSaveDefault}
+          disabled={slippageBps === savedDefault}
+        >
+          Save as default
+        </button>
+      </div>
+
+      {slippageBps >= 1000 && (
+        <div className="slippage-warning">
+          High tolerance - your trade may execute at a much worse price
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SlippageSettings;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TokenCard from './TokenCard.jsx';
+import { createLaunchpadClient } from '../lib/launchpadClient.js';
+import { makeToken, resetChain } from '../test/mockChain.js';
+
+vi.mock('@skalenetwork/bite', () => import('../test/fakeBite.js'));
+vi.mock('../lib/readBatcher.js', async () => (await import('../test/mockChain.js')).readBatcherMock);
+
+const WEI = 10n ** 18n;
+const FACTORY_ADDRESS = '0x4000000000000000000000000000000000000004';
+
+const renderCard = (token, props = {}) => {
+  resetChain();
+  const onBuyTokens = vi.fn(async () => true);
+  const onSellTokens = vi.fn(async () => true);
+  render(
+    <TokenCard
+      token={token}
+      client={createLaunchpadClient({ provider: null, factoryAddress: FACTORY_ADDRESS })}
+      onBuyTokens={onBuyTokens}
+      onSellTokens={onSellTokens}
+      encryptionEnabled
+      isConnected
+      {...props}
+    />
+  );
+  return { onBuyTokens, onSellTokens, user: userEvent.setup() };
+};
+
+describe('TokenCard', () => {
+  it('shows the curve stats', () => {
+    renderCard(makeToken({ userBalance: 2500n * WEI }));
+
+    expect(screen.getByText('Test Token')).toBeInTheDocument();
+    expect(screen.getByText('$TEST')).toBeInTheDocument();
+    expect(screen.getByText('5.0000 FAIR')).toBeInTheDocument();
+    expect(screen.getByText('1.0K')).toBeInTheDocument();
+    expect(screen.getByText('2.5K')).toBeInTheDocument();
+    expect(screen.getByText('10.0%')).toBeInTheDocument();
+  });
+
+  it('disables selling without a balance', () => {
+    renderCard(makeToken());
+
+    expect(screen.getByRole('button', { name: 'No Tokens' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Buy TEST' })).toBeEnabled();
+  });
+
+  it('disables trading until a wallet is connected', () => {
+    renderCard(makeToken({ userBalance: WEI }), { isConnected: false });
+
+    expect(screen.getByRole('button', { name: 'Buy TEST' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Sell TEST' })).toBeDisabled();
+  });
+
+  it('marks graduated tokens and blocks trading', () => {
+    renderCard(makeToken({ graduated: true, userBalance: WEI }));
+
+    expect(screen.getAllByText('Graduated')).toHaveLength(3);
+    for (const button of screen.getAllByRole('button', { name: 'Graduated' })) {
+      expect(button).toBeDisabled();
+    }
+  });
+
+  it('buys through the modal with the output quoted from the curve state', async () => {
+    const token = makeToken();
+    const { user, onBuyTokens } = renderCard(token);
+
+    await user.click(screen.getByRole('button', { name: 'Buy TEST' }));
+    expect(screen.getByText('Private Transaction')).toBeInTheDocument();
+    expect(await screen.findByText('129.1K TEST')).toBeInTheDocument();
+
+    await user.click(screen.getAllByRole('button', { name: 'Buy TEST' }).at(-1));
+    expect(onBuyTokens).toHaveBeenCalledWith(expect.objectContaining({ address: token.address }), '0.1', 100);
+    expect(screen.queryByText('Buy TEST Tokens')).not.toBeInTheDocument();
+  });
+
+  it('refuses to sell more than the balance', async () => {
+    const { user, onSellTokens } = renderCard(makeToken({ userBalance: 10n * WEI }));
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+
+    await user.click(screen.getByRole('button', { name: 'Sell TEST' }));
+    await user.type(screen.getByPlaceholderText('Enter amount to sell'), '11');
+    await user.click(screen.getByRole('button', { name: 'Sell Privately' }));
+
+    expect(alert).toHaveBeenCalledWith('You do not have enough tokens to sell');
+    expect(onSellTokens).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ArrowLeft, Users, CheckCircle, Clock, User, Activity } from 'lucide-react';
+import Link from './Link.jsx';
+import PriceChart from './PriceChart.jsx';
+import PriceTicker from './PriceTicker.jsx';
+import BuyPanel from './BuyPanel.jsx';
+import SellPanel from './SellPanel.jsx';
+import TokenImage from './TokenImage.jsx';
+import ProjectLinks from './ProjectLinks.jsx';
+import { fetchTokenHistory, getHolderCount } from '../lib/tokenHistory.js';
+import { buildCandles } from '../lib/candles.js';
+import { formatTokenAmount, formatEthAmount, formatPrice, formatAddress, formatTimeAgo } from '../lib/format.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+import { useTokenLinks } from '../lib/tokenMetadata.js';
+
+const { nativeSymbol: NATIVE_SYMBOL, deployBlock: DEPLOY_BLOCK } = getActiveDeployment();
+
+const DEFAULT_INTERVAL = 5 * 60;
+const TRADE_ROWS = 50;
+
+/**
+ * Token Detail Component
+ * Full page for a single launch: price chart, trade history, holders and trading
+ */
+function TokenDetail({ address, tokens, isLoadingTokens, provider, client, encryptionEnabled, isConnected, onBuyTokens, onSellTokens }) {
+  const [history, setHistory] = useState(null);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+  const [intervalSeconds, setIntervalSeconds] = useState(DEFAULT_INTERVAL);
+  const [tradeSide, setTradeSide] = useState('buy');
+  const historyRef = useRef(null);
+
+  const token = useMemo(
+    () => tokens.find((candidate) => candidate.address.toLowerCase() === address.toLowerCase()),
+    [tokens, address]
+  );
+
+  const tokenKey = token ? token.address : null;
+  const links = useTokenLinks(token);
+
+  // Start over when switching tokens
+  useEffect(() => {
+    historyRef.current = null;
+    setHistory(null);
+    setHistoryError(null);
+  }, [tokenKey]);
+
+  // History only needs where the token lives; price and supply just say when to refetch
+  const bondingCurveAddress = token?.bondingCurveAddress;
+  const createdBlock = token?.createdBlock;
+  const currentPrice = token?.currentPrice;
+  const tokensSold = token?.tokensSold;
+
+  // Refetch the delta whenever live events move the curve
+  useEffect(() => {
+    if (!provider || !tokenKey) return;
+
+    let cancelled = false;
+    setIsLoadingHistory(true);
+
+    const location = { address: tokenKey, bondingCurveAddress, createdBlock };
+    fetchTokenHistory(provider, location, historyRef.current, DEPLOY_BLOCK)
+      .then((next) => {
+        if (cancelled) return;
+        historyRef.current = next;
+        setHistory(next);
+        setHistoryError(null);
+      })
+      .catch((error) => {
+        console.error('Failed to load token history:', error);
+        if (cancelled) return;
+        setHistoryError(error.code === 'DEPLOY_BLOCK_REQUIRED'
+          ? 'Trade history unavailable - no deploy block is set for this network'
+          : 'Could not load trade history');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingHistory(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, tokenKey, bondingCurveAddress, createdBlock, currentPrice, tokensSold]);
+
+  const candles = useMemo(
+    () => (history ? buildCandles(history.pricePoints, history.trades, intervalSeconds) : []),
+    [history, intervalSeconds]
+  );
+
+  const recentTrades = useMemo(
+    () => (history ? [...history.trades].reverse().slice(0, TRADE_ROWS) : []),
+    [history]
+  );
+
+  if (!token) {
+    return (
+      <div className="token-detail">
+        <Link to="/trade" className="back-link">
+          <ArrowLeft className="back-link-icon" />
+          Back to marketplace
+        </Link>
+        <div className="token-detail-empty">
+          {isLoadingTokens || !provider
+            ? 'Loading token...'
+            : `No token found at ${address}`}
+        </div>
+      </div>
+    );
+  }
+
+  const progress = Math.min(Number(token.progressToGraduation) / 100, 100);
+
+  return (
+    <div className="token-detail">
+      <Link to="/trade" className="back-link">
+        <ArrowLeft className="back-link-icon" />
+        Back to marketplace
+      </Link>
+
+      <div className="token-detail-header">
+        <div className="token-image-container">
+          <TokenImage
+            src={token.imageUrl}
+            alt={`${token.name} logo`}
+            className="token-image"
+            fallback={<div className="token-image-placeholder">{token.symbol.charAt(0)}</div>}
+          />
+        </div>
+        <div className="token-detail-title">
+          <h2>
+            {token.name} <span className="token-symbol">${token.symbol}</span>
+          </h2>
+          <div className="token-detail-meta">
+            <span><User className="metadata-icon" /> {formatAddress(token.creator)}</span>
+            <span><Clock className="metadata-icon" /> {formatTimeAgo(token.launchTime)}</span>
+            {token.graduated && (
+              <span className="graduated-badge">
+                <CheckCircle className="graduated-icon" />
+                Graduated
+              </span>
+            )}
+          </div>
+          {token.description && <p className="token-description">{token.description}</p>}
+          <ProjectLinks links={links} />
+        </div>
+      </div>
+
+      <div className="token-detail-stats">
+        <div className="stat-item">
+          <span className="stat-label">Price ({NATIVE_SYMBOL})</span>
+          <PriceTicker value={token.currentPrice} className="stat-value">
+            {formatPrice(token.currentPrice)}
+          </PriceTicker>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Raised</span>
+          <PriceTicker value={token.avaxRaised} className="stat-value">
+            {formatEthAmount(token.avaxRaised)} {NATIVE_SYMBOL}
+          </PriceTicker>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Tokens Sold</span>
+          <span className="stat-value">{formatTokenAmount(token.tokensSold)}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">
+            <Users className="metadata-icon" /> Holders
+          </span>
+          <span className="stat-value">{history ? getHolderCount(history) : '—'}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Graduation</span>
+          <span className="stat-value">{progress.toFixed(1)}%</span>
+        </div>
+      </div>
+
+      <div className="token-detail-layout">
+        <div className="token-detail-main">
+          <PriceChart
+            candles={candles}
+            intervalSeconds={intervalSeconds}
+            onIntervalChange={setIntervalSeconds}
+            isLoading={isLoadingHistory}
+          />
+
+          <div className="trade-history">
+            <h3 className="trade-history-title">
+              <Activity className="metadata-icon" />
+              Trade History
+            </h3>
+            {historyError && <p className="error-hint">{historyError}</p>}
+            {recentTrades.length === 0 ? (
+              !historyError && (
+                <p className="trade-history-empty">
+                  {isLoadingHistory ? 'Loading trades...' : 'No trades yet'}
+                </p>
+              )
+            ) : (
+              <table className="trade-history-table">
+                <thead>
+                  <tr>
+                    <th>Type</th>
+                    <th>Account</th>
+                    <th>{NATIVE_SYMBOL}</th>
+                    <th>{token.symbol}</th>
+                    <th>Price</th>
+                    <th>Time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recentTrades.map((trade) => (
+                    <tr key={trade.id} className={`trade-row ${trade.type}`}>
+                      <td className="trade-type">{trade.type === 'buy' ? 'Buy' : 'Sell'}</td>
+                      <td title={trade.account}>{formatAddress(trade.account)}</td>
+                      <td>{formatEthAmount(trade.fairAmount)}</td>
+                      <td>{formatTokenAmount(trade.tokenAmount)}</td>
+                      <td>{formatPrice(trade.price)}</td>
+                      <td title={trade.txHash}>{formatTimeAgo(trade.timestamp)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        <div className="token-detail-trade">
+          <div className="trade-side-toggle">
+            <button
+              className={`trade-side-button ${tradeSide === 'buy' ? 'active' : ''}`}
+              onClick={() => setTradeSide('buy')}
+            >
+              Buy
+            </button>
+            <button
+              className={`trade-side-button ${tradeSide === 'sell' ? 'active' : ''}`}
+              onClick={() => setTradeSide('sell')}
+            >
+              Sell
+            </button>
+          </div>
+
+          {tradeSide === 'buy' ? (
+            <BuyPanel
+              token={token}
+              client={client}
+              encryptionEnabled={encryptionEnabled}
+              isConnected={isConnected}
+              onBuyTokens={onBuyTokens}
+            />
+          ) : (
+            <SellPanel
+              token={token}
+              client={client}
+              encryptionEnabled={encryptionEnabled}
+              isConnected={isConnected}
+              onSellTokens={onSellTokens}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TokenDetail;
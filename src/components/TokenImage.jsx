@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from 'react';
+import { getImageSources, resolveImageSources } from '../lib/imageStorage.js';
+
+/**
+ * Token Image Component
+ * Resolves a token's imageUrl (ipfs:// or http) and works through the cached
+ * copy and gateways until one loads, then shows the fallback
+ */
+function TokenImage({ src, alt, className, fallback }) {
+  const [sources, setSources] = useState(() => getImageSources(src));
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const initial = getImageSources(src);
+    setSources(initial);
+    setIndex(0);
+    resolveImageSources(src).then((resolved) => {
+      // Only longer when a cached copy was found, which goes first
+      if (cancelled || resolved.length === initial.length) return;
+      setSources(resolved);
+      setIndex(0);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  if (index >= sources.length) {
+    return fallback;
+  }
+
+  return (
+    <img
+      src={sources[index]}
+      alt={alt}
+      className={className}
+      onError={() => setIndex((current) => current + 1)}
+    />
+  );
+}
+
+export default TokenImage;
@@ -1,93 +1,94 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { ethers } from 'ethers';
-import { BITE } from '@skalenetwork/bite';
-import { Shield, Lock, Eye, Zap, TrendingUp, AlertCircle, CheckCircle, LogOut, Wallet, Twitter, MessageCircle, Github, Send } from 'lucide-react';
+import { Shield, Lock, Eye, Zap, TrendingUp, AlertCircle, CheckCircle, LogOut, Wallet, Briefcase, Rocket, Twitter, MessageCircle, Github, Send } from 'lucide-react';
 import TokenCard from './TokenCard.jsx';
 import CreateTokenForm from './CreateTokenForm.jsx';
 import TokenPreview from './TokenPreview.jsx';
+import LaunchSimulator from './LaunchSimulator.jsx';
 import TransactionModal from './TransactionModal.jsx';
+import WalletPicker from './WalletPicker.jsx';
+import NetworkBanner from './NetworkBanner.jsx';
+import GasBanner from './GasBanner.jsx';
+import ActivityCenter from './ActivityCenter.jsx';
+import DeploymentPicker from './DeploymentPicker.jsx';
 import TokensMarketplace from './TokensMarketplace.jsx';
+import TokenDetail from './TokenDetail.jsx';
+import Portfolio from './Portfolio.jsx';
+import CreatorDashboard from './CreatorDashboard.jsx';
+import { getDefaultSlippage } from '../lib/slippage.js';
+import { getStandingAllowance, getApprovalAmount } from '../lib/allowance.js';
+import { getRevertReason, describeRevert } from '../lib/revertReasons.js';
+import { checkGasBalance, waitForGas, createFaucet } from '../lib/gasFaucet.js';
+import { applyCurveEvent } from '../lib/tokenIndexer.js';
+import { createActivityLog, useActivity } from '../lib/activity.js';
+import { createLaunchpadClient } from '../lib/launchpadClient.js';
+import { plainTransport, connectBiteTransport } from '../lib/transports.js';
+import { useLocation, matchPath, navigate } from '../lib/router.js';
+import {
+  WALLETCONNECT_ID,
+  discoverInjectedWallets,
+  createWalletConnectProvider,
+  isWalletConnectAvailable,
+  getLastWallet,
+  setLastWallet,
+  clearLastWallet,
+  watchWalletEvents
+} from '../lib/wallets.js';
+import { isSameChain, switchToChain } from '../lib/network.js';
+import { getActiveDeployment, listDeployments, selectDeployment } from '../lib/deployments.js';
 
 const BITE_ENABLED = true;
-const BITE_DEBUG_MODE = false;
-
-const FACTORY_ABI = [
-  "function createToken(string name, string symbol, string description, string imageUrl, uint256 initialBuyAmount) external payable returns (address token, address bondingCurve)",
-  "function createTokenWithSocials(string name, string symbol, string description, string imageUrl, string website, string twitter, uint256 initialBuyAmount) external payable returns (address token, address bondingCurve)",
-  "function getAllTokens() external view returns (address[] memory)",
-  "function tokenToBondingCurve(address token) external view returns (address)",
-  "function getBondingCurve(address token) external view returns (address)",
-  "function tokenCreationFee() external view returns (uint256)",
-  "function platformFeePercent() external view returns (uint256)",
-  "function treasury() external view returns (address)"
-];
-
-const BONDING_CURVE_ABI = [
-  "function buyTokens(uint256 minTokensOut) external payable",
-  "function sellTokens(uint256 tokenAmount, uint256 minAvaxOut) external",
-  "function previewBuy(uint256 avaxAmount) external view returns (uint256 tokensOut, uint256 newPrice, uint256 priceImpact, uint256 platformFee)",
-  "function previewSell(uint256 tokenAmount) external view returns (uint256 avaxOut, uint256 netAvaxOut, uint256 sellFee, uint256 feeAmount)",
-  "function getCurrentPrice() external view returns (uint256)",
-  "function getTokenInfo() external view returns (uint256 tokensSold, uint256 avaxRaised, uint256 currentSellFee, bool graduated, uint256 progress)",
-  "function token() external view returns (address)",
-  "function graduated() external view returns (bool)"
-];
-
-const TOKEN_ABI = [
-  "function name() external view returns (string)",
-  "function symbol() external view returns (string)",
-  "function decimals() external view returns (uint8)",
-  "function balanceOf(address owner) external view returns (uint256)",
-  "function approve(address spender, uint256 amount) external returns (bool)",
-  "function allowance(address owner, address spender) external view returns (uint256)",
-  "function getMetadata() external view returns (string description, string imageUrl, address creator, uint256 launchTime)",
-  "function getSocialLinks() external view returns (string website, string twitter)"
-];
-
-const FACTORY_ADDRESS = import.meta.env.VITE_FACTORY_ADDRESS || "0xD45A094Df292d84ec071d70d186Eb0061e0Be199";
-const SKALE_ENDPOINT = import.meta.env.VITE_SKALE_ENDPOINT || "https://testnet-rpc.fair.cloud/";
-
-const validateSkaleEndpoint = async (endpoint) => {
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        method: 'web3_clientVersion',
-        params: [],
-        id: 1
-      })
-    });
-    
-    const result = await response.json();
-    
-    return response.ok && result.result;
-  } catch (error) {
-    console.error('SKALE endpoint validation failed:', error);
-    return false;
-  }
+
+const DEPLOYMENT = getActiveDeployment();
+const FACTORY_ADDRESS = DEPLOYMENT.factoryAddress;
+const SKALE_ENDPOINT = DEPLOYMENT.rpcUrl;
+const BITE_ENDPOINT = DEPLOYMENT.biteEndpoint;
+const FAUCET = createFaucet(DEPLOYMENT.faucet);
+
+const TAB_ROUTES = {
+  '/': 'create',
+  '/create': 'create',
+  '/trade': 'trade',
+  '/portfolio': 'portfolio',
+  '/launches': 'launches'
 };
 
 function TokenLaunchpad() {
-  const [provider, setProvider] = useState(null);
+  // Reads never depend on the wallet: browsing works before (and after) connecting
+  const provider = useMemo(() => new ethers.JsonRpcProvider(SKALE_ENDPOINT), []);
   const [signer, setSigner] = useState(null);
+  const [injectedWallets, setInjectedWallets] = useState([]);
+  const [isWalletPickerOpen, setIsWalletPickerOpen] = useState(false);
+  const [connectingWalletId, setConnectingWalletId] = useState(null);
+  const walletSessionRef = useRef(null);
+  const autoReconnectRef = useRef(false);
   const [userAddress, setUserAddress] = useState('');
   const [networkName, setNetworkName] = useState('');
+  const [walletChainId, setWalletChainId] = useState(null);
+  const [expectedChainId, setExpectedChainId] = useState(DEPLOYMENT.chainId);
+  const [isSwitchingNetwork, setIsSwitchingNetwork] = useState(false);
+  // { balance, reserve, sufficient } for the connected wallet, null until checked
+  const [gasBalance, setGasBalance] = useState(null);
+  const [isToppingUp, setIsToppingUp] = useState(false);
   
-  const [biteInstance, setBiteInstance] = useState(null);
+  const [biteTransport, setBiteTransport] = useState(null);
   const [encryptionEnabled, setEncryptionEnabled] = useState(false);
   const [biteStatus, setBiteStatus] = useState('disconnected');
   
   const [tokens, setTokens] = useState([]);
   const [isLoadingTokens, setIsLoadingTokens] = useState(false);
+  const [liveFeedMode, setLiveFeedMode] = useState(null);
+  const userAddressRef = useRef(userAddress);
   const [platformFee, setPlatformFee] = useState('0');
   const [creationFee, setCreationFee] = useState('0');
+  const [metadataSupported, setMetadataSupported] = useState(true);
   
-  const [activeTab, setActiveTab] = useState('create');
   const [notification, setNotification] = useState(null);
+
+  // The URL is the source of truth for the current view
+  const { pathname } = useLocation();
+  const tokenRoute = matchPath('/token/:address', pathname);
+  const activeTab = tokenRoute ? 'token' : TAB_ROUTES[pathname] || null;
   
   const [previewFormData, setPreviewFormData] = useState({
     name: '',
@@ -104,7 +105,8 @@ function TokenLaunchpad() {
     type: '',
     data: null,
     status: 'loading',
-    error: null
+    error: null,
+    revert: null
   });
 
   const initializeBiteEncryption = useCallback(async () => {
@@ -117,63 +119,9 @@ function TokenLaunchpad() {
     setBiteStatus('connecting');
     
     try {
+      const transport = await connectBiteTransport(BITE_ENDPOINT, { gasOverhead: DEPLOYMENT.biteGasOverhead });
       
-      const isEndpointValid = await validateSkaleEndpoint(SKALE_ENDPOINT);
-      if (!isEndpointValid) {
-        throw new Error(`SKALE endpoint validation failed: ${SKALE_ENDPOINT}`);
-      }
-      
-      const bite = new BITE(SKALE_ENDPOINT);
-      
-      if (BITE_DEBUG_MODE) {
-        console.log('BITE Debug - Instance created:', {
-          endpoint: SKALE_ENDPOINT,
-          biteInstance: !!bite,
-          bitePrototype: Object.getOwnPropertyNames(Object.getPrototypeOf(bite))
-        });
-      }
-      
-      const publicKey = await bite.getCommitteesInfo(SKALE_ENDPOINT);
-      
-      if (!publicKey || publicKey.length === 0) {
-        throw new Error('Invalid public key received from BITE');
-      }
-      
-      if (BITE_DEBUG_MODE) {
-        console.log('BITE Debug - Public key details:', {
-          length: publicKey.length,
-          type: typeof publicKey,
-          preview: Array.isArray(publicKey) ? `Array[${publicKey.length}]` : `${publicKey.slice(0, 20)}...`
-        });
-      }
-      
-      const testTx = {
-        to: '0x0000000000000000000000000000000000000000',
-        data: '0x',
-        value: '0x0',
-        gasLimit: 500000
-      };
-      
-      const testEncrypted = await bite.encryptTransaction(testTx);
-      
-      if (!testEncrypted || !testEncrypted.to || !testEncrypted.data) {
-        throw new Error('BITE encryption test failed - invalid response structure');
-      }
-      
-      if (BITE_DEBUG_MODE) {
-        console.log('BITE Debug - Test encryption result:', {
-          originalTo: testTx.to,
-          encryptedTo: testEncrypted.to,
-          isValidEthAddress: ethers.isAddress(testEncrypted.to),
-          dataLengthChange: `${testTx.data.length} -> ${testEncrypted.data.length}`
-        });
-      }
-      
-      if (!ethers.isAddress(testEncrypted.to)) {
-        console.warn('BITE returned non-standard address format:', testEncrypted.to);
-      }
-      
-      setBiteInstance(bite);
+      setBiteTransport(transport);
       setEncryptionEnabled(true);
       setBiteStatus('connected');
   
@@ -185,7 +133,7 @@ function TokenLaunchpad() {
       console.error('Error details:', {
         message: error.message,
         stack: error.stack,
-        endpoint: SKALE_ENDPOINT,
+        endpoint: BITE_ENDPOINT,
         biteEnabled: BITE_ENABLED
       });
       
@@ -203,59 +151,170 @@ function TokenLaunchpad() {
       }
       
       showNotification(errorMessage, 'warning');
-      
-      if (BITE_DEBUG_MODE) {
-        console.log('BITE Troubleshooting Info:', {
-          endpoint: SKALE_ENDPOINT,
-          networkReachable: await validateSkaleEndpoint(SKALE_ENDPOINT).catch(() => false),
-          biteLibraryAvailable: typeof BITE !== 'undefined',
-          userAgent: navigator.userAgent,
-          currentTime: new Date().toISOString()
-        });
-      }
     }
   }, []);
 
-  const connectWallet = async () => {
+  const detachWalletSession = () => {
+    const session = walletSessionRef.current;
+    walletSessionRef.current = null;
+    session?.unwatch();
+    return session;
+  };
+
+  /**
+   * Rebuild signer state from the wallet, e.g. after an account or chain switch
+   */
+  const refreshSigner = async (eip1193) => {
+    const walletProvider = new ethers.BrowserProvider(eip1193);
+    const signer = await walletProvider.getSigner();
+    const userAddress = await signer.getAddress();
+    const network = await walletProvider.getNetwork();
+
+    setSigner(signer);
+    setUserAddress(userAddress);
+    setNetworkName(network.name);
+    setWalletChainId(network.chainId);
+  };
+
+  /**
+   * Bind an EIP-1193 provider as the active wallet
+   * @param silent Only use already-authorized accounts (auto-reconnect)
+   * @returns False when a silent attempt found no authorized account
+   */
+  const attachWallet = async (walletId, eip1193, { silent = false } = {}) => {
+    const accounts = await eip1193.request({ method: silent ? 'eth_accounts' : 'eth_requestAccounts' });
+    if (!accounts || accounts.length === 0) {
+      if (silent) return false;
+      throw new Error('No accounts found. Please connect your wallet.');
+    }
+
+    await refreshSigner(eip1193);
+
+    detachWalletSession();
+    walletSessionRef.current = {
+      id: walletId,
+      eip1193,
+      unwatch: watchWalletEvents(eip1193, {
+        onAccountsChanged: (nextAccounts) => {
+          if (!nextAccounts || nextAccounts.length === 0) {
+            disconnectWallet();
+          } else {
+            refreshSigner(eip1193).catch((error) => console.error('Failed to switch account:', error));
+          }
+        },
+        onChainChanged: () => {
+          refreshSigner(eip1193).catch((error) => console.error('Failed to switch chain:', error));
+        },
+        onDisconnect: () => disconnectWallet()
+      })
+    };
+    setLastWallet(walletId);
+    return true;
+  };
+
+  const isWrongNetwork = !!signer && expectedChainId !== null && walletChainId !== null &&
+    !isSameChain(walletChainId, expectedChainId);
+
+  const needsGas = !!signer && !isWrongNetwork && gasBalance !== null && !gasBalance.sufficient;
+
+  const refreshGasBalance = useCallback(async () => {
+    if (!userAddress) {
+      setGasBalance(null);
+      return;
+    }
     try {
-      if (typeof window.ethereum === 'undefined') {
-        throw new Error('MetaMask not detected. Please install MetaMask to continue.');
-      }
+      setGasBalance(await checkGasBalance(provider, userAddress));
+    } catch (error) {
+      // Unknown is not the same as empty; the transaction pre-flight still catches it
+      console.error('Gas balance check failed:', error);
+      setGasBalance(null);
+    }
+  }, [provider, userAddress]);
 
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      
-      const accounts = await provider.send("eth_requestAccounts", []);
-      if (accounts.length === 0) {
-        throw new Error('No accounts found. Please connect your wallet.');
+  const topUpGas = async () => {
+    if (!FAUCET || !userAddress) return;
+
+    setIsToppingUp(true);
+    try {
+      await FAUCET.request(userAddress, { provider });
+      const status = await waitForGas(provider, userAddress);
+      setGasBalance(status);
+      if (status.sufficient) {
+        showNotification(`${DEPLOYMENT.nativeSymbol} for gas added to your wallet`, 'success');
+      } else {
+        showNotification('The faucet accepted the request, but nothing has arrived yet', 'warning');
       }
+    } catch (error) {
+      console.error('Gas top-up failed:', error);
+      showNotification(`Top-up failed: ${error.message}`, 'error');
+    } finally {
+      setIsToppingUp(false);
+    }
+  };
+
+  const switchNetwork = async () => {
+    const session = walletSessionRef.current;
+    if (!session || expectedChainId === null) return;
+
+    setIsSwitchingNetwork(true);
+    try {
+      // chainChanged then refreshes the signer and clears the banner
+      await switchToChain(session.eip1193, { ...DEPLOYMENT, chainId: expectedChainId });
+    } catch (error) {
+      console.error('Network switch failed:', error);
+      showNotification(
+        error.code === 4001 ? 'Network switch rejected' : `Could not switch to ${DEPLOYMENT.chainName}: ${error.message}`,
+        'error'
+      );
+    } finally {
+      setIsSwitchingNetwork(false);
+    }
+  };
+
+  const connectWallet = async (walletId) => {
+    setConnectingWalletId(walletId);
 
-      const signer = await provider.getSigner();
-      const userAddress = await signer.getAddress();
-      const network = await provider.getNetwork();
+    try {
+      let eip1193;
+      if (walletId === WALLETCONNECT_ID) {
+        const network = await provider.getNetwork();
+        eip1193 = await createWalletConnectProvider({ chainId: network.chainId, rpcUrl: SKALE_ENDPOINT });
+        await eip1193.enable();
+      } else {
+        const wallet = injectedWallets.find(candidate => candidate.id === walletId);
+        if (!wallet) {
+          throw new Error('Wallet not detected. Please install a browser wallet to continue.');
+        }
+        eip1193 = wallet.provider;
+      }
 
-      setProvider(provider);
-      setSigner(signer);
-      setUserAddress(userAddress);
-      setNetworkName(network.name);
+      await attachWallet(walletId, eip1193);
+      setIsWalletPickerOpen(false);
 
       await initializeBiteEncryption();
-      await loadPlatformData(provider);
       
       showNotification('Wallet connected successfully', 'success');
 
     } catch (error) {
       console.error('Wallet connection failed:', error);
       showNotification(error.message, 'error');
+    } finally {
+      setConnectingWalletId(null);
     }
   };
 
   const disconnectWallet = () => {
-    setProvider(null);
+    const session = detachWalletSession();
+    if (session?.id === WALLETCONNECT_ID) {
+      session.eip1193.disconnect().catch((error) => console.error('WalletConnect disconnect failed:', error));
+    }
+    clearLastWallet();
+
     setSigner(null);
     setUserAddress('');
     setNetworkName('');
-    setTokens([]);
-    setBiteInstance(null);
+    setWalletChainId(null);
+    setBiteTransport(null);
     setEncryptionEnabled(false);
     setBiteStatus('disconnected');
     
@@ -274,110 +333,49 @@ function TokenLaunchpad() {
     }
   };
 
-  const loadPlatformData = async (providerInstance) => {
-    try {
-      const factoryContract = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, providerInstance);
-      
-      const [creationFeeWei, platformFeePercent] = await Promise.all([
-        factoryContract.tokenCreationFee(),
-        factoryContract.platformFeePercent()
-      ]);
-      
-      setCreationFee(ethers.formatEther(creationFeeWei));
-      setPlatformFee(platformFeePercent.toString());
-      
-    } catch (error) {
-      console.error('Failed to load platform data:', error);
-    }
-  };
+  const client = useMemo(() => {
+    return createLaunchpadClient({
+      provider,
+      rpcUrl: SKALE_ENDPOINT,
+      factoryAddress: FACTORY_ADDRESS,
+      deployBlock: DEPLOYMENT.deployBlock,
+      wsUrl: DEPLOYMENT.wsUrl,
+      gasMarginBps: DEPLOYMENT.gasMarginBps
+    });
+  }, [provider]);
+
+  useEffect(() => {
+    client.setSigner(signer);
+  }, [client, signer]);
+
+  // Transactions sent from this browser; ones still pending after a reload are watched again
+  const activityLog = useMemo(() => createActivityLog({ deploymentId: DEPLOYMENT.id, provider }), [provider]);
+  const activity = useActivity(activityLog);
+
+  useEffect(() => {
+    activityLog.resume();
+  }, [activityLog]);
+
+  useEffect(() => {
+    refreshGasBalance();
+  }, [refreshGasBalance]);
+
+  useEffect(() => {
+    client.setTransport(encryptionEnabled && biteTransport && BITE_ENABLED ? biteTransport : plainTransport);
+  }, [client, encryptionEnabled, biteTransport]);
 
   const loadTokensFromFactory = useCallback(async () => {
-    if (!provider) return;
-    
     setIsLoadingTokens(true);
     
     try {
-      const factoryContract = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, provider);
-      const tokenAddresses = await factoryContract.getAllTokens();
-      
-      const tokenDataPromises = tokenAddresses.map(async (tokenAddress) => {
-        try {
-          return await loadTokenData(tokenAddress);
-        } catch (error) {
-          console.error(`Failed to load token ${tokenAddress}:`, error);
-          return null;
-        }
-      });
-      
-      const tokenData = await Promise.all(tokenDataPromises);
-      const validTokens = tokenData.filter(token => token !== null);
-      
-      validTokens.sort((a, b) => b.launchTime - a.launchTime);
-      
-      setTokens(validTokens);
-      
+      setTokens(await client.listTokens({ account: signer ? userAddress : null }));
     } catch (error) {
       console.error('Failed to load tokens:', error);
       showNotification('Failed to load tokens from contract', 'error');
     } finally {
       setIsLoadingTokens(false);
     }
-  }, [provider]);
-
-  const loadTokenData = async (tokenAddress) => {
-    const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
-    const factoryContract = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, provider);
-    
-    const bondingCurveAddress = await factoryContract.tokenToBondingCurve(tokenAddress);
-    const bondingCurveContract = new ethers.Contract(bondingCurveAddress, BONDING_CURVE_ABI, provider);
-    
-    const [
-      name,
-      symbol,
-      metadata,
-      tokenInfo,
-      currentPrice,
-      userBalance
-    ] = await Promise.all([
-      tokenContract.name(),
-      tokenContract.symbol(),
-      tokenContract.getMetadata(),
-      bondingCurveContract.getTokenInfo(),
-      bondingCurveContract.getCurrentPrice(),
-      signer ? tokenContract.balanceOf(userAddress) : ethers.parseEther('0')
-    ]);
-
-    let socialLinks = { website: '', twitter: '' };
-    try {
-      const links = await tokenContract.getSocialLinks();
-      socialLinks = {
-        website: links[0] || '',
-        twitter: links[1] || ''
-      };
-    } catch (error) {
-      console.log('Social links not supported for token:', tokenAddress);
-    }
-    
-    return {
-      address: tokenAddress,
-      bondingCurveAddress,
-      name,
-      symbol,
-      description: metadata[0],
-      imageUrl: metadata[1],
-      creator: metadata[2],
-      launchTime: Number(metadata[3]),
-      website: socialLinks.website,
-      twitter: socialLinks.twitter,
-      tokensSold: tokenInfo[0],
-      avaxRaised: tokenInfo[1],
-      currentSellFee: tokenInfo[2],
-      graduated: tokenInfo[3],
-      progressToGraduation: tokenInfo[4],
-      currentPrice,
-      userBalance
-    };
-  };
+  }, [client, signer, userAddress]);
 
   const handleFormDataUpdate = (formData) => {
     setPreviewFormData(formData);
@@ -389,15 +387,17 @@ function TokenLaunchpad() {
       type,
       data,
       status: 'loading',
-      error: null
+      error: null,
+      revert: null
     });
   };
 
-  const updateTransactionModal = (status, error = null) => {
+  const updateTransactionModal = (status, error = null, revert = null) => {
     setTransactionModal(prev => ({
       ...prev,
       status,
-      error
+      error,
+      revert
     }));
   };
 
@@ -407,109 +407,63 @@ function TokenLaunchpad() {
       type: '',
       data: null,
       status: 'loading',
-      error: null
+      error: null,
+      revert: null
     });
   };
 
+  // A sale estimates its approval and the sale itself; the modal shows the sum
+  const addEstimatedFee = ({ fee }) => {
+    setTransactionModal(prev => ({
+      ...prev,
+      data: { ...prev.data, estimatedFee: (prev.data.estimatedFee ?? 0n) + fee }
+    }));
+  };
+
   const createToken = async (tokenData) => {
     if (!signer) {
       showNotification('Please connect your wallet first', 'error');
       return false;
     }
 
-    openTransactionModal('create', tokenData);
-
-    try {
-      const factoryContract = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, signer);
-      const initialBuyAmount = ethers.parseEther(tokenData.initialBuy);
-      const creationFeeAmount = ethers.parseEther(creationFee);
-      const totalValue = initialBuyAmount + creationFeeAmount;
-
-      if (encryptionEnabled && biteInstance && BITE_ENABLED) {
-    
-        const transactionData = {
-          to: FACTORY_ADDRESS,
-          data: tokenData.website || tokenData.twitter 
-            ? factoryContract.interface.encodeFunctionData("createTokenWithSocials", [
-                tokenData.name,
-                tokenData.symbol,
-                tokenData.description,
-                tokenData.imageUrl,
-                tokenData.website || '',
-                tokenData.twitter || '',
-                initialBuyAmount
-              ])
-            : factoryContract.interface.encodeFunctionData("createToken", [
-                tokenData.name,
-                tokenData.symbol,
-                tokenData.description,
-                tokenData.imageUrl,
-                initialBuyAmount
-              ]),
-          value: totalValue,
-          gasLimit: 5000000
-        };
-
-        const encryptedTransaction = await biteInstance.encryptTransaction(transactionData);
-      
+    if (isWrongNetwork) {
+      showNotification(`Switch your wallet to ${DEPLOYMENT.chainName} first`, 'error');
+      return false;
+    }
 
-        // Create clean transaction object for sending
-        const cleanTransaction = {
-          to: encryptedTransaction.to,
-          data: encryptedTransaction.data,
-          value: encryptedTransaction.value,
-          gasLimit: encryptedTransaction.gasLimit
-        };
+    if (needsGas) {
+      showNotification(`Get ${DEPLOYMENT.nativeSymbol} for gas first`, 'error');
+      return false;
+    }
 
-        const transaction = await signer.sendTransaction(cleanTransaction);
-        
-        await transaction.wait();
-        
-      } else {
-        
-        let transaction;
-        
-        if (tokenData.website || tokenData.twitter) {
-          try {
-            transaction = await factoryContract.createTokenWithSocials(
-              tokenData.name,
-              tokenData.symbol,
-              tokenData.description,
-              tokenData.imageUrl,
-              tokenData.website || '',
-              tokenData.twitter || '',
-              initialBuyAmount,
-              { value: totalValue }
-            );
-          } catch (error) {
-            transaction = await factoryContract.createToken(
-              tokenData.name,
-              tokenData.symbol,
-              tokenData.description,
-              tokenData.imageUrl,
-              initialBuyAmount,
-              { value: totalValue }
-            );
-          }
-        } else {
-          transaction = await factoryContract.createToken(
-            tokenData.name,
-            tokenData.symbol,
-            tokenData.description,
-            tokenData.imageUrl,
-            initialBuyAmount,
-            { value: totalValue }
-          );
-        }
-        
-        const receipt = await transaction.wait();
+    openTransactionModal('create', tokenData);
 
-      }
+    try {
+      await client.createToken({
+        name: tokenData.name,
+        symbol: tokenData.symbol,
+        description: tokenData.description,
+        imageUrl: tokenData.imageUrl,
+        website: tokenData.website,
+        twitter: tokenData.twitter,
+        metadataUri: tokenData.metadataUri,
+        initialBuy: ethers.parseEther(tokenData.initialBuy),
+        onEstimate: addEstimatedFee,
+        onSubmit: ({ hash, encrypted }) => activityLog.record({
+          hash,
+          kind: 'create',
+          encrypted,
+          account: userAddress,
+          tokenSymbol: tokenData.symbol,
+          amount: ethers.parseEther(tokenData.initialBuy).toString()
+        })
+      });
 
       updateTransactionModal('success');
 
       setTimeout(() => {
         loadTokensFromFactory();
+        refreshGasBalance();
         closeTransactionModal();
       }, 3000);
 
@@ -519,75 +473,78 @@ function TokenLaunchpad() {
       console.error('Token creation failed:', error);
       
       let errorMessage = 'Token creation failed';
-      if (error.message.includes('insufficient funds')) {
+      const revert = describeRevert(getRevertReason(error));
+      if (revert) {
+        errorMessage = revert.message;
+      } else if (error.message.includes('insufficient funds')) {
         errorMessage = 'Insufficient funds for transaction';
+      } else if (error.code === 'METADATA_UNSUPPORTED') {
+        errorMessage = 'This network only keeps website and X links - remove the others';
+      } else if (error.code === 'LINKS_UNSUPPORTED') {
+        errorMessage = 'This network cannot keep website or X links - remove them';
       } else if (error.message.includes('user rejected')) {
         errorMessage = 'Transaction rejected by user';
       } else if (error.message.includes('execution reverted')) {
         errorMessage = 'Transaction reverted - check your inputs and balance';
+      } else if (error.message.includes('Pre-flight check failed')) {
+        errorMessage = 'Could not estimate gas - nothing was sent';
       } else if (error.message.includes('BITE encryption failed')) {
         errorMessage = 'Encryption failed - try disabling encryption';
       }
       
-      updateTransactionModal('error', errorMessage);
+      updateTransactionModal('error', errorMessage, revert);
       return false;
     }
   };
 
-  const buyTokens = async (tokenData, purchaseAmount) => {
+  const buyTokens = async (tokenData, purchaseAmount, slippageBps = getDefaultSlippage()) => {
     if (!signer) {
       showNotification('Please connect your wallet first', 'error');
       return false;
     }
 
+    if (isWrongNetwork) {
+      showNotification(`Switch your wallet to ${DEPLOYMENT.chainName} first`, 'error');
+      return false;
+    }
+
+    if (needsGas) {
+      showNotification(`Get ${DEPLOYMENT.nativeSymbol} for gas first`, 'error');
+      return false;
+    }
+
     openTransactionModal('buy', {
       tokenName: tokenData.name,
       tokenSymbol: tokenData.symbol,
-      amount: purchaseAmount
+      amount: purchaseAmount,
+      slippageBps
     });
 
     try {
-      const bondingCurveContract = new ethers.Contract(
-        tokenData.bondingCurveAddress, 
-        BONDING_CURVE_ABI, 
-        signer
-      );
-      
-      const purchaseAmountWei = ethers.parseEther(purchaseAmount);
-
-      if (encryptionEnabled && biteInstance && BITE_ENABLED) {
-        
-        const transactionData = {
-          to: tokenData.bondingCurveAddress,
-          data: bondingCurveContract.interface.encodeFunctionData("buyTokens", [0]),
-          value: purchaseAmountWei,
-          gasLimit: 500000
-        };
-
-        const encryptedTransaction = await biteInstance.encryptTransaction(transactionData);
-        
-
-        if (!encryptedTransaction || !encryptedTransaction.data || encryptedTransaction.data === '0x' || encryptedTransaction.data === '') {
-          throw new Error('BITE encryption failed - no transaction data returned');
-        }
-
-        const transaction = await signer.sendTransaction(encryptedTransaction);
-        
-        await transaction.wait();
-        
-      } else {
-        
-        const transaction = await bondingCurveContract.buyTokens(0, {
-          value: purchaseAmountWei
-        });
-        
-        await transaction.wait();
-      }
+      // Show the quote and the slippage-adjusted minimum while the trade is pending
+      await client.buy(tokenData, ethers.parseEther(purchaseAmount), {
+        slippageBps,
+        onQuote: ({ expectedTokens, minTokensOut }) => setTransactionModal(prev => ({
+          ...prev,
+          data: { ...prev.data, expectedTokens, minTokensOut }
+        })),
+        onEstimate: addEstimatedFee,
+        onSubmit: ({ hash, encrypted }) => activityLog.record({
+          hash,
+          kind: 'buy',
+          encrypted,
+          account: userAddress,
+          tokenSymbol: tokenData.symbol,
+          tokenAddress: tokenData.address,
+          amount: ethers.parseEther(purchaseAmount).toString()
+        })
+      });
 
       updateTransactionModal('success');
 
       setTimeout(() => {
         loadTokensFromFactory();
+        refreshGasBalance();
         closeTransactionModal();
       }, 2000);
 
@@ -597,82 +554,96 @@ function TokenLaunchpad() {
       console.error('Token purchase failed:', error);
       
       let errorMessage = 'Token purchase failed';
-      if (error.message.includes('insufficient funds')) {
+      const revert = describeRevert(getRevertReason(error), { slippageBps });
+      if (revert) {
+        errorMessage = revert.message;
+      } else if (error.message.includes('insufficient funds')) {
         errorMessage = 'Insufficient funds for purchase';
       } else if (error.message.includes('user rejected')) {
         errorMessage = 'Transaction rejected by user';
       } else if (error.message.includes('execution reverted')) {
         errorMessage = 'Transaction reverted - check token availability';
+      } else if (error.message.includes('Pre-flight check failed')) {
+        errorMessage = 'Could not estimate gas - nothing was sent';
       } else if (error.message.includes('BITE encryption failed')) {
         errorMessage = 'Encryption failed - try disabling encryption';
       }
       
-      updateTransactionModal('error', errorMessage);
+      updateTransactionModal('error', errorMessage, revert);
       return false;
     }
   };
 
-  const sellTokens = async (tokenData, sellAmount) => {
+  const sellTokens = async (tokenData, sellAmount, slippageBps = getDefaultSlippage()) => {
     if (!signer) {
       showNotification('Please connect your wallet first', 'error');
       return false;
     }
 
+    if (isWrongNetwork) {
+      showNotification(`Switch your wallet to ${DEPLOYMENT.chainName} first`, 'error');
+      return false;
+    }
+
+    if (needsGas) {
+      showNotification(`Get ${DEPLOYMENT.nativeSymbol} for gas first`, 'error');
+      return false;
+    }
+
     const expectedFair = (parseFloat(sellAmount) * parseFloat(ethers.formatEther(tokenData.currentPrice))).toFixed(4);
+    const standingAllowance = getStandingAllowance();
     openTransactionModal('sell', {
       tokenName: tokenData.name,
       tokenSymbol: tokenData.symbol,
       tokenAmount: sellAmount,
-      expectedFair: expectedFair
+      expectedFair: expectedFair,
+      slippageBps,
+      standingAllowance,
+      steps: {
+        approve: { status: 'waiting', encrypted: encryptionEnabled },
+        sell: { status: 'waiting', encrypted: encryptionEnabled }
+      }
     });
 
     try {
-      const bondingCurveContract = new ethers.Contract(
-        tokenData.bondingCurveAddress, 
-        BONDING_CURVE_ABI, 
-        signer
-      );
-      
-      const tokenContract = new ethers.Contract(tokenData.address, TOKEN_ABI, signer);
-      const sellAmountWei = ethers.parseEther(sellAmount);
-
-      const allowance = await tokenContract.allowance(userAddress, tokenData.bondingCurveAddress);
-      if (allowance < sellAmountWei) {
-        const approveTransaction = await tokenContract.approve(tokenData.bondingCurveAddress, sellAmountWei);
-        await approveTransaction.wait();
-      }
-
-      if (encryptionEnabled && biteInstance && BITE_ENABLED) {
-
-        
-        const transactionData = {
-          to: tokenData.bondingCurveAddress,
-          data: bondingCurveContract.interface.encodeFunctionData("sellTokens", [sellAmountWei, 0]),
-          value: 0,
-          gasLimit: 500000
-        };
-
-        const encryptedTransaction = await biteInstance.encryptTransaction(transactionData);
-      
-
-        if (!encryptedTransaction || !encryptedTransaction.data || encryptedTransaction.data === '0x' || encryptedTransaction.data === '') {
-          throw new Error('BITE encryption failed - no transaction data returned');
-        }
-
-        const transaction = await signer.sendTransaction(encryptedTransaction);
-        
-        await transaction.wait();
-        
-      } else {      
-        const transaction = await bondingCurveContract.sellTokens(sellAmountWei, 0);
-        
-        await transaction.wait();
-      }
+      // Show the quote, the slippage-adjusted minimum and each step while the trade is pending
+      await client.sell(tokenData, ethers.parseEther(sellAmount), {
+        slippageBps,
+        standingAllowance,
+        onQuote: ({ expectedOut, minOut }) => setTransactionModal(prev => ({
+          ...prev,
+          data: {
+            ...prev.data,
+            expectedFair: parseFloat(ethers.formatEther(expectedOut)).toFixed(4),
+            minFairOut: minOut
+          }
+        })),
+        onStep: ({ step, status, encrypted }) => setTransactionModal(prev => ({
+          ...prev,
+          data: {
+            ...prev.data,
+            steps: { ...prev.data.steps, [step]: { status, encrypted } }
+          }
+        })),
+        onEstimate: addEstimatedFee,
+        onSubmit: ({ step, hash, encrypted }) => activityLog.record({
+          hash,
+          kind: step,
+          encrypted,
+          account: userAddress,
+          tokenSymbol: tokenData.symbol,
+          tokenAddress: tokenData.address,
+          amount: (step === 'approve'
+            ? getApprovalAmount(ethers.parseEther(sellAmount), standingAllowance)
+            : ethers.parseEther(sellAmount)).toString()
+        })
+      });
 
       updateTransactionModal('success');
 
       setTimeout(() => {
         loadTokensFromFactory();
+        refreshGasBalance();
         closeTransactionModal();
       }, 2000);
 
@@ -682,17 +653,22 @@ function TokenLaunchpad() {
       console.error('Token sale failed:', error);
       
       let errorMessage = 'Token sale failed';
-      if (error.message.includes('insufficient funds')) {
+      const revert = describeRevert(getRevertReason(error), { slippageBps });
+      if (revert) {
+        errorMessage = revert.message;
+      } else if (error.message.includes('insufficient funds')) {
         errorMessage = 'Insufficient balance for sale';
       } else if (error.message.includes('user rejected')) {
         errorMessage = 'Transaction rejected by user';
       } else if (error.message.includes('execution reverted')) {
         errorMessage = 'Transaction reverted - check token balance';
+      } else if (error.message.includes('Pre-flight check failed')) {
+        errorMessage = 'Could not estimate gas - nothing was sent';
       } else if (error.message.includes('BITE encryption failed')) {
         errorMessage = 'Encryption failed - try disabling encryption';
       }
       
-      updateTransactionModal('error', errorMessage);
+      updateTransactionModal('error', errorMessage, revert);
       return false;
     }
   };
@@ -703,10 +679,100 @@ function TokenLaunchpad() {
   };
 
   useEffect(() => {
-    if (provider) {
-      loadTokensFromFactory();
+    // Unknown paths fall back to the default view
+    if (!activeTab) {
+      navigate('/', { replace: true });
+    }
+  }, [activeTab]);
+
+  useEffect(() => {
+    return discoverInjectedWallets(setInjectedWallets);
+  }, []);
+
+  useEffect(() => {
+    if (DEPLOYMENT.chainId !== null) return;
+
+    provider.getNetwork()
+      .then((network) => setExpectedChainId(network.chainId))
+      .catch((error) => console.error('Failed to resolve deployment chain id:', error));
+  }, [provider]);
+
+  // attachWallet is rebuilt every render; reconnecting should not re-run because of that
+  const attachWalletRef = useRef(attachWallet);
+  useEffect(() => {
+    attachWalletRef.current = attachWallet;
+  });
+
+  // Reconnect the last-used wallet without prompting, once it has been discovered
+  useEffect(() => {
+    const lastWallet = getLastWallet();
+    if (autoReconnectRef.current || !lastWallet) return;
+
+    const restore = async () => {
+      let eip1193;
+      if (lastWallet === WALLETCONNECT_ID) {
+        if (!isWalletConnectAvailable()) return;
+        const network = await provider.getNetwork();
+        eip1193 = await createWalletConnectProvider({ chainId: network.chainId, rpcUrl: SKALE_ENDPOINT, showQrModal: false });
+        if (!eip1193.session) return;
+      } else {
+        eip1193 = injectedWallets.find(wallet => wallet.id === lastWallet)?.provider;
+      }
+
+      if (eip1193 && await attachWalletRef.current(lastWallet, eip1193, { silent: true })) {
+        await initializeBiteEncryption();
+      }
+    };
+
+    if (lastWallet === WALLETCONNECT_ID || injectedWallets.some(wallet => wallet.id === lastWallet)) {
+      autoReconnectRef.current = true;
+      restore().catch((error) => console.error('Wallet auto-reconnect failed:', error));
     }
-  }, [provider, loadTokensFromFactory]);
+  }, [injectedWallets, provider, initializeBiteEncryption]);
+
+  // Runs at startup and again when the wallet changes, to refresh balances
+  useEffect(() => {
+    loadTokensFromFactory();
+  }, [loadTokensFromFactory]);
+
+  useEffect(() => {
+    client.getPlatformFees()
+      .then((fees) => {
+        setCreationFee(ethers.formatEther(fees.creationFee));
+        setPlatformFee(fees.platformFeePercent.toString());
+      })
+      .catch((error) => console.error('Failed to load platform data:', error));
+    client.supportsMetadata()
+      .then(setMetadataSupported)
+      .catch((error) => console.error('Failed to check factory features:', error));
+  }, [client]);
+
+  useEffect(() => {
+    userAddressRef.current = userAddress;
+  }, [userAddress]);
+
+  useEffect(() => {
+    const handleCurveEvent = ({ curveAddress, event }) => {
+      const account = userAddressRef.current.toLowerCase();
+
+      setTokens(prev => prev.map(token => {
+        if (token.bondingCurveAddress.toLowerCase() !== curveAddress) return token;
+
+        const updated = applyCurveEvent(token, event);
+        if (account && event.name === 'TokensPurchased' && event.args.buyer.toLowerCase() === account) {
+          updated.userBalance = BigInt(token.userBalance || 0) + event.args.tokensOut;
+        } else if (account && event.name === 'TokensSold' && event.args.seller.toLowerCase() === account) {
+          updated.userBalance = BigInt(token.userBalance || 0) - event.args.tokensIn;
+        }
+        return updated;
+      }));
+    };
+
+    return client.subscribe({
+      onEvent: handleCurveEvent,
+      onModeChange: setLiveFeedMode
+    });
+  }, [client]);
 
   return (
     <div className="token-launchpad">
@@ -722,6 +788,19 @@ function TokenLaunchpad() {
           </div>
           
           <div className="header-right">
+            <DeploymentPicker
+              deployments={listDeployments()}
+              activeId={DEPLOYMENT.id}
+              onSelect={selectDeployment}
+            />
+
+            <ActivityCenter
+              entries={activity}
+              explorerUrl={DEPLOYMENT.explorerUrl}
+              nativeSymbol={DEPLOYMENT.nativeSymbol}
+              onClear={activityLog.clear}
+            />
+
             {userAddress && (
               <div 
                 className="encryption-toggle"
@@ -767,7 +846,7 @@ function TokenLaunchpad() {
                 </button>
               </div>
             ) : (
-              <button className="connect-wallet-button" onClick={connectWallet}>
+              <button className="connect-wallet-button" onClick={() => setIsWalletPickerOpen(true)}>
                 <Wallet className="wallet-icon" />
                 Connect Wallet
               </button>
@@ -776,6 +855,24 @@ function TokenLaunchpad() {
         </div>
       </header>
 
+      {isWrongNetwork && (
+        <NetworkBanner
+          chainName={DEPLOYMENT.chainName}
+          walletNetwork={networkName && networkName !== 'unknown' ? networkName : `chain ${walletChainId}`}
+          isSwitching={isSwitchingNetwork}
+          onSwitch={switchNetwork}
+        />
+      )}
+
+      {needsGas && (
+        <GasBanner
+          nativeSymbol={DEPLOYMENT.nativeSymbol}
+          faucetType={FAUCET?.type}
+          isToppingUp={isToppingUp}
+          onTopUp={topUpGas}
+        />
+      )}
+
       {notification && (
         <div className={`notification ${notification.type}`}>
           <span>{notification.message}</span>
@@ -783,6 +880,15 @@ function TokenLaunchpad() {
         </div>
       )}
 
+      <WalletPicker
+        isOpen={isWalletPickerOpen}
+        wallets={injectedWallets}
+        walletConnectAvailable={isWalletConnectAvailable()}
+        connectingId={connectingWalletId}
+        onSelect={connectWallet}
+        onClose={() => setIsWalletPickerOpen(false)}
+      />
+
       <TransactionModal
         isOpen={transactionModal.isOpen}
         onClose={closeTransactionModal}
@@ -791,6 +897,7 @@ function TokenLaunchpad() {
         isEncrypted={encryptionEnabled}
         status={transactionModal.status}
         error={transactionModal.error}
+        revert={transactionModal.revert}
       />
 
       <main className="main-content">
@@ -799,20 +906,50 @@ function TokenLaunchpad() {
           <div className="tab-navigation">
             <button
               className={`tab-button ${activeTab === 'create' ? 'active' : ''}`}
-              onClick={() => setActiveTab('create')}
+              onClick={() => navigate('/create')}
             >
               <Zap className="tab-icon" />
               Create Token
             </button>
             <button
               className={`tab-button ${activeTab === 'trade' ? 'active' : ''}`}
-              onClick={() => setActiveTab('trade')}
+              onClick={() => navigate('/trade')}
             >
               <TrendingUp className="tab-icon" />
               Trade Tokens
             </button>
+            <button
+              className={`tab-button ${activeTab === 'portfolio' ? 'active' : ''}`}
+              onClick={() => navigate('/portfolio')}
+            >
+              <Briefcase className="tab-icon" />
+              Portfolio
+            </button>
+            <button
+              className={`tab-button ${activeTab === 'launches' ? 'active' : ''}`}
+              onClick={() => navigate('/launches')}
+            >
+              <Rocket className="tab-icon" />
+              My Launches
+            </button>
           </div>
 
+          {tokenRoute && (
+            <div className="tab-content">
+              <TokenDetail
+                address={tokenRoute.address}
+                tokens={tokens}
+                isLoadingTokens={isLoadingTokens}
+                provider={provider}
+                client={client}
+                onBuyTokens={buyTokens}
+                onSellTokens={sellTokens}
+                encryptionEnabled={encryptionEnabled}
+                isConnected={!!signer}
+              />
+            </div>
+          )}
+
           {activeTab === 'create' && (
             <div className="tab-content">
               <div className="create-tab-layout">
@@ -824,6 +961,7 @@ function TokenLaunchpad() {
                     platformFee={platformFee}
                     encryptionEnabled={encryptionEnabled}
                     isConnected={!!signer}
+                    metadataSupported={metadataSupported}
                   />
                 </div>
                 <div className="create-preview-section">
@@ -831,6 +969,12 @@ function TokenLaunchpad() {
                     formData={previewFormData}
                     encryptionEnabled={encryptionEnabled}
                     isConnected={!!signer}
+                    userAddress={userAddress}
+                    platformFee={platformFee}
+                  />
+                  <LaunchSimulator
+                    initialBuy={previewFormData.initialBuy}
+                    creationFee={creationFee}
                     platformFee={platformFee}
                   />
                 </div>
@@ -848,8 +992,36 @@ function TokenLaunchpad() {
                 onSellTokens={sellTokens}
                 encryptionEnabled={encryptionEnabled}
                 isConnected={!!signer}
+                client={client}
+                platformFee={platformFee}
+                liveFeedMode={liveFeedMode}
+              />
+            </div>
+          )}
+
+          {activeTab === 'portfolio' && (
+            <div className="tab-content">
+              <Portfolio
+                tokens={tokens}
                 provider={provider}
+                client={client}
+                userAddress={userAddress}
+                startBlock={DEPLOYMENT.deployBlock}
                 platformFee={platformFee}
+                onSellTokens={sellTokens}
+                encryptionEnabled={encryptionEnabled}
+                isConnected={!!signer}
+              />
+            </div>
+          )}
+
+          {activeTab === 'launches' && (
+            <div className="tab-content">
+              <CreatorDashboard
+                tokens={tokens}
+                provider={provider}
+                userAddress={userAddress}
+                isConnected={!!signer}
               />
             </div>
           )}
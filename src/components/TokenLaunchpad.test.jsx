@@ -0,0 +1,513 @@
+import React from 'react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ethers } from 'ethers';
+import TokenLaunchpad from './TokenLaunchpad.jsx';
+import { chain, resetChain, failNextWrite, revertNextReceipt, revertNextSimulation, failNextEstimate, makeToken, createInjectedProvider } from '../test/mockChain.js';
+import { biteState, resetBite, BITE_ADDRESS, ENCRYPTED_DATA } from '../test/fakeBite.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+vi.mock('ethers', async (importOriginal) => {
+  const { createEthersMock } = await import('../test/mockChain.js');
+  return createEthersMock(await importOriginal());
+});
+vi.mock('@skalenetwork/bite', () => import('../test/fakeBite.js'));
+vi.mock('../lib/readBatcher.js', async () => (await import('../test/mockChain.js')).readBatcherMock);
+vi.mock('../lib/tokenIndexer.js', async (importOriginal) => {
+  const { chain } = await import('../test/mockChain.js');
+  return {
+    ...(await importOriginal()),
+    createTokenIndexer: () => ({ sync: async () => chain.tokens, getCursor: () => 0 })
+  };
+});
+vi.mock('../lib/curveSubscriptions.js', () => ({ subscribeToCurves: () => () => {} }));
+
+const { factoryAddress: FACTORY_ADDRESS } = getActiveDeployment();
+const TOKEN = makeToken();
+
+const renderAt = (path) => {
+  window.history.replaceState(null, '', path);
+  return render(<TokenLaunchpad />);
+};
+
+const connect = async (user) => {
+  await user.click(screen.getByRole('button', { name: /Connect Wallet/ }));
+  await user.click(await screen.findByRole('button', { name: /Browser Wallet/ }));
+  await waitFor(() => expect(document.querySelector('.wallet-address')).toHaveTextContent('0xf39F...2266'));
+};
+
+const expectNotification = (message) =>
+  waitFor(() => expect(document.querySelector('.notification')).toHaveTextContent(message));
+
+const fillCreateForm = async (user) => {
+  await user.type(screen.getByLabelText(/Token Name/), 'Test Token');
+  await user.type(screen.getByLabelText(/Token Symbol/), 'TEST');
+  await user.type(screen.getByLabelText(/Description/), 'A token used in tests');
+  const initialBuy = screen.getByLabelText(/Initial Buy Amount/);
+  await user.clear(initialBuy);
+  await user.type(initialBuy, '1');
+};
+
+const openCardPanel = async (user, action) => {
+  const card = (await screen.findByText(TOKEN.description)).closest('.token-card');
+  await user.click(within(card).getByRole('button', { name: `${action} ${TOKEN.symbol}` }));
+  const heading = await screen.findByRole('heading', { name: `${action} ${TOKEN.symbol} Tokens` });
+  return heading.closest('.modal-content');
+};
+
+beforeEach(() => {
+  resetChain();
+  resetBite();
+  window.ethereum = createInjectedProvider();
+  // BITE init first checks the endpoint answers JSON-RPC
+  vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+    ok: true,
+    json: async () => ({ jsonrpc: '2.0', id: 1, result: 'mock' })
+  });
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('connecting', () => {
+  it('enables encryption when the BITE committee answers', async () => {
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+
+    await expectNotification('Wallet connected successfully');
+    expect(screen.getByText('Private Launch Enabled')).toBeInTheDocument();
+  });
+
+  it('falls back to public transactions without a committee key', async () => {
+    biteState.committees = [];
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+
+    await waitFor(() => expect(screen.getByText('Public Launch')).toBeInTheDocument());
+  });
+});
+
+describe('token creation', () => {
+  it('encrypts the factory call and sends it to the BITE address', async () => {
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+    await screen.findByText('Private Launch Enabled');
+
+    await fillCreateForm(user);
+    await user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+    expect(await screen.findByText('Token Created Successfully!')).toBeInTheDocument();
+
+    const encrypted = biteState.encrypted.at(-1);
+    expect(encrypted.to).toBe(FACTORY_ADDRESS);
+    expect(encrypted.value).toBe(ethers.parseEther('1.1'));
+
+    expect(chain.writes).toEqual([
+      expect.objectContaining({ kind: 'raw', to: BITE_ADDRESS, data: ENCRYPTED_DATA })
+    ]);
+  });
+
+  it('calls createToken directly when encryption is unavailable', async () => {
+    biteState.committees = [];
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+    await screen.findByText('Public Launch');
+
+    await fillCreateForm(user);
+    await user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+    expect(await screen.findByText('Token Created Successfully!')).toBeInTheDocument();
+    expect(chain.writes).toEqual([
+      expect.objectContaining({
+        kind: 'call',
+        target: FACTORY_ADDRESS,
+        method: 'createToken',
+        args: ['Test Token', 'TEST', 'A token used in tests', '', ethers.parseEther('1')],
+        value: ethers.parseEther('1.1')
+      })
+    ]);
+  });
+
+  it('uses createTokenWithSocials when links are given', async () => {
+    biteState.committees = [];
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+    await screen.findByText('Public Launch');
+
+    await fillCreateForm(user);
+    await user.type(screen.getByLabelText(/X \(Twitter\)/), '@stealthly');
+    await user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+    await screen.findByText('Token Created Successfully!');
+    expect(chain.writes[0].method).toBe('createTokenWithSocials');
+    expect(chain.writes[0].args[5]).toBe('https://x.com/stealthly');
+  });
+
+  it('checks the factory for metadata support before offering extra links', async () => {
+    chain.missingFactoryFunctions = ['createTokenWithMetadata'];
+    const user = userEvent.setup();
+    renderAt('/');
+
+    await user.type(screen.getByLabelText(/Telegram/), '@stealthly_chat');
+
+    expect(await screen.findByText('Only Website and X on this network')).toBeInTheDocument();
+  });
+
+  it('does not resend a launch that reverted after it was mined', async () => {
+    biteState.committees = [];
+    revertNextReceipt();
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+    await screen.findByText('Public Launch');
+
+    await fillCreateForm(user);
+    await user.type(screen.getByLabelText(/X \(Twitter\)/), '@stealthly');
+    await user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+    expect(await screen.findByText('Transaction Failed')).toBeInTheDocument();
+    expect(chain.writes.map((write) => write.method)).toEqual(['createTokenWithSocials']);
+  });
+
+  it('keeps the links when the pre-flight fails for another reason', async () => {
+    biteState.committees = [];
+    failNextEstimate(Object.assign(new Error('request timeout'), { code: 'TIMEOUT' }));
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+    await screen.findByText('Public Launch');
+
+    await fillCreateForm(user);
+    await user.type(screen.getByLabelText(/X \(Twitter\)/), '@stealthly');
+    await user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+    expect(await screen.findByText('Transaction Failed')).toBeInTheDocument();
+    expect(chain.simulations.map((simulation) => simulation.method)).toEqual(['createTokenWithSocials']);
+    expect(chain.writes).toEqual([]);
+  });
+
+  it('refuses website and X links on a factory without createTokenWithSocials', async () => {
+    biteState.committees = [];
+    chain.missingFactoryFunctions = ['createTokenWithSocials', 'createTokenWithMetadata'];
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+    await screen.findByText('Public Launch');
+
+    await fillCreateForm(user);
+    await user.type(screen.getByLabelText(/X \(Twitter\)/), '@stealthly');
+    await user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+    expect(await screen.findByText('This network cannot keep website or X links - remove them')).toBeInTheDocument();
+    expect(chain.writes).toEqual([]);
+  });
+});
+
+describe('trading', () => {
+  const WEI = 10n ** 18n;
+
+  beforeEach(() => {
+    chain.tokens = [TOKEN];
+  });
+
+  const buy = async ({ encrypted }) => {
+    if (!encrypted) biteState.committees = [];
+    const user = userEvent.setup();
+    renderAt('/trade');
+    await connect(user);
+    await expectNotification('Wallet connected successfully');
+
+    const modal = await openCardPanel(user, 'Buy');
+    await user.click(within(modal).getByRole('button', { name: `Buy ${TOKEN.symbol}` }));
+  };
+
+  const sell = async ({ encrypted, amount = '100' }) => {
+    if (!encrypted) biteState.committees = [];
+    chain.reads.balanceOf = () => 5000n * WEI;
+    const user = userEvent.setup();
+    renderAt('/trade');
+    await connect(user);
+    await expectNotification('Wallet connected successfully');
+
+    const modal = await openCardPanel(user, 'Sell');
+    await user.type(within(modal).getByPlaceholderText('Enter amount to sell'), amount);
+    await user.click(within(modal).getByRole('button', { name: encrypted ? 'Sell Privately' : 'Sell Publicly' }));
+  };
+
+  it('sends an encrypted buy to the BITE address', async () => {
+    await buy({ encrypted: true });
+
+    expect(await screen.findByText('Tokens Purchased Successfully!')).toBeInTheDocument();
+    const encrypted = biteState.encrypted.at(-1);
+    expect(encrypted.to).toBe(TOKEN.bondingCurveAddress);
+    expect(encrypted.value).toBe(ethers.parseEther('0.1'));
+    expect(chain.writes).toEqual([expect.objectContaining({ kind: 'raw', to: BITE_ADDRESS, data: ENCRYPTED_DATA })]);
+  });
+
+  it('sizes the encrypted gas limit from the estimate and shows the fee', async () => {
+    await buy({ encrypted: true });
+
+    expect(await screen.findByText('Tokens Purchased Successfully!')).toBeInTheDocument();
+    // 100k estimated, a 20% margin and 100k for decryption
+    expect(biteState.encrypted.at(-1).gasLimit).toBe(220000n);
+    // The margin is headroom, so the fee covers 200k gas at 1 gwei
+    expect(screen.getByText('Estimated Network Fee:').nextSibling).toHaveTextContent('0.000200 FAIR');
+  });
+
+  it('calls buyTokens directly with the slippage-adjusted minimum', async () => {
+    await buy({ encrypted: false });
+
+    expect(await screen.findByText('Tokens Purchased Successfully!')).toBeInTheDocument();
+    // previewBuy quotes 100 tokens for 0.1; the default tolerance is 1%
+    expect(chain.writes).toEqual([
+      expect.objectContaining({
+        kind: 'call',
+        target: TOKEN.bondingCurveAddress,
+        method: 'buyTokens',
+        args: [99n * WEI],
+        value: ethers.parseEther('0.1')
+      })
+    ]);
+  });
+
+  it('approves the curve before selling without an allowance', async () => {
+    await sell({ encrypted: false });
+
+    expect(await screen.findByText('Tokens Sold Successfully!')).toBeInTheDocument();
+    expect(chain.writes.map(({ target, method }) => [target, method])).toEqual([
+      [TOKEN.address, 'approve'],
+      [TOKEN.bondingCurveAddress, 'sellTokens']
+    ]);
+    expect(chain.writes[0].args).toEqual([TOKEN.bondingCurveAddress, 100n * WEI]);
+  });
+
+  it('stops a sale the curve would revert before approving it', async () => {
+    // The curve holds less than the sale would pay out
+    chain.reads.getTokenInfo = () => [1000n * WEI, 0n, 100n, false, 0n];
+    await sell({ encrypted: false });
+
+    expect(await screen.findByText('Insufficient reserves - the curve cannot pay out this sale')).toBeInTheDocument();
+    expect(chain.simulations).toEqual([]);
+    expect(chain.writes).toEqual([]);
+  });
+
+  it('skips the approval when the allowance covers the sale', async () => {
+    chain.reads.allowance = () => 1000n * WEI;
+    await sell({ encrypted: false });
+
+    expect(await screen.findByText('Tokens Sold Successfully!')).toBeInTheDocument();
+    expect(chain.writes.map(({ method }) => method)).toEqual(['sellTokens']);
+  });
+
+  it('encrypts the approval as well as the sale', async () => {
+    await sell({ encrypted: true });
+
+    expect(await screen.findByText('Tokens Sold Successfully!')).toBeInTheDocument();
+    expect(chain.writes).toEqual([
+      expect.objectContaining({ kind: 'raw', to: BITE_ADDRESS }),
+      expect.objectContaining({ kind: 'raw', to: BITE_ADDRESS })
+    ]);
+    expect(biteState.encrypted.map(({ to }) => to)).toEqual(expect.arrayContaining([TOKEN.address, TOKEN.bondingCurveAddress]));
+    const steps = document.querySelectorAll('.transaction-step');
+    expect([...steps].map((step) => step.className)).toEqual(['transaction-step confirmed', 'transaction-step confirmed']);
+    expect(steps[0]).toHaveTextContent('Encrypted');
+  });
+
+  it('grants a standing allowance when the seller opts in', async () => {
+    localStorage.setItem('stealthly.standingAllowance', 'true');
+    await sell({ encrypted: false });
+
+    expect(await screen.findByText('Tokens Sold Successfully!')).toBeInTheDocument();
+    expect(chain.writes[0].args).toEqual([TOKEN.bondingCurveAddress, ethers.MaxUint256]);
+    expect(screen.getByText(`Approve ${TOKEN.symbol} (standing)`)).toBeInTheDocument();
+  });
+});
+
+describe('gas', () => {
+  beforeEach(() => {
+    chain.tokens = [TOKEN];
+    biteState.committees = [];
+  });
+
+  it('blocks trading until the wallet can pay for gas', async () => {
+    chain.nativeBalance = 0n;
+    const user = userEvent.setup();
+    renderAt('/trade');
+    await connect(user);
+
+    expect(await screen.findByText('No FAIR for gas')).toBeInTheDocument();
+    const modal = await openCardPanel(user, 'Buy');
+    await user.click(within(modal).getByRole('button', { name: `Buy ${TOKEN.symbol}` }));
+
+    await expectNotification('Get FAIR for gas first');
+    expect(chain.writes).toEqual([]);
+  });
+
+  it('stays out of the way of funded wallets', async () => {
+    const user = userEvent.setup();
+    renderAt('/trade');
+    await connect(user);
+    await expectNotification('Wallet connected successfully');
+
+    expect(screen.queryByText('No FAIR for gas')).not.toBeInTheDocument();
+  });
+});
+
+describe('activity', () => {
+  const ACTIVITY_KEY = `stealthly.activity.${getActiveDeployment().id}`;
+
+  beforeEach(() => {
+    chain.tokens = [TOKEN];
+    biteState.committees = [];
+  });
+
+  const openActivity = async (user) => {
+    await user.click(screen.getByRole('button', { name: 'Recent activity' }));
+    return screen.getByRole('dialog', { name: 'Recent activity' });
+  };
+
+  it('records a trade and settles it from its receipt', async () => {
+    const user = userEvent.setup();
+    renderAt('/trade');
+    await connect(user);
+    await expectNotification('Wallet connected successfully');
+
+    const modal = await openCardPanel(user, 'Buy');
+    await user.click(within(modal).getByRole('button', { name: `Buy ${TOKEN.symbol}` }));
+    expect(await screen.findByText('Tokens Purchased Successfully!')).toBeInTheDocument();
+
+    const [hash] = Object.keys(chain.receipts);
+    await waitFor(() => expect(JSON.parse(localStorage.getItem(ACTIVITY_KEY))).toEqual([
+      expect.objectContaining({ hash, kind: 'buy', encrypted: false, status: 'confirmed', tokenAddress: TOKEN.address })
+    ]));
+
+    const panel = await openActivity(user);
+    expect(within(panel).getByText(`Buy ${TOKEN.symbol}`)).toBeInTheDocument();
+    expect(within(panel).getByText('Confirmed')).toBeInTheDocument();
+    expect(within(panel).getByText('Public')).toBeInTheDocument();
+  });
+
+  it('resumes watching transactions left pending before a reload', async () => {
+    const hash = `0x${'ab'.repeat(32)}`;
+    localStorage.setItem(ACTIVITY_KEY, JSON.stringify([{
+      hash,
+      kind: 'sell',
+      encrypted: true,
+      status: 'pending',
+      account: TOKEN.creator,
+      tokenSymbol: TOKEN.symbol,
+      tokenAddress: TOKEN.address,
+      amount: '1000',
+      outcome: null,
+      createdAt: Date.now(),
+      settledAt: null
+    }]));
+    chain.receipts[hash] = { status: 0, hash, logs: [], blockNumber: 2 };
+
+    const user = userEvent.setup();
+    renderAt('/trade');
+    const panel = await openActivity(user);
+
+    expect(await within(panel).findByText('Failed')).toBeInTheDocument();
+    expect(within(panel).getByText('Encrypted')).toBeInTheDocument();
+  });
+});
+
+describe('error mapping', () => {
+  beforeEach(() => {
+    chain.tokens = [TOKEN];
+  });
+
+  const buyExpectingError = async ({ encrypted = false, encryptError = null } = {}) => {
+    if (!encrypted) biteState.committees = [];
+    const user = userEvent.setup();
+    renderAt('/trade');
+    await connect(user);
+    await expectNotification('Wallet connected successfully');
+    // Only the trade itself fails, not the test encryption on connect
+    biteState.encryptError = encryptError;
+
+    const modal = await openCardPanel(user, 'Buy');
+    await user.click(within(modal).getByRole('button', { name: `Buy ${TOKEN.symbol}` }));
+  };
+
+  it.each([
+    ['user rejected action (action="sendTransaction")', 'Transaction rejected by user'],
+    ['insufficient funds for gas * price + value', 'Insufficient funds for purchase'],
+    ['execution reverted: Invalid amount', 'Transaction reverted - check token availability']
+  ])('maps "%s" to "%s"', async (raw, message) => {
+    failNextWrite(new Error(raw));
+    await buyExpectingError();
+
+    expect(await screen.findByText('Transaction Failed')).toBeInTheDocument();
+    expect(screen.getByText(message)).toBeInTheDocument();
+  });
+
+  it('reports slippage against the chosen tolerance', async () => {
+    failNextWrite(new Error('execution reverted: Slippage exceeded'));
+    await buyExpectingError();
+
+    expect(await screen.findByText('Slippage Exceeded')).toBeInTheDocument();
+    expect(screen.getByText(/the price moved more than your 1(\.0+)?% tolerance/)).toBeInTheDocument();
+  });
+
+  it('stops a buy whose simulation reverts, before it is signed', async () => {
+    revertNextSimulation('Exceeds graduation supply');
+    await buyExpectingError();
+
+    expect(await screen.findByText('Amount Too Large')).toBeInTheDocument();
+    expect(screen.getByText(/the curve has fewer tokens left than this buy would take/)).toBeInTheDocument();
+    expect(screen.getByText(/Try a smaller amount/)).toBeInTheDocument();
+    expect(chain.writes).toEqual([]);
+  });
+
+  it('simulates encrypted trades on the plaintext calldata', async () => {
+    revertNextSimulation('Token graduated');
+    await buyExpectingError({ encrypted: true });
+
+    expect(await screen.findByText('Token Graduated')).toBeInTheDocument();
+    expect(chain.simulations).toEqual([
+      expect.objectContaining({ kind: 'call', target: TOKEN.bondingCurveAddress, method: 'buyTokens' })
+    ]);
+    // Only the test encryption on connect
+    expect(biteState.encrypted).toHaveLength(1);
+    expect(chain.writes).toEqual([]);
+  });
+
+  it('reports a failed gas estimate before anything is sent', async () => {
+    failNextEstimate(Object.assign(new Error('could not coalesce error'), { code: 'UNKNOWN_ERROR' }));
+    await buyExpectingError();
+
+    expect(await screen.findByText('Transaction Failed')).toBeInTheDocument();
+    expect(screen.getByText('Could not estimate gas - nothing was sent')).toBeInTheDocument();
+    expect(chain.writes).toEqual([]);
+  });
+
+  it('suggests disabling encryption when BITE fails', async () => {
+    await buyExpectingError({ encrypted: true, encryptError: new Error('BITE encryption failed - invalid key') });
+
+    expect(await screen.findByText('Transaction Failed')).toBeInTheDocument();
+    expect(screen.getByText('Encryption failed - try disabling encryption')).toBeInTheDocument();
+    expect(chain.writes).toEqual([]);
+  });
+
+  it('maps creation failures', async () => {
+    biteState.committees = [];
+    failNextWrite(new Error('user rejected transaction'));
+    const user = userEvent.setup();
+    renderAt('/');
+    await connect(user);
+    await screen.findByText('Public Launch');
+
+    await fillCreateForm(user);
+    await user.click(screen.getByRole('button', { name: /launch your token/ }));
+
+    expect(await screen.findByText('Transaction Failed')).toBeInTheDocument();
+    expect(screen.getByText('Transaction rejected by user')).toBeInTheDocument();
+    expect(chain.writes).toEqual([]);
+  });
+});
@@ -1,40 +1,31 @@
 import React from 'react';
-import { User, Clock, TrendingUp, CheckCircle, Eye, Lock, ExternalLink, Twitter, Calculator } from 'lucide-react';
+import { ethers } from 'ethers';
+import { User, Clock, TrendingUp, CheckCircle, Eye, Lock, Calculator } from 'lucide-react';
+import TokenImage from './TokenImage.jsx';
+import ProjectLinks from './ProjectLinks.jsx';
+import { getActiveDeployment } from '../lib/deployments.js';
+import { INITIAL_SELL_FEE, simulateLaunch } from '../lib/curveMath.js';
+import { formatTokenAmount, formatEthAmount, formatPrice, formatAddress } from '../lib/format.js';
+import { normalizeLinks, getTokenLinks } from '../lib/tokenMetadata.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
 
 /**
  * Token Preview Component
  * Shows a real-time preview of how the token card will look
  */
-function TokenPreview({ formData, encryptionEnabled, isConnected }) {
+function TokenPreview({ formData, encryptionEnabled, isConnected, userAddress, platformFee }) {
   /**
-   * Format token amounts for display
+   * The new curve right after the initial buy, using the factory's platform fee
    */
-  const formatTokenAmount = (amount) => {
+  const getLaunch = () => {
+    let amount = 0n;
     try {
-      if (!amount) return '0';
-      const number = parseFloat(amount);
-      
-      if (number >= 1e9) {
-        return (number / 1e9).toFixed(1) + 'B';
-      } else if (number >= 1e6) {
-        return (number / 1e6).toFixed(1) + 'M';
-      } else if (number >= 1e3) {
-        return (number / 1e3).toFixed(1) + 'K';
-      } else {
-        return number.toFixed(2);
-      }
-    } catch (error) {
-      return '0';
+      amount = ethers.parseEther(formData.initialBuy || '0');
+    } catch {
+      // Invalid input previews an untouched curve
     }
-  };
-
-  /**
-   * Get mock progress percentage
-   */
-  const getMockProgress = () => {
-    // Show some progress based on initial buy amount
-    const initialBuy = parseFloat(formData.initialBuy) || 0;
-    return Math.min((initialBuy * 10), 100);
+    return simulateLaunch(amount, platformFee || 0);
   };
 
   /**
@@ -54,38 +45,14 @@ function TokenPreview({ formData, encryptionEnabled, isConnected }) {
     symbol: formData.symbol || 'SYMBOL',
     description: formData.description || 'Enter a description for your token...',
     imageUrl: formData.imageUrl || '',
-    creator: isConnected ? '0x1234...5678' : '0x0000...0000',
-    initialBuy: formData.initialBuy || '0.1',
-    website: formData.website || '',
-    twitter: formData.twitter || ''
+    creator: formatAddress(isConnected ? userAddress : '')
   };
 
-  /**
-   * Get project links that have values
-   */
-  const getProjectLinks = () => {
-    const links = [];
-    
-    if (previewData.website) {
-      links.push({
-        type: 'website',
-        url: previewData.website,
-        icon: ExternalLink,
-        label: 'Website'
-      });
-    }
-    
-    if (previewData.twitter) {
-      links.push({
-        type: 'twitter',
-        url: previewData.twitter,
-        icon: Twitter,
-        label: 'X (Twitter)'
-      });
-    }
-    
-    return links;
-  };
+  const launch = getLaunch();
+  const progress = Number(launch.progress) / 100;
+
+  // Only links that would pass the form's validation
+  const links = getTokenLinks(normalizeLinks(formData));
 
   return (
     <div className="token-preview-container">
@@ -114,23 +81,12 @@ function TokenPreview({ formData, encryptionEnabled, isConnected }) {
         {/* Token Header */}
         <div className="token-header">
           <div className="token-image-container">
-            {previewData.imageUrl ? (
-              <img
-                src={previewData.imageUrl}
-                alt={`${previewData.name} logo`}
-                className="token-image"
-                onError={(e) => {
-                  e.target.style.display = 'none';
-                  e.target.nextSibling.style.display = 'flex';
-                }}
-              />
-            ) : null}
-            <div 
-              className="token-image-placeholder" 
-              style={{ display: previewData.imageUrl ? 'none' : 'flex' }}
-            >
-              {previewData.symbol.charAt(0) || '?'}
-            </div>
+            <TokenImage
+              src={previewData.imageUrl}
+              alt={`${previewData.name} logo`}
+              className="token-image"
+              fallback={<div className="token-image-placeholder">{previewData.symbol.charAt(0) || '?'}</div>}
+            />
           </div>
           
           <div className="token-info">
@@ -147,27 +103,7 @@ function TokenPreview({ formData, encryptionEnabled, isConnected }) {
         </p>
 
         {/* Project Links */}
-        {getProjectLinks().length > 0 && (
-          <div className="token-project-links">
-            {getProjectLinks().map((link, index) => {
-              const IconComponent = link.icon;
-              return (
-                <a
-                  key={index}
-                  href={link.url}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="project-link"
-                  title={link.label}
-                  onClick={(e) => e.preventDefault()} // Prevent navigation in preview
-                >
-                  <IconComponent className="project-link-icon" />
-                  <span className="project-link-label">{link.label}</span>
-                </a>
-              );
-            })}
-          </div>
-        )}
+        <ProjectLinks links={links} preview />
 
         {/* Token Metadata */}
         <div className="token-metadata">
@@ -189,7 +125,7 @@ function TokenPreview({ formData, encryptionEnabled, isConnected }) {
         <div className="metadata-item">
             <Calculator className="metadata-icon" />
             <span className="metadata-label">Sell Fee:</span>
-            <span className="metadata-value">1.00%</span>
+            <span className="metadata-value">{(INITIAL_SELL_FEE / 100).toFixed(2)}%</span>
             
           </div>
         </div>
@@ -199,22 +135,22 @@ function TokenPreview({ formData, encryptionEnabled, isConnected }) {
           <div className="stat-row">
             <div className="stat-item">
               <span className="stat-label">Price</span>
-              <span className="stat-value">0.000001 FAIR</span>
+              <span className="stat-value">{formatPrice(launch.price)} {NATIVE_SYMBOL}</span>
             </div>
             <div className="stat-item">
               <span className="stat-label">Raised</span>
-              <span className="stat-value">{previewData.initialBuy} FAIR</span>
+              <span className="stat-value">{formatEthAmount(launch.state.avaxRaised)} {NATIVE_SYMBOL}</span>
             </div>
           </div>
           
           <div className="stat-row">
             <div className="stat-item">
               <span className="stat-label">Tokens Sold</span>
-              <span className="stat-value">{formatTokenAmount(parseFloat(previewData.initialBuy) * 1000000)}</span>
+              <span className="stat-value">{formatTokenAmount(launch.tokensOut)}</span>
             </div>
             <div className="stat-item">
               <span className="stat-label">Your Balance</span>
-              <span className="stat-value">{formatTokenAmount(parseFloat(previewData.initialBuy) * 1000000)}</span>
+              <span className="stat-value">{formatTokenAmount(launch.tokensOut)}</span>
             </div>
           </div>
         </div>
@@ -223,12 +159,12 @@ function TokenPreview({ formData, encryptionEnabled, isConnected }) {
         <div className="graduation-progress">
           <div className="progress-header">
             <span className="progress-label">Progress to Graduation</span>
-            <span className="progress-percentage">{getMockProgress().toFixed(1)}%</span>
+            <span className="progress-percentage">{progress.toFixed(1)}%</span>
           </div>
           <div className="progress-bar">
             <div 
               className="progress-fill"
-              style={{ width: `${getMockProgress()}%` }}
+              style={{ width: `${Math.min(progress, 100)}%` }}
             />
           </div>
         </div>
@@ -1,9 +1,18 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { ethers } from 'ethers';
-import { Search, TrendingUp, RefreshCw, X, TrendingDown, Copy, Check } from 'lucide-react';
+import { Search, TrendingUp, RefreshCw, X, TrendingDown, Copy, Check, Radio } from 'lucide-react';
 import TokenCard from './TokenCard.jsx';
+import PriceTicker from './PriceTicker.jsx';
+import TokenImage from './TokenImage.jsx';
+import { useSearchParams } from '../lib/router.js';
+import { getActiveDeployment } from '../lib/deployments.js';
 import '../TokensMarketplace.css';
 
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const SORT_OPTIONS = ['volume', 'new', 'progress'];
+const DEFAULT_SORT = 'volume';
+
 /**
  * Enhanced Tokens Marketplace Component
  */
@@ -15,10 +24,15 @@ function TokensMarketplace({
   onSellTokens, 
   encryptionEnabled, 
   isConnected, 
-  provider 
+  client,
+  liveFeedMode
 }) {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortBy, setSortBy] = useState('volume'); // 'volume', 'new', 'progress'
+  // Search and sort live in the URL (?q=&sort=) so filtered views can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchTerm = searchParams.get('q') || '';
+  const sortBy = SORT_OPTIONS.includes(searchParams.get('sort')) ? searchParams.get('sort') : DEFAULT_SORT;
+  const setSearchTerm = (value) => setSearchParams({ q: value }, { replace: true });
+  const setSortBy = (value) => setSearchParams({ sort: value === DEFAULT_SORT ? '' : value });
   const [selectedToken, setSelectedToken] = useState(null);
   const [quickBuyAmounts, setQuickBuyAmounts] = useState({});
   const [copiedTokenAddress, setCopiedTokenAddress] = useState(null);
@@ -46,6 +60,21 @@ function TokensMarketplace({
     }
   };
 
+  /**
+   * Format spot price for the top performers strip
+   */
+  const formatPrice = (price) => {
+    try {
+      return Number(ethers.formatEther(price || 0)).toLocaleString('en-US', {
+        minimumFractionDigits: 6,
+        maximumFractionDigits: 10,
+        useGrouping: false
+      });
+    } catch {
+      return '0.000000';
+    }
+  };
+
   /**
    * Get volume (amount raised) for sorting
    */
@@ -162,8 +191,8 @@ function TokensMarketplace({
   if (tokens.length === 0) {
     return (
       <div className="marketplace-empty">
-        <h3>No Wallet Connected</h3>
-        <p>Please connect your wallet to view tokens.</p>
+        <h3>No Tokens Yet</h3>
+        <p>No tokens have been launched on this factory. Be the first from the Create tab.</p>
       </div>
     );
   }
@@ -185,11 +214,11 @@ function TokensMarketplace({
           
           <div className="token-info top-performer">
             <div className="token-avatar">
-              {token.imageUrl ? (
-                <img src={token.imageUrl} alt={token.name} />
-              ) : (
-                <div className="avatar-placeholder">{token.symbol.charAt(0)}</div>
-              )}
+              <TokenImage
+                src={token.imageUrl}
+                alt={token.name}
+                fallback={<div className="avatar-placeholder">{token.symbol.charAt(0)}</div>}
+              />
             </div>
 <div className="token-details">
   <h4>{token.name}</h4>
@@ -219,7 +248,15 @@ function TokensMarketplace({
           <div className="fair-raised-metric">
             <div className="fair-raised-label">Total Raised</div>
             <div className="fair-raised-amount">
-              {formatTokenAmount(token.avaxRaised)} FAIR
+              <PriceTicker value={token.avaxRaised}>
+                {formatTokenAmount(token.avaxRaised)} {NATIVE_SYMBOL}
+              </PriceTicker>
+            </div>
+            <div className="fair-raised-label">Price</div>
+            <div className="top-token-price">
+              <PriceTicker value={token.currentPrice}>
+                {formatPrice(token.currentPrice)} {NATIVE_SYMBOL}
+              </PriceTicker>
             </div>
           </div>
 
@@ -235,7 +272,7 @@ function TokensMarketplace({
                 onChange={(e) => updateQuickBuyAmount(token.address, e.target.value)}
                 placeholder="0.1"
               />
-              <span className="currency">FAIR</span>
+              <span className="currency">{NATIVE_SYMBOL}</span>
             </div>
             <button
               className="quick-buy-btn"
@@ -255,6 +292,15 @@ function TokensMarketplace({
       <div className="marketplace-controls">
         <div className="controls-header">
           <h2>All Tokens ({processedTokens.length})</h2>
+          {liveFeedMode && (
+            <span
+              className={`live-indicator ${liveFeedMode}`}
+              title={liveFeedMode === 'polling' ? 'Updating by polling the RPC' : 'Streaming contract events'}
+            >
+              <Radio size={14} />
+              {liveFeedMode === 'polling' ? 'Auto-refresh' : 'Live'}
+            </span>
+          )}
         </div>
 
         <div className="controls-row">
@@ -314,7 +360,7 @@ function TokensMarketplace({
               onSellTokens={onSellTokens}
               encryptionEnabled={encryptionEnabled}
               isConnected={isConnected}
-              provider={provider}
+              client={client}
             />
           ))
         )}
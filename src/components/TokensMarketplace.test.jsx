@@ -0,0 +1,124 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TokensMarketplace from './TokensMarketplace.jsx';
+import { createLaunchpadClient } from '../lib/launchpadClient.js';
+import { makeToken } from '../test/mockChain.js';
+
+vi.mock('@skalenetwork/bite', () => import('../test/fakeBite.js'));
+vi.mock('../lib/readBatcher.js', async () => (await import('../test/mockChain.js')).readBatcherMock);
+
+const WEI = 10n ** 18n;
+const FACTORY_ADDRESS = '0x4000000000000000000000000000000000000004';
+
+const TOKENS = [
+  makeToken({
+    address: '0x1000000000000000000000000000000000000001',
+    name: 'Alpha',
+    symbol: 'ALPHA',
+    avaxRaised: 5n * WEI,
+    launchTime: 100,
+    progressToGraduation: 1000n
+  }),
+  makeToken({
+    address: '0x1000000000000000000000000000000000000002',
+    name: 'Bravo',
+    symbol: 'BRAVO',
+    avaxRaised: 9n * WEI,
+    launchTime: 50,
+    progressToGraduation: 500n
+  }),
+  makeToken({
+    address: '0x1000000000000000000000000000000000000003',
+    name: 'Charlie',
+    symbol: 'CHAR',
+    avaxRaised: WEI,
+    launchTime: 300,
+    progressToGraduation: 9000n
+  })
+];
+
+const renderMarketplace = ({ path = '/trade', ...props } = {}) => {
+  window.history.replaceState(null, '', path);
+  const onBuyTokens = vi.fn(async () => true);
+  render(
+    <TokensMarketplace
+      tokens={TOKENS}
+      isLoadingTokens={false}
+      onRefresh={() => {}}
+      onBuyTokens={onBuyTokens}
+      onSellTokens={() => {}}
+      encryptionEnabled={false}
+      isConnected
+      client={createLaunchpadClient({ provider: null, factoryAddress: FACTORY_ADDRESS })}
+      {...props}
+    />
+  );
+  return { onBuyTokens, user: userEvent.setup() };
+};
+
+const cardNames = () =>
+  Array.from(document.querySelectorAll('.token-card .token-name')).map((node) => node.textContent.trim());
+
+describe('TokensMarketplace', () => {
+  it('shows an empty state before any launch', () => {
+    renderMarketplace({ tokens: [] });
+    expect(screen.getByText('No Tokens Yet')).toBeInTheDocument();
+  });
+
+  it('sorts by volume by default', () => {
+    renderMarketplace();
+    expect(cardNames()).toEqual(['Bravo', 'Alpha', 'Charlie']);
+  });
+
+  it.each([
+    ['new', ['Charlie', 'Alpha', 'Bravo']],
+    ['progress', ['Charlie', 'Alpha', 'Bravo']]
+  ])('sorts by %s from the URL', (sort, expected) => {
+    renderMarketplace({ path: `/trade?sort=${sort}` });
+    expect(cardNames()).toEqual(expected);
+  });
+
+  it('writes the sort order to the URL', async () => {
+    const { user } = renderMarketplace();
+    await user.selectOptions(screen.getByRole('combobox'), 'new');
+
+    expect(window.location.search).toBe('?sort=new');
+    expect(cardNames()).toEqual(['Charlie', 'Alpha', 'Bravo']);
+  });
+
+  it('filters by name, symbol or address from ?q=', () => {
+    renderMarketplace({ path: '/trade?q=brav' });
+    expect(cardNames()).toEqual(['Bravo']);
+    expect(screen.getByText('All Tokens (1)')).toBeInTheDocument();
+  });
+
+  it('matches a contract address', async () => {
+    const { user } = renderMarketplace();
+    await user.type(screen.getByPlaceholderText(/Search by name/), TOKENS[2].address);
+
+    expect(cardNames()).toEqual(['Charlie']);
+    expect(window.location.search).toBe(`?q=${TOKENS[2].address}`);
+  });
+
+  it('offers to clear a search without matches', async () => {
+    const { user } = renderMarketplace({ path: '/trade?q=zulu' });
+    expect(screen.getByText('No tokens found matching "zulu"')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Clear search' }));
+    expect(cardNames()).toHaveLength(3);
+  });
+
+  it('quick-buys a top performer with the entered amount', async () => {
+    const { user, onBuyTokens } = renderMarketplace();
+    const [first] = screen.getAllByRole('button', { name: 'Quick Buy' });
+    const [amount] = document.querySelectorAll('.quick-buy-section input');
+
+    // Clearing falls back to the 0.1 default, so set the value in one change
+    fireEvent.change(amount, { target: { value: '0.5' } });
+    await user.click(first);
+
+    expect(onBuyTokens).toHaveBeenCalledWith(expect.objectContaining({ symbol: 'BRAVO' }), '0.5');
+  });
+});
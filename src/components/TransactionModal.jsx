@@ -1,5 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { CheckCircle, AlertCircle, Eye, EyeOff, Shield, Bot } from 'lucide-react';
+import { ethers } from 'ethers';
+import { CheckCircle, AlertCircle, Eye, EyeOff, Shield, Bot, Lock } from 'lucide-react';
+import { formatSlippage } from '../lib/slippage.js';
+import { getActiveDeployment } from '../lib/deployments.js';
+
+const { nativeSymbol: NATIVE_SYMBOL } = getActiveDeployment();
+
+const STEP_STATUS_LABELS = {
+  waiting: 'Waiting',
+  pending: 'In progress',
+  confirmed: 'Done',
+  skipped: 'Already approved'
+};
 
 /**
  * Transaction Modal Component
@@ -12,7 +24,8 @@ function TransactionModal({
   transactionData, 
   isEncrypted, 
   status, // 'loading', 'success', 'error'
-  error 
+  error,
+  revert // describeRevert() result when the contract gave a known reason
 }) {
   const [showMevSimulation, setShowMevSimulation] = useState(false);
   const [simulationStep, setSimulationStep] = useState(0);
@@ -68,6 +81,53 @@ function TransactionModal({
     }
   };
 
+  const getErrorTitle = () => {
+    return revert ? revert.title : 'Transaction Failed';
+  };
+
+  const formatMinimum = (amount, decimals) => {
+    if (amount === undefined || amount === null) return '...';
+    return parseFloat(ethers.formatEther(amount)).toFixed(decimals);
+  };
+
+  const getFeeRow = () => (
+    <div className="detail-item">
+      <span>Estimated Network Fee:</span>
+      <span>{formatMinimum(transactionData.estimatedFee, 6)} {NATIVE_SYMBOL}</span>
+    </div>
+  );
+
+  /**
+   * Approve and sell as separate steps, each with its own encryption status
+   */
+  const getSellSteps = () => {
+    const { steps, tokenSymbol, standingAllowance } = transactionData;
+    if (!steps) return null;
+
+    const rows = [
+      { id: 'approve', label: `Approve ${tokenSymbol}${standingAllowance ? ' (standing)' : ''}` },
+      { id: 'sell', label: `Sell ${tokenSymbol}` }
+    ];
+
+    return (
+      <div className="transaction-steps">
+        {rows.map(({ id, label }) => {
+          const step = steps[id];
+          return (
+            <div key={id} className={`transaction-step ${step.status}`}>
+              <span className="step-label">{label}</span>
+              <span className={`step-privacy ${step.encrypted ? 'encrypted' : 'public'}`}>
+                {step.encrypted ? <Lock className="step-privacy-icon" /> : <Eye className="step-privacy-icon" />}
+                {step.encrypted ? 'Encrypted' : 'Public'}
+              </span>
+              <span className="step-status">{STEP_STATUS_LABELS[step.status]}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
   const getTransactionDetails = () => {
     if (!transactionData) return null;
 
@@ -85,8 +145,9 @@ function TransactionModal({
             </div>
             <div className="detail-item">
               <span>Initial Buy:</span>
-              <span>{transactionData.initialBuy} FAIR</span>
+              <span>{transactionData.initialBuy} {NATIVE_SYMBOL}</span>
             </div>
+            {getFeeRow()}
           </div>
         );
       case 'buy':
@@ -98,8 +159,17 @@ function TransactionModal({
             </div>
             <div className="detail-item">
               <span>Amount:</span>
-              <span>{transactionData.amount} FAIR</span>
+              <span>{transactionData.amount} {NATIVE_SYMBOL}</span>
+            </div>
+            <div className="detail-item">
+              <span>Slippage Tolerance:</span>
+              <span>{formatSlippage(transactionData.slippageBps)}</span>
             </div>
+            <div className="detail-item">
+              <span>Minimum Received:</span>
+              <span>{formatMinimum(transactionData.minTokensOut, 2)} {transactionData.tokenSymbol}</span>
+            </div>
+            {getFeeRow()}
           </div>
         );
       case 'sell':
@@ -114,9 +184,19 @@ function TransactionModal({
               <span>{transactionData.tokenAmount}</span>
             </div>
             <div className="detail-item">
-              <span>Expected FAIR:</span>
-              <span>{transactionData.expectedFair} FAIR</span>
+              <span>Expected {NATIVE_SYMBOL}:</span>
+              <span>{transactionData.expectedFair} {NATIVE_SYMBOL}</span>
+            </div>
+            <div className="detail-item">
+              <span>Slippage Tolerance:</span>
+              <span>{formatSlippage(transactionData.slippageBps)}</span>
+            </div>
+            <div className="detail-item">
+              <span>Minimum Received:</span>
+              <span>{formatMinimum(transactionData.minFairOut, 4)} {NATIVE_SYMBOL}</span>
             </div>
+            {getFeeRow()}
+            {getSellSteps()}
           </div>
         );
       default:
@@ -140,7 +220,7 @@ function TransactionModal({
           { label: 'Token Name', value: transactionData.name, sensitive: true },
           { label: 'Token Symbol', value: transactionData.symbol, sensitive: true },
           { label: 'Description', value: transactionData.description?.slice(0, 30) + '...', sensitive: true },
-          { label: 'Initial Liquidity', value: `${transactionData.initialBuy} FAIR`, sensitive: true },
+          { label: 'Initial Liquidity', value: `${transactionData.initialBuy} ${NATIVE_SYMBOL}`, sensitive: true },
           { label: 'Creator Address', value: '0x1234...5678', sensitive: true }
         ];
         break;
@@ -148,8 +228,8 @@ function TransactionModal({
         calldataInfo = [
           { label: 'Function', value: 'buyTokens()', sensitive: true },
           { label: 'Token Address', value: '0xabcd...ef01', sensitive: true },
-          { label: 'Buy Amount', value: `${transactionData.amount} FAIR`, sensitive: true },
-          { label: 'Slippage', value: '0.5%', sensitive: true }
+          { label: 'Buy Amount', value: `${transactionData.amount} ${NATIVE_SYMBOL}`, sensitive: true },
+          { label: 'Slippage', value: formatSlippage(transactionData.slippageBps), sensitive: true }
         ];
         break;
       case 'sell':
@@ -157,6 +237,7 @@ function TransactionModal({
           { label: 'Function', value: 'sellTokens()', sensitive: true },
           { label: 'Token Address', value: '0xabcd...ef01', sensitive: true },
           { label: 'Sell Amount', value: transactionData.tokenAmount, sensitive: true },
+          { label: 'Slippage', value: formatSlippage(transactionData.slippageBps), sensitive: true },
           { label: 'Sell Fee', value: '1.0%', sensitive: true }
         ];
         break;
@@ -222,17 +303,19 @@ function TransactionModal({
     : 'empty'}
   "
 </div>
-                        <div>initialBuy: {transactionData.initialBuy} FAIR</div>
+                        <div>initialBuy: {transactionData.initialBuy} {NATIVE_SYMBOL}</div>
                       </>
                     )}
                     {transactionType === 'buy' && (
                       <>
-                        <div>tokenAmount: {transactionData.amount} FAIR</div>
+                        <div>tokenAmount: {transactionData.amount} {NATIVE_SYMBOL}</div>
+                        <div>minTokensOut: {formatMinimum(transactionData.minTokensOut, 2)}</div>
                       </>
                     )}
                     {transactionType === 'sell' && (
                       <>
                         <div>tokenAmount: {transactionData.tokenAmount}</div>
+                        <div>minFAIROut: {formatMinimum(transactionData.minFairOut, 4)} {NATIVE_SYMBOL}</div>
                       </>
                     )}
                   </div>
@@ -347,12 +430,15 @@ function TransactionModal({
           <>
             <div className="modal-header error">
               <AlertCircle className="error-icon" />
-              <h3>Transaction Failed</h3>
+              <h3>{getErrorTitle()}</h3>
             </div>
 
             <div className="modal-body">
               <div className="error-details">
                 <p className="error-message">{error || 'An unexpected error occurred'}</p>
+                {revert && (
+                  <p className="error-hint">{revert.hint}</p>
+                )}
               </div>
 
               <div className="error-actions">
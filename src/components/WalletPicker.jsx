@@ -0,0 +1,71 @@
+import React from 'react';
+import { Wallet, Smartphone, ExternalLink } from 'lucide-react';
+import { WALLETCONNECT_ID } from '../lib/wallets.js';
+
+/**
+ * Wallet Picker Component
+ * Lists discovered browser wallets plus WalletConnect for mobile users
+ */
+function WalletPicker({ isOpen, wallets, walletConnectAvailable, connectingId, onSelect, onClose }) {
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content wallet-picker" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Connect a Wallet</h3>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="wallet-options">
+            {wallets.map((wallet) => (
+              <button
+                key={wallet.id}
+                className="wallet-option"
+                onClick={() => onSelect(wallet.id)}
+                disabled={!!connectingId}
+              >
+                {wallet.icon ? (
+                  <img src={wallet.icon} alt="" className="wallet-option-icon" />
+                ) : (
+                  <Wallet className="wallet-option-icon" />
+                )}
+                <span className="wallet-option-name">{wallet.name}</span>
+                {connectingId === wallet.id && <span className="wallet-option-status">Connecting...</span>}
+              </button>
+            ))}
+
+            {walletConnectAvailable && (
+              <button
+                className="wallet-option"
+                onClick={() => onSelect(WALLETCONNECT_ID)}
+                disabled={!!connectingId}
+              >
+                <Smartphone className="wallet-option-icon" />
+                <span className="wallet-option-name">WalletConnect</span>
+                {connectingId === WALLETCONNECT_ID
+                  ? <span className="wallet-option-status">Waiting for approval...</span>
+                  : <span className="wallet-option-status">Mobile & QR</span>}
+              </button>
+            )}
+          </div>
+
+          {wallets.length === 0 && (
+            <p className="wallet-picker-hint">
+              No browser wallet detected.{' '}
+              <a href="https://metamask.io/download/" target="_blank" rel="noopener noreferrer">
+                Install MetaMask <ExternalLink size={12} />
+              </a>
+              {walletConnectAvailable && ' or connect a mobile wallet with WalletConnect.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WalletPicker;
@@ -0,0 +1,47 @@
+/**
+ * Contract ABIs shared across the launchpad
+ * Human-readable fragments for TokenFactory, BondingCurve and LaunchToken
+ */
+
+export const FACTORY_ABI = [
+  "function createToken(string name, string symbol, string description, string imageUrl, uint256 initialBuyAmount) external payable returns (address token, address bondingCurve)",
+  "function createTokenWithSocials(string name, string symbol, string description, string imageUrl, string website, string twitter, uint256 initialBuyAmount) external payable returns (address token, address bondingCurve)",
+  "function createTokenWithMetadata(string name, string symbol, string description, string imageUrl, string website, string twitter, string metadataURI, uint256 initialBuyAmount) external payable returns (address token, address bondingCurve)",
+  "function getAllTokens() external view returns (address[] memory)",
+  "function tokenToBondingCurve(address token) external view returns (address)",
+  "function getBondingCurve(address token) external view returns (address)",
+  "function tokenCreationFee() external view returns (uint256)",
+  "function platformFeePercent() external view returns (uint256)",
+  "function treasury() external view returns (address)",
+  "event TokenCreated(address indexed token, address indexed bondingCurve, address indexed creator, string name, string symbol, string description, string imageUrl, string website, string twitter)",
+  "event TokenMetadataURI(address indexed token, string metadataURI)"
+];
+
+export const BONDING_CURVE_ABI = [
+  "function buyTokens(uint256 minTokensOut) external payable",
+  "function sellTokens(uint256 tokenAmount, uint256 minAvaxOut) external",
+  "function previewBuy(uint256 avaxAmount) external view returns (uint256 tokensOut, uint256 newPrice, uint256 priceImpact, uint256 platformFee)",
+  "function previewSell(uint256 tokenAmount) external view returns (uint256 avaxOut, uint256 netAvaxOut, uint256 sellFee, uint256 feeAmount)",
+  "function getCurrentPrice() external view returns (uint256)",
+  "function platformFeePercent() external view returns (uint256)",
+  "function getTokenInfo() external view returns (uint256 tokensSold, uint256 avaxRaised, uint256 currentSellFee, bool graduated, uint256 progress)",
+  "function token() external view returns (address)",
+  "function graduated() external view returns (bool)",
+  "event TokensPurchased(address indexed buyer, uint256 FAIRIn, uint256 tokensOut, uint256 newPrice)",
+  "event TokensSold(address indexed seller, uint256 tokensIn, uint256 FAIROut, uint256 fee)",
+  "event Graduated(uint256 liquidityTokens, uint256 liquidityFAIR, uint256 teamFAIR, uint256 lpTokensBurned)",
+  "event PriceUpdate(uint256 tokensSold, uint256 currentPrice, uint256 marketCap)"
+];
+
+export const TOKEN_ABI = [
+  "function name() external view returns (string)",
+  "function symbol() external view returns (string)",
+  "function decimals() external view returns (uint8)",
+  "function balanceOf(address owner) external view returns (uint256)",
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function getMetadata() external view returns (string description, string imageUrl, address creator, uint256 launchTime)",
+  "function getSocialLinks() external view returns (string website, string twitter)",
+  "function metadataURI() external view returns (string)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
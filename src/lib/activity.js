@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { FACTORY_ABI, BONDING_CURVE_ABI, TOKEN_ABI } from './abis.js';
+
+/**
+ * Transaction activity
+ * Every create, approve, buy and sell this browser sends, kept in localStorage
+ * per deployment. Entries are recorded as pending when their hash is known and
+ * settled from the receipt, so a reload mid-transaction picks the watch back
+ * up. Amounts are stored as wei strings
+ *
+ * @typedef {Object} ActivityEntry
+ * @property {string} hash
+ * @property {'create'|'approve'|'buy'|'sell'} kind
+ * @property {boolean} encrypted
+ * @property {'pending'|'confirmed'|'failed'|'dropped'} status
+ * @property {string} account
+ * @property {string} tokenSymbol
+ * @property {string} tokenAddress '' for a create until it confirms
+ * @property {string} amount Initial buy, native spent, tokens approved or tokens sold
+ * @property {Object|null} outcome Decoded from the receipt, see decodeOutcome()
+ * @property {number} createdAt Unix milliseconds
+ * @property {number|null} settledAt
+ */
+
+export const MAX_ACTIVITY_ENTRIES = 50;
+
+const STORAGE_PREFIX = 'stealthly.activity.';
+// How long one watch waits for a receipt; pending entries are watched again on reload
+const WATCH_TIMEOUT_MS = 10 * 60 * 1000;
+
+const eventInterface = new ethers.Interface([
+  ...FACTORY_ABI.filter((item) => item.startsWith('event ')),
+  ...BONDING_CURVE_ABI.filter((item) => item.startsWith('event ')),
+  ...TOKEN_ABI.filter((item) => item.startsWith('event '))
+]);
+
+/**
+ * What a confirmed transaction did, from its logs
+ * @returns {Object|null} { tokenAddress } for a create, { spent, received } for a
+ * buy, { sold, received } for a sell; null when nothing matched
+ */
+export const decodeOutcome = (kind, logs = []) => {
+  const events = logs
+    .map((log) => {
+      try {
+        return eventInterface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  const find = (name) => events.find((event) => event.name === name);
+
+  if (kind === 'create') {
+    const created = find('TokenCreated');
+    return created ? { tokenAddress: created.args.token, bondingCurveAddress: created.args.bondingCurve } : null;
+  }
+  if (kind === 'buy') {
+    const purchased = find('TokensPurchased');
+    return purchased ? { spent: purchased.args.FAIRIn.toString(), received: purchased.args.tokensOut.toString() } : null;
+  }
+  if (kind === 'sell') {
+    const sold = find('TokensSold');
+    return sold ? { sold: sold.args.tokensIn.toString(), received: sold.args.FAIROut.toString() } : null;
+  }
+  return null;
+};
+
+/**
+ * Explorer page of a transaction, or null without an explorer
+ */
+export const getTransactionUrl = (explorerUrl, hash) => (explorerUrl ? `${explorerUrl}/tx/${hash}` : null);
+
+const readEntries = (storageKey) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Activity for one deployment
+ * @param deploymentId Entries are kept apart per deployment
+ * @param provider Read provider used to watch pending hashes
+ */
+export const createActivityLog = ({ deploymentId, provider }) => {
+  const storageKey = `${STORAGE_PREFIX}${deploymentId}`;
+  const listeners = new Set();
+  const watching = new Set();
+  let entries = readEntries(storageKey);
+
+  const commit = (next) => {
+    entries = next.slice(0, MAX_ACTIVITY_ENTRIES);
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(entries));
+    } catch (error) {
+      console.error('Failed to persist activity:', error);
+    }
+    listeners.forEach((listener) => listener(entries));
+  };
+
+  const update = (hash, changes) => {
+    commit(entries.map((entry) => (entry.hash === hash ? { ...entry, ...changes } : entry)));
+  };
+
+  const settle = (hash, receipt) => {
+    const entry = entries.find((candidate) => candidate.hash === hash);
+    if (!entry) return;
+
+    const confirmed = receipt.status === 1;
+    const outcome = confirmed ? decodeOutcome(entry.kind, receipt.logs) : null;
+    update(hash, {
+      status: confirmed ? 'confirmed' : 'failed',
+      outcome,
+      tokenAddress: entry.tokenAddress || outcome?.tokenAddress || '',
+      settledAt: Date.now()
+    });
+  };
+
+  const watch = async (hash) => {
+    if (watching.has(hash)) return;
+    watching.add(hash);
+
+    try {
+      const receipt = await provider.waitForTransaction(hash, 1, WATCH_TIMEOUT_MS);
+      if (receipt) settle(hash, receipt);
+    } catch (error) {
+      if (error.code !== 'TIMEOUT') {
+        console.error(`Failed to watch ${hash}:`, error);
+        return;
+      }
+      // Still unknown to the node after all this time: it will not be mined
+      const transaction = await provider.getTransaction(hash).catch(() => undefined);
+      if (transaction === null) update(hash, { status: 'dropped', settledAt: Date.now() });
+    } finally {
+      watching.delete(hash);
+    }
+  };
+
+  // Other tabs record and settle too
+  const onStorage = (event) => {
+    if (event.key !== storageKey) return;
+    entries = readEntries(storageKey);
+    listeners.forEach((listener) => listener(entries));
+  };
+
+  return {
+    /**
+     * Entries, newest first
+     * @returns {ActivityEntry[]}
+     */
+    list: () => entries,
+
+    /**
+     * Record a sent transaction and watch it until it settles
+     * @param entry { hash, kind, encrypted, account, tokenSymbol, tokenAddress, amount }
+     */
+    record: (entry) => {
+      commit([
+        {
+          tokenAddress: '',
+          amount: '0',
+          ...entry,
+          status: 'pending',
+          outcome: null,
+          createdAt: Date.now(),
+          settledAt: null
+        },
+        ...entries.filter((existing) => existing.hash !== entry.hash)
+      ]);
+      watch(entry.hash);
+    },
+
+    /**
+     * Watch every pending entry, e.g. after a reload
+     */
+    resume: () => {
+      entries.filter((entry) => entry.status === 'pending').forEach((entry) => watch(entry.hash));
+    },
+
+    clear: () => {
+      commit(entries.filter((entry) => entry.status === 'pending'));
+    },
+
+    /**
+     * @param listener Called with the entries after every change
+     * @returns Unsubscribe function
+     */
+    subscribe: (listener) => {
+      if (listeners.size === 0 && typeof window !== 'undefined') {
+        window.addEventListener('storage', onStorage);
+      }
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && typeof window !== 'undefined') {
+          window.removeEventListener('storage', onStorage);
+        }
+      };
+    }
+  };
+};
+
+/**
+ * The log's entries, kept current
+ */
+export const useActivity = (log) => {
+  const [entries, setEntries] = useState(() => log.list());
+
+  useEffect(() => {
+    setEntries(log.list());
+    return log.subscribe(setEntries);
+  }, [log]);
+
+  return entries;
+};
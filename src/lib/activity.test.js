@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { createActivityLog, decodeOutcome, getTransactionUrl, MAX_ACTIVITY_ENTRIES } from './activity.js';
+import { BONDING_CURVE_ABI } from './abis.js';
+
+const HASH = `0x${'12'.repeat(32)}`;
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+
+const purchaseLog = (FAIRIn, tokensOut) => {
+  const { data, topics } = curveInterface.encodeEventLog('TokensPurchased', [
+    '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+    FAIRIn,
+    tokensOut,
+    1n
+  ]);
+  return { data, topics };
+};
+
+const createProvider = (overrides = {}) => ({
+  waitForTransaction: vi.fn(() => new Promise(() => {})),
+  getTransaction: vi.fn(async () => null),
+  ...overrides
+});
+
+const entry = (overrides = {}) => ({
+  hash: HASH,
+  kind: 'buy',
+  encrypted: true,
+  account: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  tokenSymbol: 'TEST',
+  amount: '100',
+  ...overrides
+});
+
+describe('decodeOutcome', () => {
+  it('reads what a buy spent and received', () => {
+    expect(decodeOutcome('buy', [{ data: '0x', topics: [ethers.ZeroHash] }, purchaseLog(10n, 2000n)]))
+      .toEqual({ spent: '10', received: '2000' });
+  });
+
+  it('is null without a matching event', () => {
+    expect(decodeOutcome('sell', [purchaseLog(10n, 2000n)])).toBeNull();
+  });
+});
+
+describe('createActivityLog', () => {
+  it('persists entries per deployment and settles them from the receipt', async () => {
+    const provider = createProvider({
+      waitForTransaction: vi.fn(async () => ({ status: 1, logs: [purchaseLog(100n, 5n)] }))
+    });
+    const log = createActivityLog({ deploymentId: 'local', provider });
+    const listener = vi.fn();
+    log.subscribe(listener);
+
+    log.record(entry());
+
+    await vi.waitFor(() => expect(log.list()[0].status).toBe('confirmed'));
+    expect(log.list()[0].outcome).toEqual({ spent: '100', received: '5' });
+    expect(createActivityLog({ deploymentId: 'local', provider }).list()).toEqual(log.list());
+    expect(createActivityLog({ deploymentId: 'other', provider }).list()).toEqual([]);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('marks transactions the node never saw as dropped once the watch times out', async () => {
+    const timeout = Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+    const provider = createProvider({ waitForTransaction: vi.fn(async () => { throw timeout; }) });
+    const log = createActivityLog({ deploymentId: 'local', provider });
+
+    log.record(entry());
+
+    await vi.waitFor(() => expect(log.list()[0].status).toBe('dropped'));
+  });
+
+  it('keeps the newest entries and clears only settled ones', () => {
+    const log = createActivityLog({ deploymentId: 'local', provider: createProvider() });
+    for (let i = 0; i <= MAX_ACTIVITY_ENTRIES; i += 1) {
+      log.record(entry({ hash: ethers.toBeHex(i, 32) }));
+    }
+
+    expect(log.list()).toHaveLength(MAX_ACTIVITY_ENTRIES);
+    expect(log.list()[0].hash).toBe(ethers.toBeHex(MAX_ACTIVITY_ENTRIES, 32));
+    log.clear();
+    expect(log.list()).toHaveLength(MAX_ACTIVITY_ENTRIES);
+  });
+});
+
+describe('getTransactionUrl', () => {
+  it('links to the explorer when one is configured', () => {
+    expect(getTransactionUrl('https://explorer.example', HASH)).toBe(`https://explorer.example/tx/${HASH}`);
+    expect(getTransactionUrl('', HASH)).toBeNull();
+  });
+});
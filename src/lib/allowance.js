@@ -0,0 +1,40 @@
+import { ethers } from 'ethers';
+
+/**
+ * Sell approvals
+ * A curve can only take tokens it is allowed to. By default each sale approves
+ * exactly its own amount; with a standing allowance the first sale approves
+ * the curve for any amount, so later sales are a single transaction
+ */
+
+export const STANDING_ALLOWANCE = ethers.MaxUint256;
+
+const STORAGE_KEY = 'stealthly.standingAllowance';
+
+/**
+ * Read the persisted standing allowance preference (off by default)
+ */
+export const getStandingAllowance = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Persist the standing allowance preference
+ */
+export const setStandingAllowance = (enabled) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, String(!!enabled));
+  } catch (error) {
+    console.error('Failed to persist allowance setting:', error);
+  }
+  return !!enabled;
+};
+
+/**
+ * Allowance to grant before selling `amount`
+ */
+export const getApprovalAmount = (amount, standing) => (standing ? STANDING_ALLOWANCE : amount);
@@ -0,0 +1,60 @@
+import { ethers } from 'ethers';
+
+/**
+ * OHLC aggregation for price history charts
+ */
+
+export const CANDLE_INTERVALS = [
+  { label: '1m', seconds: 60 },
+  { label: '5m', seconds: 5 * 60 },
+  { label: '15m', seconds: 15 * 60 },
+  { label: '1h', seconds: 60 * 60 },
+  { label: '4h', seconds: 4 * 60 * 60 },
+  { label: '1D', seconds: 24 * 60 * 60 }
+];
+
+const toNumber = (wei) => Number(ethers.formatEther(wei));
+
+/**
+ * Bucket price points (and optional trades for volume) into candles
+ * Each candle opens at the previous candle's close so the series is continuous
+ * @param points [{ timestamp, price }] with prices in wei
+ * @param trades [{ timestamp, fairAmount }] used for per-candle FAIR volume
+ * @returns [{ time, open, high, low, close, volume }] with plain number values
+ */
+export const buildCandles = (points, trades = [], intervalSeconds = 60) => {
+  const candles = [];
+  const byTime = new Map();
+  let lastClose = null;
+
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const point of sorted) {
+    const time = Math.floor(point.timestamp / intervalSeconds) * intervalSeconds;
+    const price = toNumber(point.price);
+    let candle = byTime.get(time);
+
+    if (!candle) {
+      const open = lastClose ?? price;
+      candle = { time, open, high: Math.max(open, price), low: Math.min(open, price), close: price, volume: 0 };
+      byTime.set(time, candle);
+      candles.push(candle);
+    } else {
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.close = price;
+    }
+
+    lastClose = price;
+  }
+
+  for (const trade of trades) {
+    const time = Math.floor(trade.timestamp / intervalSeconds) * intervalSeconds;
+    const candle = byTime.get(time);
+    if (candle) {
+      candle.volume += toNumber(trade.fairAmount);
+    }
+  }
+
+  return candles;
+};
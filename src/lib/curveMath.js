@@ -0,0 +1,185 @@
+/**
+ * Bonding curve math
+ * A bigint port of BondingCurve.sol, so quotes can be computed from a curve's
+ * state without a call. Every division truncates exactly like the contract's
+ * uint256 arithmetic; amounts are wei and fees basis points
+ */
+
+const WEI = 10n ** 18n;
+const BPS = 10000n;
+
+// Mirrors BondingCurve.sol constants
+export const GRADUATION_THRESHOLD = 8050n * WEI;
+export const GRADUATION_SUPPLY = 700_000_000n * WEI;
+export const TOTAL_SUPPLY = 1_000_000_000n * WEI;
+export const VIRTUAL_FAIR_RESERVES = 570n * WEI;
+export const VIRTUAL_TOKEN_RESERVES = 750_000_000n * WEI;
+export const ANTI_DUMP_DURATION = 15 * 60;
+export const INITIAL_SELL_FEE = 2000;
+export const FINAL_SELL_FEE = 100;
+
+const LAUNCH_CURVE = { tokensSold: 0n, avaxRaised: 0n };
+
+/**
+ * @typedef {Object} CurveState
+ * @property {bigint} tokensSold
+ * @property {bigint} avaxRaised Native currency held by the curve (FAIRRaised)
+ * @property {boolean} [graduated]
+ */
+
+const reservesOf = ({ tokensSold, avaxRaised }) => ({
+  tokensSold: BigInt(tokensSold),
+  fairReserve: VIRTUAL_FAIR_RESERVES + BigInt(avaxRaised),
+  tokenReserve: VIRTUAL_TOKEN_RESERVES - BigInt(tokensSold)
+});
+
+/**
+ * Sell fee in basis points at a given time, mirroring getCurrentSellFee()
+ */
+export const getSellFeeAt = (launchTime, timestamp = Math.floor(Date.now() / 1000)) => {
+  const elapsed = timestamp - launchTime;
+  if (elapsed >= ANTI_DUMP_DURATION) return FINAL_SELL_FEE;
+  if (elapsed <= 0) return INITIAL_SELL_FEE;
+  return INITIAL_SELL_FEE - Math.floor(((INITIAL_SELL_FEE - FINAL_SELL_FEE) * elapsed) / ANTI_DUMP_DURATION);
+};
+
+/**
+ * Spot price per token, mirroring getCurrentPrice()
+ */
+export const getCurrentPrice = (state) => {
+  const { fairReserve, tokenReserve } = reservesOf(state);
+  return (fairReserve * WEI) / tokenReserve;
+};
+
+/**
+ * Value of the tokens sold at the spot price, mirroring getMarketCap()
+ */
+export const getMarketCap = (state) => {
+  const tokensSold = BigInt(state.tokensSold);
+  if (tokensSold === 0n) return 0n;
+  return (getCurrentPrice(state) * tokensSold) / WEI;
+};
+
+/**
+ * Graduation progress in basis points, as reported by getTokenInfo()
+ */
+export const getProgress = (state) => (BigInt(state.avaxRaised) * BPS) / GRADUATION_THRESHOLD;
+
+/**
+ * Tokens bought by `fairAmount` after fees, mirroring _calculateTokensOut()
+ */
+export const calculateTokensOut = (state, fairAmount) => {
+  const { tokensSold, fairReserve, tokenReserve } = reservesOf(state);
+  const k = fairReserve * tokenReserve;
+  const tokensOut = tokenReserve - k / (fairReserve + BigInt(fairAmount));
+
+  const maxTokens = GRADUATION_SUPPLY - tokensSold;
+  return tokensOut > maxTokens ? maxTokens : tokensOut;
+};
+
+/**
+ * Gross native currency returned for `tokenAmount`, mirroring _calculateFAIROut()
+ */
+export const calculateFairOut = (state, tokenAmount) => {
+  const { fairReserve, tokenReserve } = reservesOf(state);
+  const k = fairReserve * tokenReserve;
+  return fairReserve - k / (tokenReserve + BigInt(tokenAmount));
+};
+
+/**
+ * Quote a buy of `amount` native currency, mirroring previewBuy()
+ * @param platformFeePercent The curve's platform fee in basis points
+ * @returns {{ tokensOut: bigint, newPrice: bigint, priceImpact: bigint, platformFee: bigint }}
+ */
+export const previewBuy = (state, amount, platformFeePercent) => {
+  const fairAmount = BigInt(amount);
+  if (fairAmount === 0n || state.graduated) {
+    return { tokensOut: 0n, newPrice: 0n, priceImpact: 0n, platformFee: 0n };
+  }
+
+  const platformFee = (fairAmount * BigInt(platformFeePercent)) / BPS;
+  const buyAmount = fairAmount - platformFee;
+  if (buyAmount === 0n) {
+    return { tokensOut: 0n, newPrice: 0n, priceImpact: 0n, platformFee };
+  }
+
+  const currentPrice = getCurrentPrice(state);
+  const tokensOut = calculateTokensOut(state, buyAmount);
+  if (tokensOut === 0n) {
+    return { tokensOut: 0n, newPrice: currentPrice, priceImpact: 0n, platformFee };
+  }
+
+  const { fairReserve, tokenReserve } = reservesOf(state);
+  const newPrice = ((fairReserve + buyAmount) * WEI) / (tokenReserve - tokensOut);
+  const priceImpact = newPrice > currentPrice ? ((newPrice - currentPrice) * BPS) / currentPrice : 0n;
+
+  return { tokensOut, newPrice, priceImpact, platformFee };
+};
+
+/**
+ * Quote a sale of `amount` tokens, mirroring previewSell()
+ * @param sellFee Sell fee in basis points, see getSellFeeAt()
+ * @returns {{ avaxOut: bigint, netAvaxOut: bigint, sellFee: bigint, feeAmount: bigint }}
+ */
+export const previewSell = (state, amount, sellFee) => {
+  const tokenAmount = BigInt(amount);
+  if (tokenAmount === 0n || state.graduated || tokenAmount > BigInt(state.tokensSold)) {
+    return { avaxOut: 0n, netAvaxOut: 0n, sellFee: 0n, feeAmount: 0n };
+  }
+
+  const avaxOut = calculateFairOut(state, tokenAmount);
+  const fee = BigInt(sellFee);
+  const feeAmount = (avaxOut * fee) / BPS;
+
+  return { avaxOut, netAvaxOut: avaxOut - feeAmount, sellFee: fee, feeAmount };
+};
+
+/**
+ * Curve state after a buy, mirroring the state update in _buyTokensFor()
+ * Buys the contract would reject leave the state unchanged
+ */
+export const applyBuy = (state, amount, platformFeePercent) => {
+  const { tokensOut, platformFee } = previewBuy(state, amount, platformFeePercent);
+  if (tokensOut === 0n) return state;
+
+  return {
+    ...state,
+    tokensSold: BigInt(state.tokensSold) + tokensOut,
+    avaxRaised: BigInt(state.avaxRaised) + BigInt(amount) - platformFee
+  };
+};
+
+/**
+ * A new curve after the creator's initial buy of `initialBuy` native currency
+ * @returns {{ state: CurveState, tokensOut: bigint, platformFee: bigint, price: bigint,
+ *   marketCap: bigint, priceImpact: bigint, progress: bigint }} progress in basis points
+ */
+export const simulateLaunch = (initialBuy, platformFeePercent) => {
+  const amount = BigInt(initialBuy) > 0n ? BigInt(initialBuy) : 0n;
+  const quote = previewBuy(LAUNCH_CURVE, amount, platformFeePercent);
+  const state = applyBuy(LAUNCH_CURVE, amount, platformFeePercent);
+
+  return {
+    state,
+    tokensOut: quote.tokensOut,
+    platformFee: quote.tokensOut > 0n ? quote.platformFee : 0n,
+    price: getCurrentPrice(state),
+    marketCap: getMarketCap(state),
+    priceImpact: quote.priceImpact,
+    progress: getProgress(state)
+  };
+};
+
+/**
+ * Spot price on a new curve as native currency is raised, up to graduation
+ * @returns {Array<{ raised: bigint, price: bigint }>} `steps + 1` evenly spaced points
+ */
+export const getPriceCurve = (steps = 50) => {
+  const points = [];
+  for (let step = 0; step <= steps; step++) {
+    const raised = (GRADUATION_THRESHOLD * BigInt(step)) / BigInt(steps);
+    const tokensSold = calculateTokensOut(LAUNCH_CURVE, raised);
+    points.push({ raised, price: getCurrentPrice({ tokensSold, avaxRaised: raised }) });
+  }
+  return points;
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCurrentPrice,
+  getMarketCap,
+  getProgress,
+  getSellFeeAt,
+  previewBuy,
+  previewSell,
+  simulateLaunch,
+  getPriceCurve,
+  GRADUATION_THRESHOLD
+} from './curveMath.js';
+import vectors from '../test/curveVectors.json';
+
+const curveOf = (state) => ({
+  tokensSold: BigInt(state.tokensSold),
+  avaxRaised: BigInt(state.avaxRaised)
+});
+
+describe('curveMath', () => {
+  describe.each(vectors.states.map((state) => [`${state.label} (fee ${state.platformFeePercent})`, state]))('%s', (label, state) => {
+    const curve = curveOf(state);
+
+    it('matches getCurrentPrice and getMarketCap', () => {
+      expect(getCurrentPrice(curve)).toBe(BigInt(state.price));
+      expect(getMarketCap(curve)).toBe(BigInt(state.marketCap));
+    });
+
+    it('matches previewBuy', () => {
+      for (const [amount, tokensOut, newPrice, priceImpact, platformFee] of state.buys) {
+        expect(previewBuy(curve, BigInt(amount), BigInt(state.platformFeePercent))).toEqual({
+          tokensOut: BigInt(tokensOut),
+          newPrice: BigInt(newPrice),
+          priceImpact: BigInt(priceImpact),
+          platformFee: BigInt(platformFee)
+        });
+      }
+    });
+
+    it('matches previewSell at the recorded sell fee', () => {
+      for (const [amount, avaxOut, netAvaxOut, sellFee, feeAmount] of state.sells) {
+        // Out-of-range sales report a zero fee, so quote them at any fee
+        expect(previewSell(curve, BigInt(amount), sellFee === '0' ? 100 : Number(sellFee))).toEqual({
+          avaxOut: BigInt(avaxOut),
+          netAvaxOut: BigInt(netAvaxOut),
+          sellFee: BigInt(sellFee),
+          feeAmount: BigInt(feeAmount)
+        });
+      }
+    });
+  });
+
+  it('matches getCurrentSellFee as it decays', () => {
+    for (const [elapsed, fee] of vectors.sellFees) {
+      expect(getSellFeeAt(1000, 1000 + elapsed)).toBe(fee);
+    }
+  });
+
+  it('quotes nothing on a graduated curve', () => {
+    const curve = { ...curveOf(vectors.states[1]), graduated: true };
+
+    expect(previewBuy(curve, 10n ** 18n, 100).tokensOut).toBe(0n);
+    expect(previewSell(curve, 10n ** 18n, 100).avaxOut).toBe(0n);
+  });
+
+  it('reports progress in basis points of the threshold', () => {
+    expect(getProgress({ avaxRaised: GRADUATION_THRESHOLD / 4n })).toBe(2500n);
+  });
+
+  it('simulates a launch as the state after the initial buy', () => {
+    const fresh = vectors.states[0];
+    const [amount, tokensOut, newPrice, , platformFee] = fresh.buys.find(([value]) => value === (10n ** 18n).toString());
+    const launch = simulateLaunch(BigInt(amount), BigInt(fresh.platformFeePercent));
+
+    expect(launch.tokensOut).toBe(BigInt(tokensOut));
+    expect(launch.price).toBe(BigInt(newPrice));
+    expect(launch.platformFee).toBe(BigInt(platformFee));
+    expect(launch.state).toEqual({ tokensSold: BigInt(tokensOut), avaxRaised: BigInt(amount) - BigInt(platformFee) });
+    expect(simulateLaunch(0n, 100).tokensOut).toBe(0n);
+  });
+
+  it('plots a rising price up to the graduation threshold', () => {
+    const points = getPriceCurve(10);
+
+    expect(points).toHaveLength(11);
+    expect(points[0]).toEqual({ raised: 0n, price: BigInt(vectors.states[0].price) });
+    expect(points[10].raised).toBe(GRADUATION_THRESHOLD);
+    for (let index = 1; index < points.length; index++) {
+      expect(points[index].price).toBeGreaterThan(points[index - 1].price);
+    }
+  });
+});
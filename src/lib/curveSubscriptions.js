@@ -0,0 +1,199 @@
+import { ethers } from 'ethers';
+import { CURVE_EVENT_TOPICS, parseCurveLog } from './tokenIndexer.js';
+
+/**
+ * Live bonding curve event feed
+ * Prefers a websocket subscription, then an eth_newFilter poll, and finally
+ * plain eth_getLogs polling for RPCs that support neither
+ */
+
+export const FEED_MODES = {
+  WEBSOCKET: 'websocket',
+  FILTER: 'filter',
+  POLLING: 'polling'
+};
+
+const DEFAULT_POLL_INTERVAL = 4000;
+// Logs further than this behind the newest one seen cannot arrive twice, so their de-dup keys go
+const SEEN_BLOCK_WINDOW = 128;
+// Nodes uninstall filters nobody polled for a while, and forget them all on restart
+const FILTER_GONE = /filter not found|filter .*not exist|unknown filter|invalid filter/i;
+
+/**
+ * Normalize raw JSON-RPC logs and ethers Log objects to one shape
+ */
+const normalizeLog = (log) => ({
+  address: log.address,
+  topics: log.topics,
+  data: log.data,
+  transactionHash: log.transactionHash,
+  blockNumber: Number(log.blockNumber),
+  index: Number(log.index ?? log.logIndex ?? 0)
+});
+
+/**
+ * Subscribe to TokensPurchased, TokensSold, PriceUpdate and Graduated on every listed curve
+ * @param getCurveAddresses Returns a Set of lowercase curve addresses to accept
+ * @param onEvent Called with { curveAddress, event, log } for each new curve event
+ * @param onModeChange Called with the active FEED_MODES value
+ * @returns Unsubscribe function
+ */
+export const subscribeToCurves = ({
+  provider,
+  wsUrl,
+  getCurveAddresses,
+  onEvent,
+  onModeChange,
+  pollInterval = DEFAULT_POLL_INTERVAL
+}) => {
+  let stopped = false;
+  let timer = null;
+  let poll = null;
+  let cleanup = null;
+  // De-dup key -> block, for logs delivered twice (reconnects, overlapping polls)
+  const seen = new Map();
+  let latestSeenBlock = 0;
+
+  const remember = (key, blockNumber) => {
+    seen.set(key, blockNumber);
+    if (blockNumber <= latestSeenBlock) return;
+
+    latestSeenBlock = blockNumber;
+    for (const [seenKey, seenBlock] of seen) {
+      if (seenBlock < latestSeenBlock - SEEN_BLOCK_WINDOW) seen.delete(seenKey);
+    }
+  };
+
+  const handleLog = (rawLog) => {
+    const log = normalizeLog(rawLog);
+    const key = `${log.transactionHash}:${log.index}`;
+    if (seen.has(key)) return;
+    remember(key, log.blockNumber);
+
+    const curveAddress = log.address.toLowerCase();
+    if (!getCurveAddresses().has(curveAddress)) return;
+
+    const event = parseCurveLog(log);
+    if (event) {
+      onEvent({ curveAddress, event, log });
+    }
+  };
+
+  const tick = () => {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      try {
+        await poll();
+      } catch (error) {
+        console.error('Live feed poll failed:', error);
+      }
+      tick();
+    }, pollInterval);
+  };
+
+  /**
+   * Poll with `task` from now on; a running poll may hand over to another mode
+   */
+  const schedule = (task) => {
+    poll = task;
+    if (timer === null) tick();
+  };
+
+  const startWebSocket = async () => {
+    const wsProvider = new ethers.WebSocketProvider(wsUrl);
+    await wsProvider.getBlockNumber();
+
+    const filter = { topics: [CURVE_EVENT_TOPICS] };
+    await wsProvider.on(filter, handleLog);
+
+    cleanup = () => {
+      wsProvider.off(filter, handleLog);
+      wsProvider.destroy();
+    };
+    onModeChange?.(FEED_MODES.WEBSOCKET);
+  };
+
+  const startFilter = async () => {
+    const installBlock = await provider.getBlockNumber();
+    const filterId = await provider.send('eth_newFilter', [{
+      topics: [CURVE_EVENT_TOPICS],
+      fromBlock: 'latest'
+    }]);
+
+    // Verify the node actually serves filter changes before relying on it
+    await provider.send('eth_getFilterChanges', [filterId]);
+
+    cleanup = () => {
+      provider.send('eth_uninstallFilter', [filterId]).catch(() => {});
+    };
+    onModeChange?.(FEED_MODES.FILTER);
+
+    schedule(async () => {
+      let logs;
+      try {
+        logs = await provider.send('eth_getFilterChanges', [filterId]);
+      } catch (error) {
+        if (!FILTER_GONE.test(error.message)) throw error;
+
+        // Polling picks up from the last block the filter delivered; seen drops the overlap
+        console.warn('Live feed filter was dropped by the node, polling logs instead');
+        cleanup = null;
+        await startPolling(Math.max(installBlock, latestSeenBlock) - 1);
+        return;
+      }
+      (logs || []).forEach(handleLog);
+    });
+  };
+
+  /**
+   * @param fromBlock Last block already covered; defaults to the current one
+   */
+  const startPolling = async (fromBlock) => {
+    let lastBlock = fromBlock ?? await provider.getBlockNumber();
+    onModeChange?.(FEED_MODES.POLLING);
+
+    schedule(async () => {
+      const latestBlock = await provider.getBlockNumber();
+      if (latestBlock <= lastBlock) return;
+
+      const logs = await provider.getLogs({
+        topics: [CURVE_EVENT_TOPICS],
+        fromBlock: lastBlock + 1,
+        toBlock: latestBlock
+      });
+      lastBlock = latestBlock;
+      logs.forEach(handleLog);
+    });
+  };
+
+  const start = async () => {
+    const strategies = [
+      wsUrl ? startWebSocket : null,
+      startFilter,
+      startPolling
+    ].filter(Boolean);
+
+    for (const strategy of strategies) {
+      if (stopped) return;
+      try {
+        await strategy();
+        if (stopped) {
+          cleanup?.();
+        }
+        return;
+      } catch (error) {
+        console.warn(`Live feed strategy ${strategy.name} unavailable:`, error.message);
+        cleanup?.();
+        cleanup = null;
+      }
+    }
+  };
+
+  start();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    cleanup?.();
+  };
+};
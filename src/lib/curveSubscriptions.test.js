@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ethers } from 'ethers';
+import { subscribeToCurves, FEED_MODES } from './curveSubscriptions.js';
+import { BONDING_CURVE_ABI } from './abis.js';
+
+const CURVE = '0x2000000000000000000000000000000000000002';
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+
+const priceLog = (blockNumber, index = 0) => ({
+  address: CURVE,
+  ...curveInterface.encodeEventLog('PriceUpdate', [1n, 2n, 3n]),
+  transactionHash: ethers.toBeHex(blockNumber, 32),
+  blockNumber,
+  index
+});
+
+const filterGone = () => Object.assign(new Error('filter not found'), { code: -32000 });
+
+/**
+ * Node with eth_newFilter whose filter answers `changes` in turn; a function
+ * entry is thrown instead
+ */
+const createProvider = ({ blockNumber = 10, changes = [], logs = [] }) => {
+  const provider = {
+    blockNumber,
+    getBlockNumber: vi.fn(async () => provider.blockNumber),
+    getLogs: vi.fn(async ({ fromBlock, toBlock }) =>
+      logs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)),
+    send: vi.fn(async (method) => {
+      if (method === 'eth_newFilter') return '0x1';
+      if (method === 'eth_uninstallFilter') return true;
+      const next = changes.shift() ?? [];
+      if (typeof next === 'function') throw next();
+      return next;
+    })
+  };
+  return provider;
+};
+
+describe('subscribeToCurves', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const subscribe = (provider) => {
+    const onEvent = vi.fn();
+    const onModeChange = vi.fn();
+    const unsubscribe = subscribeToCurves({
+      provider,
+      getCurveAddresses: () => new Set([CURVE.toLowerCase()]),
+      onEvent,
+      onModeChange,
+      pollInterval: 1000
+    });
+    return { onEvent, onModeChange, unsubscribe };
+  };
+
+  it('falls back to log polling when the node drops the filter', async () => {
+    // The filter delivers block 11, then is gone before block 12's log is read
+    const provider = createProvider({
+      changes: [[], [priceLog(11)], filterGone],
+      logs: [priceLog(11), priceLog(12)]
+    });
+    const { onEvent, onModeChange, unsubscribe } = subscribe(provider);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onModeChange).toHaveBeenLastCalledWith(FEED_MODES.FILTER);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onModeChange).toHaveBeenLastCalledWith(FEED_MODES.POLLING);
+
+    provider.blockNumber = 12;
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 11, toBlock: 12 }));
+    expect(onEvent.mock.calls.map(([{ log }]) => log.blockNumber)).toEqual([11, 12]);
+    unsubscribe();
+  });
+
+  it('keeps the filter through errors that are not about it', async () => {
+    const provider = createProvider({ changes: [[], () => new Error('socket hang up'), [priceLog(11)]] });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { onEvent, onModeChange, unsubscribe } = subscribe(provider);
+
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(onModeChange).toHaveBeenCalledTimes(1);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+});
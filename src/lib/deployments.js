@@ -0,0 +1,100 @@
+/**
+ * Deployment registry
+ * One JSON file per network in /deployments describes where the platform lives
+ * there; the user picks one and every module reads it through getActiveDeployment
+ */
+
+const ACTIVE_DEPLOYMENT_KEY = 'stealthly.deployment';
+const DEFAULT_DEPLOYMENT_ID = import.meta.env.VITE_DEPLOYMENT || 'fair-testnet';
+
+const files = import.meta.glob('../../deployments/*.json', { eager: true, import: 'default' });
+
+const normalize = (raw) => ({
+  id: raw.id,
+  chainName: raw.chainName || raw.id,
+  // null means "whatever rpcUrl reports"
+  chainId: raw.chainId === null || raw.chainId === undefined || raw.chainId === '' ? null : BigInt(raw.chainId),
+  rpcUrl: raw.rpcUrl,
+  wsUrl: raw.wsUrl || '',
+  biteEndpoint: raw.biteEndpoint || raw.rpcUrl,
+  factoryAddress: raw.factoryAddress,
+  deployBlock: Number(raw.deployBlock || 0),
+  dexRouter: raw.dexRouter || '',
+  explorerUrl: (raw.explorerUrl || '').replace(/\/+$/, ''),
+  nativeSymbol: raw.nativeSymbol || 'FAIR',
+  // Unset means the client's and transport's defaults (see gas.js, transports.js)
+  gasMarginBps: raw.gasMarginBps ?? undefined,
+  biteGasOverhead: raw.biteGasOverhead ?? undefined,
+  // Where fresh wallets get gas; see gasFaucet.js
+  faucet: raw.faucet || null
+});
+
+// The VITE_* variables predate the registry; they still override the default deployment
+const applyEnvOverrides = (raw) => {
+  const env = import.meta.env;
+  return {
+    ...raw,
+    ...(env.VITE_FACTORY_ADDRESS ? { factoryAddress: env.VITE_FACTORY_ADDRESS } : {}),
+    ...(env.VITE_SKALE_ENDPOINT ? { rpcUrl: env.VITE_SKALE_ENDPOINT, biteEndpoint: env.VITE_SKALE_ENDPOINT } : {}),
+    ...(env.VITE_BITE_ENDPOINT ? { biteEndpoint: env.VITE_BITE_ENDPOINT } : {}),
+    ...(env.VITE_SKALE_WS_ENDPOINT ? { wsUrl: env.VITE_SKALE_WS_ENDPOINT } : {}),
+    ...(env.VITE_FACTORY_DEPLOY_BLOCK ? { deployBlock: env.VITE_FACTORY_DEPLOY_BLOCK } : {}),
+    ...(env.VITE_CHAIN_ID ? { chainId: env.VITE_CHAIN_ID } : {}),
+    ...(env.VITE_CHAIN_NAME ? { chainName: env.VITE_CHAIN_NAME } : {}),
+    ...(env.VITE_EXPLORER_URL ? { explorerUrl: env.VITE_EXPLORER_URL } : {})
+  };
+};
+
+const registry = Object.values(files)
+  .map((raw) => normalize(raw.id === DEFAULT_DEPLOYMENT_ID ? applyEnvOverrides(raw) : raw))
+  .sort((a, b) => a.chainName.localeCompare(b.chainName));
+
+/**
+ * All known deployments, sorted by chain name
+ */
+export const listDeployments = () => registry;
+
+export const getDeployment = (id) => registry.find((deployment) => deployment.id === id) || null;
+
+const readStoredId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_DEPLOYMENT_KEY);
+  } catch {
+    return null;
+  }
+};
+
+let active = null;
+
+/**
+ * The deployment the app is running against
+ * Resolved once per page load: the stored choice, else the default
+ */
+export const getActiveDeployment = () => {
+  if (!active) {
+    active = getDeployment(readStoredId()) || getDeployment(DEFAULT_DEPLOYMENT_ID) || registry[0];
+    if (!active) {
+      throw new Error('No deployments found in /deployments');
+    }
+  }
+  return active;
+};
+
+/**
+ * Switch deployments
+ * Providers, indexers and subscriptions are all built for one deployment, so
+ * the page reloads rather than tearing each of them down
+ */
+export const selectDeployment = (id) => {
+  if (!getDeployment(id)) {
+    throw new Error(`Unknown deployment: ${id}`);
+  }
+  try {
+    localStorage.setItem(ACTIVE_DEPLOYMENT_KEY, id);
+  } catch {
+    // Without storage the choice can't survive the reload
+    return;
+  }
+  window.location.reload();
+};
+
@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+
+/**
+ * Display formatting for on-chain amounts (18 decimals)
+ */
+
+/**
+ * Compact token amount, e.g. 1.2M
+ */
+export const formatTokenAmount = (amount) => {
+  try {
+    if (!amount) return '0';
+    const number = parseFloat(ethers.formatEther(amount.toString()));
+
+    if (number >= 1e9) {
+      return (number / 1e9).toFixed(1) + 'B';
+    } else if (number >= 1e6) {
+      return (number / 1e6).toFixed(1) + 'M';
+    } else if (number >= 1e3) {
+      return (number / 1e3).toFixed(1) + 'K';
+    }
+    return number.toFixed(2);
+  } catch (error) {
+    console.error('Error formatting token amount:', error);
+    return '0';
+  }
+};
+
+/**
+ * Native currency amount with four decimals
+ */
+export const formatEthAmount = (amount) => {
+  try {
+    if (!amount) return '0';
+    return parseFloat(ethers.formatEther(amount.toString())).toFixed(4);
+  } catch (error) {
+    console.error('Error formatting ETH amount:', error);
+    return '0';
+  }
+};
+
+/**
+ * Per-token price with up to ten decimals
+ */
+export const formatPrice = (price) => {
+  try {
+    if (!price) return '0.000000';
+    return Number(ethers.formatEther(price.toString())).toLocaleString('en-US', {
+      minimumFractionDigits: 6,
+      maximumFractionDigits: 10,
+      useGrouping: false
+    });
+  } catch (error) {
+    console.error('Error formatting price:', error);
+    return '0.000000';
+  }
+};
+
+/**
+ * Shortened address, e.g. 0x1234...abcd
+ */
+export const formatAddress = (address) => {
+  if (!address) return '0x0000...0000';
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+/**
+ * Relative time such as "5m ago" for a unix timestamp in seconds
+ */
+export const formatTimeAgo = (timestamp) => {
+  const elapsed = Math.max(0, Math.floor(Date.now() / 1000) - (timestamp || 0));
+
+  if (elapsed < 60) {
+    return `${elapsed}s ago`;
+  } else if (elapsed < 3600) {
+    return `${Math.floor(elapsed / 60)}m ago`;
+  } else if (elapsed < 86400) {
+    return `${Math.floor(elapsed / 3600)}h ago`;
+  }
+  return `${Math.floor(elapsed / 86400)}d ago`;
+};
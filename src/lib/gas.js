@@ -0,0 +1,24 @@
+/**
+ * Gas limits and fees
+ * Writes are estimated on their plaintext call. The limit adds a safety margin
+ * for state that moves between the estimate and inclusion, plus whatever the
+ * transport costs on top (BITE decrypts the call on-chain first). Margins are
+ * in basis points, like slippage
+ */
+
+export const DEFAULT_GAS_MARGIN_BPS = 2000;
+
+/**
+ * Limit to send with for an estimate
+ * @param overhead Extra gas the transport needs, e.g. transport.gasOverhead
+ */
+export const getGasLimit = (estimate, marginBps = DEFAULT_GAS_MARGIN_BPS, overhead = 0n) =>
+  estimate + (estimate * BigInt(marginBps)) / 10000n + BigInt(overhead);
+
+/**
+ * Expected fee in wei: the estimate and overhead at the current price
+ * The margin is only headroom, so it is left out
+ * @param feeData provider.getFeeData() result
+ */
+export const estimateFee = (estimate, overhead, { gasPrice, maxFeePerGas }) =>
+  (estimate + BigInt(overhead)) * (gasPrice ?? maxFeePerGas ?? 0n);
@@ -0,0 +1,143 @@
+import { ethers } from 'ethers';
+
+/**
+ * Gas top-ups
+ * Fresh wallets on SKALE chains hold no gas token, though it is free to get.
+ * A deployment's `faucet` says where from:
+ *
+ *   { "type": "http", "url": "https://..." }       POSTs { "address" } to a distribution endpoint
+ *   { "type": "pow", "address": "0x...", "gas": 100000 }
+ *     Mines a proof-of-work gas price and calls the distributor's pay(address)
+ *     from a throwaway account, which needs no balance for it
+ *
+ * The devnet serves an http faucet (scripts/devnet/faucet.js)
+ */
+
+// Gas a wallet should be able to pay for before it can trade: a few trades' worth
+export const GAS_RESERVE_UNITS = 1000000n;
+
+const MAX_UINT256 = ethers.MaxUint256;
+const DEFAULT_POW_GAS = 100000;
+const DEFAULT_POW_METHOD = 'pay(address)';
+// Mining yields to the page this often, so the UI stays responsive
+const POW_BATCH_SIZE = 500;
+
+/**
+ * A wallet's gas balance against the reserve it needs at the current price
+ * Chains with free gas (a zero price) need no reserve
+ * @returns {Promise<{ balance: bigint, reserve: bigint, sufficient: boolean }>}
+ */
+export const checkGasBalance = async (provider, address) => {
+  const [balance, { gasPrice, maxFeePerGas }] = await Promise.all([
+    provider.getBalance(address),
+    provider.getFeeData()
+  ]);
+  const reserve = GAS_RESERVE_UNITS * (gasPrice ?? maxFeePerGas ?? 0n);
+  return { balance, reserve, sufficient: balance >= reserve };
+};
+
+/**
+ * Poll checkGasBalance() until the wallet has enough gas or time runs out
+ * Faucets may answer before their transfer is mined
+ * @returns The last check
+ */
+export const waitForGas = async (provider, address, { attempts = 10, intervalMs = 1000 } = {}) => {
+  let status = await checkGasBalance(provider, address);
+  for (let attempt = 1; attempt < attempts && !status.sufficient; attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    status = await checkGasBalance(provider, address);
+  }
+  return status;
+};
+
+/**
+ * Ask an HTTP distribution endpoint to fund `address`
+ */
+export const createHttpFaucet = ({ url }) => ({
+  type: 'http',
+  request: async (address) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ address })
+    });
+
+    let body = {};
+    try {
+      body = await response.json();
+    } catch {
+      // Some endpoints answer with an empty body
+    }
+    if (!response.ok) {
+      throw new Error(body.error || body.message || `Faucet request failed (${response.status})`);
+    }
+    return { hash: body.hash || null };
+  }
+});
+
+/**
+ * Find a gas price that pays for `gas` units, SKALE's proof-of-work scheme
+ * The chain accepts a transaction's gas when
+ * (2^256 - 1) / (keccak(nonce) ^ keccak(from) ^ keccak(gasPrice)) >= gas
+ * @returns {Promise<bigint>} The gas price to sign with
+ */
+export const mineGasPrice = async (from, nonce, gas) => {
+  const nonceAddressXor = BigInt(ethers.keccak256(ethers.toBeHex(nonce, 32))) ^
+    BigInt(ethers.keccak256(from));
+  const target = BigInt(gas);
+
+  for (;;) {
+    for (let i = 0; i < POW_BATCH_SIZE; i += 1) {
+      const candidate = ethers.randomBytes(32);
+      const result = nonceAddressXor ^ BigInt(ethers.keccak256(candidate));
+      if (result > 0n && MAX_UINT256 / result >= target) {
+        return BigInt(ethers.hexlify(candidate));
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+};
+
+/**
+ * Call a distributor contract with a mined gas price
+ * @param address Distributor contract
+ * @param gas Gas limit of the call, which the mined price must pay for
+ * @param method Distributor function taking the recipient
+ */
+export const createPowFaucet = ({ address, gas = DEFAULT_POW_GAS, method = DEFAULT_POW_METHOD }) => ({
+  type: 'pow',
+  request: async (recipient, { provider }) => {
+    const sender = new ethers.Wallet(ethers.hexlify(ethers.randomBytes(32)));
+    const { chainId } = await provider.getNetwork();
+    const gasPrice = await mineGasPrice(sender.address, 0, gas);
+
+    const signed = await sender.signTransaction({
+      type: 0,
+      chainId,
+      nonce: 0,
+      to: address,
+      data: new ethers.Interface([`function ${method}`]).encodeFunctionData(method.split('(')[0], [recipient]),
+      gasLimit: gas,
+      gasPrice
+    });
+    const response = await provider.broadcastTransaction(signed);
+    await response.wait();
+    return { hash: response.hash };
+  }
+});
+
+/**
+ * The faucet a deployment configures, or null when it has none
+ */
+export const createFaucet = (config) => {
+  if (!config) return null;
+  switch (config.type) {
+    case 'http':
+      return createHttpFaucet(config);
+    case 'pow':
+      return createPowFaucet(config);
+    default:
+      console.warn(`Unknown faucet type "${config.type}"`);
+      return null;
+  }
+};
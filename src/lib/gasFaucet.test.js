@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { checkGasBalance, createHttpFaucet, createPowFaucet, mineGasPrice } from './gasFaucet.js';
+
+const RECIPIENT = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const DISTRIBUTOR = '0x5000000000000000000000000000000000000005';
+
+const powGas = (from, nonce, gasPrice) => {
+  const hash = (value) => BigInt(ethers.keccak256(value));
+  const result = hash(ethers.toBeHex(nonce, 32)) ^ hash(from) ^ hash(ethers.toBeHex(gasPrice, 32));
+  return ethers.MaxUint256 / result;
+};
+
+describe('checkGasBalance', () => {
+  const provider = (balance, gasPrice) => ({
+    getBalance: async () => balance,
+    getFeeData: async () => ({ gasPrice, maxFeePerGas: null })
+  });
+
+  it('wants a reserve of gas at the current price', async () => {
+    expect(await checkGasBalance(provider(0n, 10n ** 9n), RECIPIENT))
+      .toEqual({ balance: 0n, reserve: 10n ** 15n, sufficient: false });
+    expect((await checkGasBalance(provider(10n ** 15n, 10n ** 9n), RECIPIENT)).sufficient).toBe(true);
+  });
+
+  it('needs nothing where gas is free', async () => {
+    expect((await checkGasBalance(provider(0n, 0n), RECIPIENT)).sufficient).toBe(true);
+  });
+});
+
+describe('createHttpFaucet', () => {
+  it('posts the address to the endpoint', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: true, json: async () => ({ hash: '0xabc' }) });
+
+    expect(await createHttpFaucet({ url: 'http://faucet.test' }).request(RECIPIENT)).toEqual({ hash: '0xabc' });
+    expect(fetchSpy).toHaveBeenCalledWith('http://faucet.test', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ address: RECIPIENT })
+    }));
+  });
+
+  it('passes the endpoint error along', async () => {
+    vi.spyOn(globalThis, 'fetch').mockResolvedValue({ ok: false, status: 429, json: async () => ({ error: 'Slow down' }) });
+
+    await expect(createHttpFaucet({ url: 'http://faucet.test' }).request(RECIPIENT)).rejects.toThrow('Slow down');
+  });
+});
+
+describe('proof-of-work faucet', () => {
+  it('mines a gas price that pays for the gas', async () => {
+    const gasPrice = await mineGasPrice(RECIPIENT, 3, 1000);
+    expect(powGas(RECIPIENT, 3, gasPrice)).toBeGreaterThanOrEqual(1000n);
+  });
+
+  it('calls pay(recipient) from a fresh account with the mined price', async () => {
+    let sent = null;
+    const provider = {
+      getNetwork: async () => ({ chainId: 31337n }),
+      broadcastTransaction: async (signed) => {
+        sent = ethers.Transaction.from(signed);
+        return { hash: sent.hash, wait: async () => ({ status: 1 }) };
+      }
+    };
+
+    await createPowFaucet({ address: DISTRIBUTOR, gas: 1000 }).request(RECIPIENT, { provider });
+
+    expect(sent.to).toBe(DISTRIBUTOR);
+    expect(sent.nonce).toBe(0);
+    expect(sent.gasLimit).toBe(1000n);
+    expect(sent.data).toBe(new ethers.Interface(['function pay(address)']).encodeFunctionData('pay', [RECIPIENT]));
+    expect(powGas(sent.from, 0, sent.gasPrice)).toBeGreaterThanOrEqual(1000n);
+  });
+});
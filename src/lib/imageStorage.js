@@ -0,0 +1,272 @@
+/**
+ * Content-addressed image storage
+ * Adapters take a blob and return the ipfs:// URI stored on-chain: a token's
+ * imageUrl, or its metadata document. The IPFS adapter talks to any
+ * IPFS-compatible HTTP API; the local adapter keeps content in this browser
+ * for development. Both cache what they store, so the creator sees it before
+ * gateways have it
+ */
+
+import { readBytes } from './images.js';
+
+const DEFAULT_GATEWAYS = ['https://ipfs.io/ipfs/', 'https://dweb.link/ipfs/', 'https://w3s.link/ipfs/'];
+
+const DB_NAME = 'stealthly-images';
+const DB_VERSION = 1;
+const STORE_NAME = 'images';
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// CIDs in ipfs:// URIs, /ipfs/ gateway paths and <cid>.ipfs.<host> subdomains
+const CID_PATTERN = '(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})';
+const IPFS_URI = new RegExp(`^ipfs://(?:ipfs/)?${CID_PATTERN}(/.*)?$`);
+const GATEWAY_PATH = new RegExp(`^/ipfs/${CID_PATTERN}(/.*)?$`);
+const GATEWAY_SUBDOMAIN = new RegExp(`^${CID_PATTERN}\\.ipfs\\.`);
+
+const configuredGateways = () => {
+  const value = import.meta.env.VITE_IPFS_GATEWAYS;
+  if (!value) return DEFAULT_GATEWAYS;
+  return value.split(',').map((gateway) => gateway.trim()).filter(Boolean)
+    .map((gateway) => (gateway.endsWith('/') ? gateway : `${gateway}/`));
+};
+
+let databasePromise = null;
+
+/**
+ * Open (and lazily upgrade) the image cache
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.error('Failed to open image cache:', error);
+      databasePromise = null;
+      return null;
+    });
+  }
+
+  return databasePromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const database = await openDatabase();
+  if (!database) return null;
+
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const toDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Keep content by CID so it loads without a gateway
+ */
+const cacheContent = async (cid, blob) => {
+  try {
+    const dataUrl = await toDataUrl(blob);
+    await runRequest('readwrite', (store) => store.put(dataUrl, cid));
+  } catch (error) {
+    console.error('Failed to cache image:', error);
+  }
+};
+
+const loadCachedContent = async (cid) => {
+  try {
+    return (await runRequest('readonly', (store) => store.get(cid))) || null;
+  } catch (error) {
+    console.error('Failed to read image cache:', error);
+    return null;
+  }
+};
+
+const toBase32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * CIDv1 of a single raw block (raw codec, sha2-256)
+ * The CID IPFS gives a file added with --cid-version=1 that fits in one chunk
+ */
+export const computeCid = async (blob) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await readBytes(blob)));
+  return `b${toBase32(new Uint8Array([0x01, 0x55, 0x12, 0x20, ...digest]))}`;
+};
+
+/**
+ * Images kept in this browser only, for local development
+ * The URI uses the CID IPFS would assign, so pinning the same file later
+ * makes existing tokens resolve everywhere
+ */
+export const createLocalImageStorage = () => ({
+  id: 'local',
+  persistent: false,
+  upload: async (blob) => {
+    const cid = await computeCid(blob);
+    await cacheContent(cid, blob);
+    return `ipfs://${cid}`;
+  }
+});
+
+/**
+ * Upload through an IPFS-compatible HTTP API (Kubo's /api/v0/add)
+ * Sends no credentials: anything in the bundle is public, so hosted pinning
+ * services go behind scripts/ipfs/uploadProxy.js, which keeps their token
+ * @param apiUrl API root, e.g. http://127.0.0.1:5001 or the upload proxy
+ */
+export const createIpfsImageStorage = ({ apiUrl }) => ({
+  id: 'ipfs',
+  persistent: true,
+  upload: async (blob) => {
+    const body = new FormData();
+    body.append('file', blob, 'image');
+
+    const response = await fetch(`${apiUrl.replace(/\/+$/, '')}/api/v0/add?cid-version=1&pin=true`, {
+      method: 'POST',
+      body
+    });
+    if (!response.ok) {
+      throw new Error(`IPFS upload failed (${response.status})`);
+    }
+
+    // One JSON object per line; the last one describes the added file
+    const lines = (await response.text()).trim().split('\n');
+    const { Hash: cid } = JSON.parse(lines[lines.length - 1]);
+    if (!cid) {
+      throw new Error('IPFS upload returned no CID');
+    }
+
+    await cacheContent(cid, blob);
+    return `ipfs://${cid}`;
+  }
+});
+
+let storage = null;
+
+/**
+ * The adapter for this build: IPFS when VITE_IPFS_API_URL is set, local otherwise
+ */
+export const getImageStorage = () => {
+  if (!storage) {
+    const apiUrl = import.meta.env.VITE_IPFS_API_URL;
+    storage = apiUrl ? createIpfsImageStorage({ apiUrl }) : createLocalImageStorage();
+  }
+  return storage;
+};
+
+/**
+ * Find the CID and sub-path in an ipfs:// URI or a gateway URL
+ * @returns {{ cid: string, path: string }|null}
+ */
+export const parseIpfsUri = (uri) => {
+  const direct = IPFS_URI.exec(uri);
+  if (direct) return { cid: direct[1], path: direct[2] || '' };
+
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return null;
+  }
+
+  const pathMatch = GATEWAY_PATH.exec(url.pathname);
+  if (pathMatch) return { cid: pathMatch[1], path: pathMatch[2] || '' };
+
+  const subdomainMatch = GATEWAY_SUBDOMAIN.exec(url.hostname);
+  if (subdomainMatch) return { cid: subdomainMatch[1], path: url.pathname === '/' ? '' : url.pathname };
+
+  return null;
+};
+
+/**
+ * URLs to try, in order, for a token's imageUrl
+ * ipfs:// goes through the configured gateways. A gateway URL is tried as
+ * given, then through the others. Anything that is not http(s), ipfs or an
+ * inline image yields nothing
+ */
+export const getImageSources = (uri, gateways = configuredGateways()) => {
+  if (!uri) return [];
+  if (uri.startsWith('data:image/')) return [uri];
+
+  const ipfs = parseIpfsUri(uri);
+  const viaGateways = ipfs ? gateways.map((gateway) => `${gateway}${ipfs.cid}${ipfs.path}`) : [];
+
+  if (uri.startsWith('ipfs://')) return viaGateways;
+  if (!/^https?:\/\//.test(uri)) return [];
+  return [uri, ...viaGateways.filter((source) => source !== uri)];
+};
+
+/**
+ * getImageSources() led by the cached copy, when this browser has one
+ */
+export const resolveImageSources = async (uri) => {
+  const sources = getImageSources(uri);
+  const ipfs = parseIpfsUri(uri || '');
+  if (!ipfs || ipfs.path) return sources;
+
+  const cached = await loadCachedContent(ipfs.cid);
+  return cached ? [cached, ...sources] : sources;
+};
+
+/**
+ * Fetch a JSON document by ipfs:// or https:// URI
+ * Tries the cached copy, then each gateway, until one returns valid JSON
+ */
+export const fetchStoredJson = async (uri, gateways = configuredGateways()) => {
+  const ipfs = parseIpfsUri(uri || '');
+  const cached = ipfs && !ipfs.path ? await loadCachedContent(ipfs.cid) : null;
+
+  let sources = [];
+  if (ipfs) {
+    sources = gateways.map((gateway) => `${gateway}${ipfs.cid}${ipfs.path}`);
+  } else if (/^https:\/\//.test(uri)) {
+    sources = [uri];
+  }
+  if (cached) sources.unshift(cached);
+
+  for (const source of sources) {
+    try {
+      const response = await fetch(source);
+      if (response.ok) return await response.json();
+    } catch {
+      // Try the next gateway
+    }
+  }
+  throw new Error(`Could not load ${uri}`);
+};
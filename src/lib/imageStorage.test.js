@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { computeCid, createIpfsImageStorage, getImageSources, parseIpfsUri } from './imageStorage.js';
+
+const CID = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+const GATEWAYS = ['https://one.test/ipfs/', 'https://two.test/ipfs/'];
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('imageStorage', () => {
+  it('computes the CID IPFS assigns to a single-block file', async () => {
+    expect(await computeCid(new Blob(['hello world']))).toBe(CID);
+  });
+
+  it('resolves ipfs:// URIs through every gateway', () => {
+    expect(getImageSources(`ipfs://${CID}`, GATEWAYS)).toEqual([
+      `https://one.test/ipfs/${CID}`,
+      `https://two.test/ipfs/${CID}`
+    ]);
+  });
+
+  it('falls back to other gateways for gateway URLs', () => {
+    expect(getImageSources(`https://dead.test/ipfs/${CID}/logo.png`, GATEWAYS)).toEqual([
+      `https://dead.test/ipfs/${CID}/logo.png`,
+      `https://one.test/ipfs/${CID}/logo.png`,
+      `https://two.test/ipfs/${CID}/logo.png`
+    ]);
+    expect(parseIpfsUri(`https://${CID}.ipfs.dweb.link/`)).toEqual({ cid: CID, path: '' });
+  });
+
+  it('only loads web, ipfs and inline image URLs', () => {
+    expect(getImageSources('https://example.com/logo.png', GATEWAYS)).toEqual(['https://example.com/logo.png']);
+    expect(getImageSources('data:image/png;base64,AAAA', GATEWAYS)).toEqual(['data:image/png;base64,AAAA']);
+    expect(getImageSources('javascript:alert(1)', GATEWAYS)).toEqual([]);
+    expect(getImageSources('not a url', GATEWAYS)).toEqual([]);
+  });
+
+  it('uploads through the IPFS HTTP API', async () => {
+    const fetchMock = vi.fn(async () => new Response(`{"Name":"image","Hash":"${CID}","Size":"11"}\n`));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const storage = createIpfsImageStorage({ apiUrl: 'http://127.0.0.1:5001/' });
+    expect(await storage.upload(new Blob(['hello world']))).toBe(`ipfs://${CID}`);
+
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://127.0.0.1:5001/api/v0/add?cid-version=1&pin=true');
+    expect(options.headers).toBeUndefined();
+    expect(options.body.get('file')).toBeInstanceOf(Blob);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * IndexedDB persistence for the token indexer
+ * Snapshots are keyed by chain and factory so deployments never mix
+ */
+
+const DB_NAME = 'stealthly-indexer';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+let databasePromise = null;
+
+/**
+ * Open (and lazily upgrade) the indexer database
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE_NAME)) {
+          database.createObjectStore(STORE_NAME);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.error('Failed to open indexer cache:', error);
+      databasePromise = null;
+      return null;
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run a single request against the snapshot store
+ */
+const runRequest = async (mode, operation) => {
+  const database = await openDatabase();
+  if (!database) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Load a cached snapshot, or null when nothing is stored
+ */
+export const loadSnapshot = async (key) => {
+  try {
+    return (await runRequest('readonly', (store) => store.get(key))) || null;
+  } catch (error) {
+    console.error('Failed to read indexer cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a snapshot (BigInt values survive structured cloning)
+ */
+export const saveSnapshot = async (key, snapshot) => {
+  try {
+    await runRequest('readwrite', (store) => store.put(snapshot, key));
+  } catch (error) {
+    console.error('Failed to write indexer cache:', error);
+  }
+};
+
+/**
+ * Drop a cached snapshot so the next sync replays from the start block
+ */
+export const clearSnapshot = async (key) => {
+  try {
+    await runRequest('readwrite', (store) => store.delete(key));
+  } catch (error) {
+    console.error('Failed to clear indexer cache:', error);
+  }
+};
@@ -0,0 +1,121 @@
+import { ethers } from 'ethers';
+import { ANTI_DUMP_DURATION, FINAL_SELL_FEE, getSellFeeAt } from './curveMath.js';
+
+/**
+ * Creator-facing statistics for a launch
+ * Summaries derived from a token record plus its trade history
+ */
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const MAX_VOLUME_BUCKETS = 30;
+
+/**
+ * Current sell fee phase: the anti-dump window right after launch, then the
+ * standard fee for the rest of the curve's life
+ */
+export const getSellFeePhase = (launchTime, now = Math.floor(Date.now() / 1000)) => {
+  const fee = getSellFeeAt(launchTime, now);
+  const remaining = Math.max(0, launchTime + ANTI_DUMP_DURATION - now);
+
+  return {
+    fee,
+    phase: fee > FINAL_SELL_FEE ? 'anti-dump' : 'standard',
+    remaining
+  };
+};
+
+/**
+ * FAIR volume per time bucket, hourly for young launches and daily afterwards
+ * @returns { intervalSeconds, buckets: [{ time, buy, sell }] } with FAIR as numbers
+ */
+export const getVolumeSeries = (launchTime, trades, now = Math.floor(Date.now() / 1000)) => {
+  const intervalSeconds = now - launchTime < 2 * DAY ? HOUR : DAY;
+  const firstBucket = Math.floor(launchTime / intervalSeconds) * intervalSeconds;
+  const lastBucket = Math.floor(now / intervalSeconds) * intervalSeconds;
+  const start = Math.max(firstBucket, lastBucket - (MAX_VOLUME_BUCKETS - 1) * intervalSeconds);
+
+  const buckets = [];
+  for (let time = start; time <= lastBucket; time += intervalSeconds) {
+    buckets.push({ time, buy: 0, sell: 0 });
+  }
+
+  for (const trade of trades) {
+    const index = Math.floor((trade.timestamp - start) / intervalSeconds);
+    if (index < 0 || index >= buckets.length) continue;
+    // Sells report FAIR net of the fee; the gross amount is what moved through the curve
+    const amount = Number(ethers.formatEther(trade.fairAmount + trade.fee));
+    buckets[index][trade.type] += amount;
+  }
+
+  return { intervalSeconds, buckets };
+};
+
+/**
+ * Aggregate a launch's history into dashboard figures
+ */
+export const summarizeLaunch = (token, history) => {
+  const trades = history ? history.trades : [];
+  const buyers = new Set();
+  let buyVolume = 0n;
+  let sellVolume = 0n;
+
+  for (const trade of trades) {
+    if (trade.type === 'buy') {
+      buyers.add(trade.account.toLowerCase());
+      buyVolume += trade.fairAmount;
+    } else {
+      sellVolume += trade.fairAmount + trade.fee;
+    }
+  }
+
+  return {
+    uniqueBuyers: buyers.size,
+    tradeCount: trades.length,
+    buyVolume,
+    sellVolume,
+    // FAIRRaised resets to zero on graduation, so graduated curves read as complete
+    progress: token.graduated ? 100 : Math.min(Number(token.progressToGraduation) / 100, 100),
+    feePhase: getSellFeePhase(token.launchTime)
+  };
+};
+
+const escapeCsv = (value) => {
+  let text = String(value ?? '');
+  // Keep spreadsheet apps from evaluating on-chain strings as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV export of launch summaries
+ * @param rows [{ token, summary }]
+ */
+export const launchesToCsv = (rows) => {
+  const header = [
+    'name', 'symbol', 'token_address', 'bonding_curve', 'launched_at',
+    'fair_raised', 'progress_pct', 'graduated', 'unique_buyers', 'trades',
+    'buy_volume_fair', 'sell_volume_fair', 'sell_fee_pct', 'current_price_fair'
+  ];
+
+  const lines = rows.map(({ token, summary }) => [
+    token.name,
+    token.symbol,
+    token.address,
+    token.bondingCurveAddress,
+    new Date(token.launchTime * 1000).toISOString(),
+    ethers.formatEther(token.avaxRaised),
+    summary.progress.toFixed(2),
+    token.graduated ? 'yes' : 'no',
+    summary.uniqueBuyers,
+    summary.tradeCount,
+    ethers.formatEther(summary.buyVolume),
+    ethers.formatEther(summary.sellVolume),
+    (summary.feePhase.fee / 100).toFixed(2),
+    ethers.formatEther(token.currentPrice)
+  ].map(escapeCsv).join(','));
+
+  return [header.join(','), ...lines].join('\n');
+};
@@ -0,0 +1,544 @@
+import { ethers } from 'ethers';
+import { FACTORY_ABI, BONDING_CURVE_ABI, TOKEN_ABI } from './abis.js';
+import { createTokenIndexer } from './tokenIndexer.js';
+import { subscribeToCurves } from './curveSubscriptions.js';
+import { createReadBatcher } from './readBatcher.js';
+import { DEFAULT_SLIPPAGE_BPS, applySlippage } from './slippage.js';
+import { plainTransport } from './transports.js';
+import { getApprovalAmount } from './allowance.js';
+import { simulationError } from './revertReasons.js';
+import { DEFAULT_GAS_MARGIN_BPS, getGasLimit, estimateFee } from './gas.js';
+import { previewBuy as previewCurveBuy, previewSell as previewCurveSell, getSellFeeAt } from './curveMath.js';
+
+/**
+ * Headless launchpad client
+ * Everything the app does against the factory and its curves, without React:
+ * reads go through the batcher and indexer, writes through a pluggable
+ * transport (see transports.js). Every write is simulated with eth_call
+ * and estimated first, on the plaintext calldata, so a revert surfaces with
+ * its reason before anything is signed or encrypted. Amounts are bigints in wei
+ */
+
+const factoryInterface = new ethers.Interface(FACTORY_ABI);
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+const tokenInterface = new ethers.Interface(TOKEN_ABI);
+
+/**
+ * @typedef {Object} LaunchpadToken
+ * @property {string} address
+ * @property {string} bondingCurveAddress
+ * @property {string} name
+ * @property {string} symbol
+ * @property {string} description
+ * @property {string} imageUrl
+ * @property {string} website
+ * @property {string} twitter
+ * @property {string} metadataUri Metadata document with further links, '' when none
+ * @property {string} creator
+ * @property {number} launchTime Unix seconds
+ * @property {bigint} tokensSold
+ * @property {bigint} avaxRaised Native currency raised on the curve
+ * @property {number} currentSellFee Basis points
+ * @property {boolean} graduated
+ * @property {bigint} progressToGraduation Basis points of the graduation threshold
+ * @property {bigint} currentPrice
+ * @property {bigint} [userBalance] Set when listed for an account
+ */
+
+/**
+ * Create a client bound to one factory deployment
+ * @param rpcUrl Endpoint used for JSON-RPC batching when Multicall3 is unavailable
+ * @param deployBlock Block the factory was deployed at (first block to index)
+ * @param wsUrl Optional websocket endpoint for subscribe()
+ * @param signer Signer for writes; can be set later with setSigner()
+ * @param transport Write transport, plainTransport by default
+ * @param gasMarginBps Safety margin added to gas estimates (see gas.js)
+ */
+export const createLaunchpadClient = ({
+  provider,
+  rpcUrl,
+  factoryAddress,
+  deployBlock = 0,
+  wsUrl = '',
+  signer = null,
+  transport = plainTransport,
+  gasMarginBps = DEFAULT_GAS_MARGIN_BPS
+}) => {
+  const reader = createReadBatcher({ provider, rpcUrl });
+  const indexer = createTokenIndexer({ provider, factoryAddress, startBlock: deployBlock });
+
+  let currentSigner = signer;
+  let currentTransport = transport;
+  let knownCurves = new Set();
+  let warnedDeployBlock = false;
+  // Fixed when a curve is deployed, so each one is only read once
+  const curveFees = new Map();
+
+  const requireSigner = () => {
+    if (!currentSigner) {
+      throw new Error('No signer connected');
+    }
+    return currentSigner;
+  };
+
+  /**
+   * Run a write as eth_call from the signer's account, then estimate its gas
+   * Failures are rethrown as simulationError()s, carrying the revert reason
+   * @returns {Promise<{ gasLimit: bigint, fee: bigint }>} Limit with the margin
+   * and transport overhead, and the expected fee in wei
+   */
+  const preflight = async (tx, sendTransport) => {
+    const call = { from: await requireSigner().getAddress(), to: tx.to, data: tx.data, value: tx.value };
+    const overhead = sendTransport.gasOverhead ?? 0n;
+    try {
+      await provider.call(call);
+      const [estimate, feeData] = await Promise.all([provider.estimateGas(call), provider.getFeeData()]);
+      return {
+        gasLimit: getGasLimit(estimate, gasMarginBps, overhead),
+        fee: estimateFee(estimate, overhead, feeData)
+      };
+    } catch (error) {
+      throw simulationError(error);
+    }
+  };
+
+  /**
+   * @param hooks.onEstimate Called with { gasLimit, fee } once the call passed its pre-flight
+   * @param hooks.onSubmit Called with { hash, encrypted } once the transaction is sent
+   */
+  const send = async (tx, { onEstimate, onSubmit } = {}) => {
+    const sendTransport = currentTransport;
+    const estimate = await preflight(tx, sendTransport);
+    onEstimate?.(estimate);
+    const response = await sendTransport.send(requireSigner(), { ...tx, gasLimit: estimate.gasLimit });
+    onSubmit?.({ hash: response.hash, encrypted: sendTransport.encrypted });
+    return response.wait();
+  };
+
+  const rememberCurves = (tokens) => {
+    knownCurves = new Set(tokens.map((token) => token.bondingCurveAddress.toLowerCase()));
+  };
+
+  /**
+   * Creation fee and platform fee (basis points) set on the factory
+   * @returns {Promise<{ creationFee: bigint, platformFeePercent: bigint }>}
+   */
+  const getPlatformFees = async () => {
+    const [creationFee, platformFeePercent] = await reader.readMany([
+      { target: factoryAddress, abi: FACTORY_ABI, method: 'tokenCreationFee' },
+      { target: factoryAddress, abi: FACTORY_ABI, method: 'platformFeePercent' }
+    ]);
+    return { creationFee, platformFeePercent };
+  };
+
+  let factoryCode = null;
+
+  /**
+   * Whether the factory has `method`. Factories deployed before a create variant
+   * revert it without a reason, which a pre-flight cannot tell apart from a
+   * flaky node, so their code is checked for the selector instead (read once)
+   * @returns {Promise<boolean>}
+   */
+  const factoryHas = async (method) => {
+    if (!factoryCode) {
+      factoryCode = provider.getCode(factoryAddress).catch((error) => {
+        factoryCode = null;
+        throw error;
+      });
+    }
+    const selector = factoryInterface.getFunction(method).selector.slice(2);
+    // Solidity dispatches on PUSH4 <selector>
+    return (await factoryCode).toLowerCase().includes(`63${selector}`);
+  };
+
+  /**
+   * Whether the factory has createTokenWithMetadata, so tokens can reference a
+   * metadata document. Factories deployed before it only keep website and twitter
+   * @returns {Promise<boolean>}
+   */
+  const supportsMetadata = () => factoryHas('createTokenWithMetadata');
+
+  /**
+   * Read one token straight from its contracts
+   * @param {string} tokenAddress
+   * @param {{ account?: string }} [options] Also read this account's balance
+   * @returns {Promise<LaunchpadToken>}
+   */
+  const getToken = async (tokenAddress, { account } = {}) => {
+    const bondingCurveAddress = await reader.read(factoryAddress, FACTORY_ABI, 'tokenToBondingCurve', [tokenAddress]);
+
+    const [
+      name,
+      symbol,
+      metadata,
+      tokenInfo,
+      currentPrice,
+      userBalance
+    ] = await Promise.all([
+      reader.read(tokenAddress, TOKEN_ABI, 'name'),
+      reader.read(tokenAddress, TOKEN_ABI, 'symbol'),
+      reader.read(tokenAddress, TOKEN_ABI, 'getMetadata'),
+      reader.read(bondingCurveAddress, BONDING_CURVE_ABI, 'getTokenInfo'),
+      reader.read(bondingCurveAddress, BONDING_CURVE_ABI, 'getCurrentPrice'),
+      account ? reader.read(tokenAddress, TOKEN_ABI, 'balanceOf', [account]) : 0n
+    ]);
+
+    let socialLinks = { website: '', twitter: '' };
+    try {
+      const links = await reader.read(tokenAddress, TOKEN_ABI, 'getSocialLinks');
+      socialLinks = {
+        website: links[0] || '',
+        twitter: links[1] || ''
+      };
+    } catch {
+      // Tokens from before social links were added
+    }
+
+    let metadataUri = '';
+    try {
+      metadataUri = await reader.read(tokenAddress, TOKEN_ABI, 'metadataURI');
+    } catch {
+      // Tokens from before metadata documents were added
+    }
+
+    return {
+      address: tokenAddress,
+      bondingCurveAddress,
+      name,
+      symbol,
+      description: metadata[0],
+      imageUrl: metadata[1],
+      creator: metadata[2],
+      launchTime: Number(metadata[3]),
+      website: socialLinks.website,
+      twitter: socialLinks.twitter,
+      metadataUri,
+      tokensSold: tokenInfo[0],
+      avaxRaised: tokenInfo[1],
+      currentSellFee: tokenInfo[2],
+      graduated: tokenInfo[3],
+      progressToGraduation: tokenInfo[4],
+      currentPrice,
+      userBalance
+    };
+  };
+
+  const listTokensDirectly = async (account) => {
+    const tokenAddresses = await reader.read(factoryAddress, FACTORY_ABI, 'getAllTokens');
+
+    const tokens = await Promise.all(tokenAddresses.map(async (tokenAddress) => {
+      try {
+        return await getToken(tokenAddress, { account });
+      } catch (error) {
+        console.error(`Failed to load token ${tokenAddress}:`, error);
+        return null;
+      }
+    }));
+
+    return tokens
+      .filter((token) => token !== null)
+      .sort((a, b) => b.launchTime - a.launchTime);
+  };
+
+  /**
+   * Every token launched from the factory, newest first
+   * Uses the event indexer and falls back to direct reads if it fails
+   * @param {{ account?: string }} [options] Also read this account's balances
+   * @returns {Promise<LaunchpadToken[]>}
+   */
+  const listTokens = async ({ account } = {}) => {
+    let tokens;
+    try {
+      const indexedTokens = await indexer.sync();
+      const balances = await Promise.all(indexedTokens.map(async (token) => {
+        if (!account) return 0n;
+        try {
+          return await reader.read(token.address, TOKEN_ABI, 'balanceOf', [account]);
+        } catch (error) {
+          console.error(`Failed to load balance for ${token.address}:`, error);
+          return 0n;
+        }
+      }));
+
+      tokens = indexedTokens.map((token, index) => ({
+        ...token,
+        userBalance: balances[index]
+      }));
+    } catch (error) {
+      if (error.code === 'DEPLOY_BLOCK_REQUIRED') {
+        if (!warnedDeployBlock) console.warn(`${error.message}; reading the factory directly`);
+        warnedDeployBlock = true;
+      } else {
+        console.error('Token indexer sync failed, falling back to direct reads:', error);
+      }
+      tokens = await listTokensDirectly(account);
+    }
+
+    rememberCurves(tokens);
+    return tokens;
+  };
+
+  /**
+   * Quote a buy of `amount` native currency
+   * @returns {Promise<{ tokensOut: bigint, newPrice: bigint, priceImpact: bigint, platformFee: bigint }>}
+   */
+  const previewBuy = async (token, amount) => {
+    const [tokensOut, newPrice, priceImpact, platformFee] = await reader.read(
+      token.bondingCurveAddress, BONDING_CURVE_ABI, 'previewBuy', [amount]
+    );
+    return { tokensOut, newPrice, priceImpact, platformFee };
+  };
+
+  /**
+   * Quote a sale of `amount` tokens
+   * @returns {Promise<{ avaxOut: bigint, netAvaxOut: bigint, sellFee: bigint, feeAmount: bigint }>}
+   */
+  const previewSell = async (token, amount) => {
+    const [avaxOut, netAvaxOut, sellFee, feeAmount] = await reader.read(
+      token.bondingCurveAddress, BONDING_CURVE_ABI, 'previewSell', [amount]
+    );
+    return { avaxOut, netAvaxOut, sellFee, feeAmount };
+  };
+
+  const getCurveFee = async (bondingCurveAddress) => {
+    const key = bondingCurveAddress.toLowerCase();
+    if (!curveFees.has(key)) {
+      curveFees.set(key, await reader.read(bondingCurveAddress, BONDING_CURVE_ABI, 'platformFeePercent'));
+    }
+    return curveFees.get(key);
+  };
+
+  /**
+   * Quote a buy from the token record's curve state instead of a call
+   * Same result as previewBuy() while the record is current; only the curve's
+   * platform fee is read, once
+   */
+  const quoteBuy = async (token, amount) => {
+    return previewCurveBuy(token, amount, await getCurveFee(token.bondingCurveAddress));
+  };
+
+  /**
+   * Quote a sale from the token record's curve state, at the sell fee for `now`
+   * @param now Unix seconds, defaults to the local clock
+   */
+  const quoteSell = async (token, amount, now = Math.floor(Date.now() / 1000)) => {
+    return previewCurveSell(token, amount, getSellFeeAt(token.launchTime, now));
+  };
+
+  /**
+   * Launch a token, optionally buying `initialBuy` from its curve in the same call
+   * @param metadataUri Optional metadata document (see tokenMetadata.js) for links beyond website and twitter.
+   * Throws with code 'METADATA_UNSUPPORTED' rather than dropping it on factories without supportsMetadata(),
+   * and 'LINKS_UNSUPPORTED' for website or twitter on factories without createTokenWithSocials
+   * @param onEstimate Called with { gasLimit, fee } before sending
+   * @param onSubmit Called with { hash, encrypted } once sent
+   * @returns {Promise<{ receipt: Object, tokenAddress: string|null, bondingCurveAddress: string|null }>}
+   * The addresses are null when the receipt carries no TokenCreated log
+   */
+  const createToken = async ({
+    name,
+    symbol,
+    description,
+    imageUrl = '',
+    website = '',
+    twitter = '',
+    metadataUri = '',
+    initialBuy = 0n,
+    onEstimate,
+    onSubmit
+  }) => {
+    // Each variant only when it has something to add; links are never dropped
+    const [method, args] = metadataUri
+      ? ['createTokenWithMetadata', [name, symbol, description, imageUrl, website, twitter, metadataUri, initialBuy]]
+      : website || twitter
+        ? ['createTokenWithSocials', [name, symbol, description, imageUrl, website, twitter, initialBuy]]
+        : ['createToken', [name, symbol, description, imageUrl, initialBuy]];
+
+    if (method !== 'createToken' && !(await factoryHas(method))) {
+      const error = metadataUri
+        ? new Error('This factory cannot reference a metadata document; remove the links beyond website and twitter')
+        : new Error('This factory cannot keep website or twitter links; remove them');
+      error.code = metadataUri ? 'METADATA_UNSUPPORTED' : 'LINKS_UNSUPPORTED';
+      throw error;
+    }
+
+    const { creationFee } = await getPlatformFees();
+    const receipt = await send({
+      to: factoryAddress,
+      data: factoryInterface.encodeFunctionData(method, args),
+      value: creationFee + initialBuy
+    }, { onEstimate, onSubmit });
+
+    const created = receipt?.logs
+      ?.map((log) => {
+        try {
+          return factoryInterface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed?.name === 'TokenCreated');
+
+    return {
+      receipt,
+      tokenAddress: created ? created.args.token : null,
+      bondingCurveAddress: created ? created.args.bondingCurve : null
+    };
+  };
+
+  /**
+   * Buy from a curve with `amount` native currency
+   * @param options.slippageBps Tolerance on the quoted output
+   * @param options.onQuote Called with { expectedTokens, minTokensOut } before sending
+   * @param options.onEstimate Called with { gasLimit, fee } before sending
+   * @param options.onSubmit Called with { hash, encrypted } once sent
+   */
+  const buy = async (token, amount, { slippageBps = DEFAULT_SLIPPAGE_BPS, onQuote, onEstimate, onSubmit } = {}) => {
+    const { tokensOut } = await previewBuy(token, amount);
+    const minTokensOut = applySlippage(tokensOut, slippageBps);
+    onQuote?.({ expectedTokens: tokensOut, minTokensOut });
+
+    const receipt = await send({
+      to: token.bondingCurveAddress,
+      data: curveInterface.encodeFunctionData('buyTokens', [minTokensOut]),
+      value: amount
+    }, { onEstimate, onSubmit });
+
+    return { receipt, expectedTokens: tokensOut, minTokensOut };
+  };
+
+  /**
+   * Check a sale against the curve's live state the way sellTokens() does, so
+   * one that would revert fails before its approval is signed. Throws a
+   * simulationError() carrying the curve's revert reason
+   */
+  const checkSell = async (account, token, amount, avaxOut) => {
+    const [[tokensSold, avaxRaised, , graduated], balance] = await reader.readMany([
+      { target: token.bondingCurveAddress, abi: BONDING_CURVE_ABI, method: 'getTokenInfo' },
+      { target: token.address, abi: TOKEN_ABI, method: 'balanceOf', args: [account] }
+    ]);
+    // In the order sellTokens() requires them
+    const failed = [
+      [graduated, 'Token graduated'],
+      [amount === 0n, 'Invalid amount'],
+      [tokensSold < amount, 'Insufficient supply sold'],
+      [balance < amount, 'Insufficient balance'],
+      [avaxOut === 0n, 'No FAIR calculated'],
+      [avaxOut > avaxRaised, 'Insufficient reserves']
+    ].find(([condition]) => condition);
+    if (!failed) return;
+
+    const reason = failed[1];
+    throw simulationError(Object.assign(new Error(`execution reverted: "${reason}"`), { code: 'CALL_EXCEPTION', reason }));
+  };
+
+  /**
+   * Sell `amount` tokens back to the curve, approving it first if needed
+   * Both transactions go through the current transport, so an encrypted sale
+   * does not leak its size through a plain approval
+   * @param options.slippageBps Tolerance on the quoted net output
+   * @param options.standingAllowance Approve the curve for any amount, so later sales skip the approval
+   * @param options.onQuote Called with { expectedOut, minOut } before sending
+   * @param options.onStep Called with { step: 'approve'|'sell', status: 'pending'|'confirmed'|'skipped', encrypted }
+   * @param options.onEstimate Called with { step, gasLimit, fee } before sending each transaction
+   * @param options.onSubmit Called with { step, hash, encrypted } as each transaction is sent
+   * @returns {Promise<{ receipt: Object, expectedOut: bigint, minOut: bigint, approvalSent: boolean }>}
+   * approvalSent is false when the existing allowance already covered the sale
+   */
+  const sell = async (token, amount, {
+    slippageBps = DEFAULT_SLIPPAGE_BPS,
+    standingAllowance = false,
+    onQuote,
+    onStep,
+    onEstimate,
+    onSubmit
+  } = {}) => {
+    // send() hooks that also say which of the two transactions they are about
+    const hooksFor = (step) => ({
+      onEstimate: (estimate) => onEstimate?.({ step, ...estimate }),
+      onSubmit: (submitted) => onSubmit?.({ step, ...submitted })
+    });
+
+    const { avaxOut, netAvaxOut } = await previewSell(token, amount);
+    const minOut = applySlippage(netAvaxOut, slippageBps);
+    onQuote?.({ expectedOut: netAvaxOut, minOut });
+
+    const { encrypted } = currentTransport;
+    const account = await requireSigner().getAddress();
+    const allowance = await reader.read(token.address, TOKEN_ABI, 'allowance', [account, token.bondingCurveAddress]);
+    const needsApproval = allowance < amount;
+    let approvalSent = false;
+    if (needsApproval) {
+      // The sale itself can only be simulated once the allowance is in place
+      await checkSell(account, token, amount, avaxOut);
+      onStep?.({ step: 'approve', status: 'pending', encrypted });
+      const approvalReceipt = await send({
+        to: token.address,
+        data: tokenInterface.encodeFunctionData('approve', [
+          token.bondingCurveAddress,
+          getApprovalAmount(amount, standingAllowance)
+        ]),
+        value: 0n
+      }, hooksFor('approve'));
+      approvalSent = !!approvalReceipt;
+      onStep?.({ step: 'approve', status: 'confirmed', encrypted });
+    } else {
+      onStep?.({ step: 'approve', status: 'skipped', encrypted });
+    }
+
+    onStep?.({ step: 'sell', status: 'pending', encrypted });
+    const receipt = await send({
+      to: token.bondingCurveAddress,
+      data: curveInterface.encodeFunctionData('sellTokens', [amount, minOut]),
+      value: 0n
+    }, hooksFor('sell'));
+    onStep?.({ step: 'sell', status: 'confirmed', encrypted });
+
+    return { receipt, expectedOut: netAvaxOut, minOut, approvalSent };
+  };
+
+  /**
+   * Stream curve events for the tokens returned by the last listTokens()
+   * Events the indexer has already replayed are skipped
+   * @param onEvent Called with { curveAddress, event, log }
+   * @param onModeChange Called with the active FEED_MODES value
+   * @returns Unsubscribe function
+   */
+  const subscribe = ({ onEvent, onModeChange }) => {
+    return subscribeToCurves({
+      provider,
+      wsUrl,
+      getCurveAddresses: () => knownCurves,
+      onEvent: (update) => {
+        if (update.log.blockNumber <= indexer.getCursor()) return;
+        onEvent(update);
+      },
+      onModeChange
+    });
+  };
+
+  return {
+    provider,
+    reader,
+    factoryAddress,
+    setSigner: (nextSigner) => {
+      currentSigner = nextSigner;
+    },
+    setTransport: (nextTransport) => {
+      currentTransport = nextTransport || plainTransport;
+    },
+    getTransport: () => currentTransport,
+    getPlatformFees,
+    supportsMetadata,
+    listTokens,
+    getToken,
+    previewBuy,
+    previewSell,
+    quoteBuy,
+    quoteSell,
+    createToken,
+    buy,
+    sell,
+    subscribe
+  };
+};
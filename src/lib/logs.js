@@ -0,0 +1,93 @@
+/**
+ * Event log helpers
+ * Range-chunked eth_getLogs with adaptive splitting and cached block timestamps
+ */
+
+export const LOG_CHUNK_SIZE = 5000;
+
+// Dev chains are short, so replaying them from genesis is fine; anywhere else it takes ages
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+const blockTimestampCache = new Map();
+
+/**
+ * Fetch logs for a range, halving it whenever the RPC rejects the request
+ * (too many results or range too wide)
+ */
+const getLogsAdaptive = async (provider, filter, fromBlock, toBlock) => {
+  try {
+    return await provider.getLogs({ ...filter, fromBlock, toBlock });
+  } catch (error) {
+    if (fromBlock >= toBlock) throw error;
+
+    const middle = Math.floor((fromBlock + toBlock) / 2);
+    const left = await getLogsAdaptive(provider, filter, fromBlock, middle);
+    const right = await getLogsAdaptive(provider, filter, middle + 1, toBlock);
+    return [...left, ...right];
+  }
+};
+
+/**
+ * First block to scan: `startBlock` when set, genesis on dev chains
+ * Throws with code 'DEPLOY_BLOCK_REQUIRED' on any other chain rather than
+ * scanning it from block 0
+ */
+export const requireStartBlock = async (provider, startBlock) => {
+  if (startBlock > 0) return startBlock;
+
+  const { chainId } = await provider.getNetwork();
+  if (LOCAL_CHAIN_IDS.includes(chainId)) return 0;
+
+  const error = new Error(`No deployBlock set for chain ${chainId}; not scanning it from genesis`);
+  error.code = 'DEPLOY_BLOCK_REQUIRED';
+  throw error;
+};
+
+/**
+ * Fetch logs between two blocks (inclusive) in LOG_CHUNK_SIZE windows
+ * @param onChunk Optional callback invoked with (logs, chunkEndBlock) after each window
+ */
+export const fetchLogs = async (provider, filter, fromBlock, toBlock, onChunk) => {
+  const logs = [];
+
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+    const chunk = await getLogsAdaptive(provider, filter, start, end);
+    logs.push(...chunk);
+
+    if (onChunk) {
+      await onChunk(chunk, end);
+    }
+  }
+
+  return logs;
+};
+
+/**
+ * Order logs the way the chain emitted them
+ */
+export const sortLogs = (logs) => {
+  return [...logs].sort((a, b) => (
+    a.blockNumber - b.blockNumber || (a.index ?? a.logIndex ?? 0) - (b.index ?? b.logIndex ?? 0)
+  ));
+};
+
+/**
+ * Resolve timestamps (in seconds) for a set of block numbers
+ */
+export const getBlockTimestamps = async (provider, blockNumbers) => {
+  const missing = [...new Set(blockNumbers)].filter((number) => !blockTimestampCache.has(number));
+
+  await Promise.all(missing.map(async (number) => {
+    const block = await provider.getBlock(number);
+    if (block) {
+      blockTimestampCache.set(number, Number(block.timestamp));
+    }
+  }));
+
+  const timestamps = {};
+  for (const number of blockNumbers) {
+    timestamps[number] = blockTimestampCache.get(number) ?? 0;
+  }
+  return timestamps;
+};
@@ -0,0 +1,55 @@
+import { ethers } from 'ethers';
+
+/**
+ * Wallet network helpers
+ * Chain comparison and the EIP-3085/EIP-3326 add/switch-chain flow
+ */
+
+// EIP-3326: the wallet does not know the requested chain
+const UNRECOGNIZED_CHAIN_CODE = 4902;
+
+/**
+ * Whether two chain ids (bigint, number or hex string) refer to the same chain
+ */
+export const isSameChain = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return BigInt(a) === BigInt(b);
+};
+
+/**
+ * wallet_addEthereumChain parameters for a chain definition
+ */
+export const getAddChainParams = (chain) => ({
+  chainId: ethers.toQuantity(chain.chainId),
+  chainName: chain.chainName,
+  rpcUrls: [chain.rpcUrl],
+  nativeCurrency: {
+    name: chain.nativeSymbol,
+    symbol: chain.nativeSymbol,
+    decimals: 18
+  },
+  ...(chain.explorerUrl ? { blockExplorerUrls: [chain.explorerUrl] } : {})
+});
+
+const isUnrecognizedChain = (error) => {
+  const code = error?.code ?? error?.data?.originalError?.code;
+  return code === UNRECOGNIZED_CHAIN_CODE ||
+    (typeof error?.message === 'string' && error.message.includes('Unrecognized chain'));
+};
+
+/**
+ * Ask the wallet to switch to a chain, adding it first if the wallet lacks it
+ */
+export const switchToChain = async (eip1193, chain) => {
+  const chainId = ethers.toQuantity(chain.chainId);
+
+  try {
+    await eip1193.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (error) {
+    if (!isUnrecognizedChain(error)) throw error;
+
+    await eip1193.request({ method: 'wallet_addEthereumChain', params: [getAddChainParams(chain)] });
+    // Most wallets switch as part of adding; others need the explicit request
+    await eip1193.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  }
+};
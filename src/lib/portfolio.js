@@ -0,0 +1,104 @@
+import { ethers } from 'ethers';
+import { BONDING_CURVE_ABI } from './abis.js';
+import { fetchLogs, sortLogs, requireStartBlock } from './logs.js';
+
+/**
+ * Wallet portfolio accounting
+ * Replays a wallet's own curve trades into per-token positions using the
+ * average-cost method: buys add to cost basis, sells release a pro-rata share
+ * of it and book the difference as realized PnL
+ */
+
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+
+const PURCHASED_TOPIC = curveInterface.getEvent('TokensPurchased').topicHash;
+const SOLD_TOPIC = curveInterface.getEvent('TokensSold').topicHash;
+
+const emptyPosition = () => ({
+  tokensBought: 0n,
+  tokensSold: 0n,
+  trackedAmount: 0n,
+  costBasis: 0n,
+  realizedPnl: 0n,
+  trades: 0
+});
+
+/**
+ * Fetch the wallet's buys and sells since the last fetched block
+ * Buyer and seller are indexed, so a single topic filter covers all curves;
+ * any contract emitting the same events matches too, so keep only the
+ * factory's curves before building positions
+ * @param previous Result of an earlier call for the same account, or null to start over
+ * @param startBlock Where to start over. Throws with code 'DEPLOY_BLOCK_REQUIRED'
+ * when it is unset outside dev chains, see requireStartBlock()
+ * @returns {{ lastBlock: number, trades: Object[] }} Decoded logs in chain order,
+ * each tagged with its curve address
+ */
+export const fetchWalletTrades = async (provider, account, previous = null, startBlock = 0) => {
+  const history = previous ?? { lastBlock: (await requireStartBlock(provider, startBlock)) - 1, trades: [] };
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = history.lastBlock + 1;
+
+  if (fromBlock > latestBlock) return history;
+
+  const accountTopic = ethers.zeroPadValue(account, 32);
+  const logs = await fetchLogs(
+    provider,
+    { topics: [[PURCHASED_TOPIC, SOLD_TOPIC], accountTopic] },
+    fromBlock,
+    latestBlock
+  );
+
+  const trades = sortLogs(logs)
+    .map((log) => ({ curveAddress: log.address.toLowerCase(), ...curveInterface.parseLog(log) }));
+
+  return { lastBlock: latestBlock, trades: [...history.trades, ...trades] };
+};
+
+/**
+ * Fold decoded trades into positions keyed by lowercase curve address
+ * @param platformFeeBps Buy-side platform fee; TokensPurchased reports FAIR
+ *   after the fee, so it is grossed back up to what the wallet actually paid
+ */
+export const buildPositions = (trades, platformFeeBps = 0) => {
+  const positions = {};
+  const feeBps = BigInt(platformFeeBps || 0);
+
+  for (const trade of trades) {
+    const position = positions[trade.curveAddress] ?? emptyPosition();
+    positions[trade.curveAddress] = position;
+    position.trades += 1;
+
+    if (trade.name === 'TokensPurchased') {
+      const paid = feeBps < 10000n
+        ? (trade.args.FAIRIn * 10000n) / (10000n - feeBps)
+        : trade.args.FAIRIn;
+      position.tokensBought += trade.args.tokensOut;
+      position.trackedAmount += trade.args.tokensOut;
+      position.costBasis += paid;
+    } else {
+      const amount = trade.args.tokensIn;
+      const released = position.trackedAmount > 0n
+        ? (position.costBasis * (amount > position.trackedAmount ? position.trackedAmount : amount)) / position.trackedAmount
+        : 0n;
+
+      position.tokensSold += amount;
+      position.trackedAmount = amount > position.trackedAmount ? 0n : position.trackedAmount - amount;
+      position.costBasis -= released;
+      position.realizedPnl += trade.args.FAIROut - released;
+    }
+  }
+
+  return positions;
+};
+
+/**
+ * Cost basis attributable to the current balance
+ * Tokens received by transfer have no recorded cost; tokens sent away take
+ * their share of the basis with them
+ */
+export const getHeldCostBasis = (position, balance) => {
+  if (!position || position.trackedAmount === 0n) return 0n;
+  const held = balance < position.trackedAmount ? balance : position.trackedAmount;
+  return (position.costBasis * held) / position.trackedAmount;
+};
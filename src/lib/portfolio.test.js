@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { fetchWalletTrades } from './portfolio.js';
+
+const ACCOUNT = '0x3000000000000000000000000000000000000003';
+
+const createProvider = (chainId) => ({
+  getNetwork: vi.fn(async () => ({ chainId })),
+  getBlockNumber: vi.fn(async () => 20),
+  getLogs: vi.fn(async () => [])
+});
+
+describe('fetchWalletTrades', () => {
+  it('refuses to scan a public chain from genesis', async () => {
+    const provider = createProvider(1020352220n);
+
+    await expect(fetchWalletTrades(provider, ACCOUNT)).rejects.toMatchObject({ code: 'DEPLOY_BLOCK_REQUIRED' });
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+
+  it('starts at the deploy block and only fetches the new range on refresh', async () => {
+    const provider = createProvider(1020352220n);
+
+    const first = await fetchWalletTrades(provider, ACCOUNT, null, 15);
+    expect(first).toEqual({ lastBlock: 20, trades: [] });
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 15, toBlock: 20 }));
+
+    provider.getLogs.mockClear();
+    provider.getBlockNumber.mockResolvedValue(24);
+    await fetchWalletTrades(provider, ACCOUNT, first, 15);
+    expect(provider.getLogs).toHaveBeenCalledTimes(1);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 21, toBlock: 24 }));
+  });
+});
@@ -0,0 +1,208 @@
+import { ethers } from 'ethers';
+
+/**
+ * Read batching layer
+ * Collects view calls made within a short window and sends them as a single
+ * Multicall3 aggregate3 call, or as a JSON-RPC batch of eth_call requests when
+ * no Multicall3 contract is deployed on the chain
+ */
+
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+const interfaceCache = new WeakMap();
+
+/**
+ * Reuse one Interface per ABI array
+ */
+const getInterface = (abi) => {
+  if (abi instanceof ethers.Interface) return abi;
+  if (!interfaceCache.has(abi)) {
+    interfaceCache.set(abi, new ethers.Interface(abi));
+  }
+  return interfaceCache.get(abi);
+};
+
+/**
+ * Decode return data the way ethers.Contract does: single outputs are unwrapped
+ */
+const decodeResult = (call, returnData) => {
+  const result = call.iface.decodeFunctionResult(call.method, returnData);
+  return result.length === 1 ? result[0] : result;
+};
+
+const revertError = (call, reason) => {
+  const error = new Error(`Read call reverted: ${call.method}${reason ? ` (${reason})` : ''}`);
+  error.code = 'CALL_EXCEPTION';
+  return error;
+};
+
+/**
+ * Create a batcher bound to a provider
+ * @param rpcUrl Endpoint used for JSON-RPC batching when Multicall3 is unavailable
+ */
+export const createReadBatcher = ({
+  provider,
+  rpcUrl,
+  multicallAddress = MULTICALL3_ADDRESS,
+  maxBatchSize = 100,
+  batchWindowMs = 10
+}) => {
+  let queue = [];
+  let timer = null;
+  let modePromise = null;
+  let requestId = 0;
+
+  const detectMode = () => {
+    if (!modePromise) {
+      modePromise = provider.getCode(multicallAddress)
+        .then((code) => (code && code !== '0x' ? 'multicall' : 'rpc-batch'))
+        .catch(() => 'rpc-batch');
+    }
+    return modePromise;
+  };
+
+  const dispatchMulticall = async (batch) => {
+    const data = multicallInterface.encodeFunctionData('aggregate3', [
+      batch.map((call) => [call.target, true, call.data])
+    ]);
+    const raw = await provider.call({ to: multicallAddress, data });
+    const [results] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+
+    batch.forEach((call, index) => {
+      const { success, returnData } = results[index];
+      if (!success) {
+        call.reject(revertError(call));
+        return;
+      }
+      try {
+        call.resolve(decodeResult(call, returnData));
+      } catch (error) {
+        call.reject(error);
+      }
+    });
+  };
+
+  const dispatchRpcBatch = async (batch) => {
+    if (!rpcUrl) {
+      await Promise.all(batch.map(async (call) => {
+        try {
+          call.resolve(decodeResult(call, await provider.call({ to: call.target, data: call.data })));
+        } catch (error) {
+          call.reject(error);
+        }
+      }));
+      return;
+    }
+
+    const requests = batch.map((call) => ({
+      jsonrpc: '2.0',
+      id: ++requestId,
+      method: 'eth_call',
+      params: [{ to: call.target, data: call.data }, 'latest']
+    }));
+
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requests)
+    });
+
+    if (!response.ok) {
+      throw new Error(`JSON-RPC batch failed with status ${response.status}`);
+    }
+
+    const payload = await response.json();
+    const responses = new Map((Array.isArray(payload) ? payload : [payload]).map((item) => [item.id, item]));
+
+    batch.forEach((call, index) => {
+      const item = responses.get(requests[index].id);
+      if (!item || item.error) {
+        call.reject(revertError(call, item?.error?.message));
+        return;
+      }
+      try {
+        call.resolve(decodeResult(call, item.result));
+      } catch (error) {
+        call.reject(error);
+      }
+    });
+  };
+
+  const dispatch = async (batch) => {
+    const mode = await detectMode();
+
+    try {
+      if (mode === 'multicall') {
+        await dispatchMulticall(batch);
+      } else {
+        await dispatchRpcBatch(batch);
+      }
+    } catch (error) {
+      if (mode === 'multicall') {
+        console.error('Multicall batch failed, retrying as JSON-RPC batch:', error);
+        try {
+          await dispatchRpcBatch(batch);
+          return;
+        } catch (fallbackError) {
+          batch.forEach((call) => call.reject(fallbackError));
+          return;
+        }
+      }
+      batch.forEach((call) => call.reject(error));
+    }
+  };
+
+  const flush = () => {
+    timer = null;
+    const pending = queue;
+    queue = [];
+
+    for (let start = 0; start < pending.length; start += maxBatchSize) {
+      dispatch(pending.slice(start, start + maxBatchSize));
+    }
+  };
+
+  /**
+   * Queue a view call; resolves with the decoded result
+   * @param abi ABI fragment array or ethers.Interface
+   */
+  const read = (target, abi, method, args = []) => {
+    return new Promise((resolve, reject) => {
+      try {
+        const iface = getInterface(abi);
+        queue.push({
+          target,
+          iface,
+          method,
+          data: iface.encodeFunctionData(method, args),
+          resolve,
+          reject
+        });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      if (queue.length >= maxBatchSize) {
+        clearTimeout(timer);
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, batchWindowMs);
+      }
+    });
+  };
+
+  /**
+   * Queue several calls at once: [{ target, abi, method, args }]
+   */
+  const readMany = (calls) => {
+    return Promise.all(calls.map((call) => read(call.target, call.abi, call.method, call.args)));
+  };
+
+  return { read, readMany, getMode: detectMode };
+};
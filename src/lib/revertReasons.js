@@ -0,0 +1,126 @@
+import { ethers } from 'ethers';
+import { formatSlippage } from './slippage.js';
+
+/**
+ * Revert reasons
+ * The require strings BondingCurve and TokenFactory revert with that a trader
+ * can act on, each with a title, a message and what to do about it. Reasons
+ * are read from simulation errors, RPC error data or, failing that, the
+ * error message
+ */
+
+// Error(string), what require() reverts with
+const ERROR_SELECTOR = '0x08c379a0';
+
+export const REVERT_REASONS = {
+  'Curve complete': {
+    title: 'Curve Complete',
+    message: () => 'Curve complete - every token on this curve has been sold',
+    hint: 'The token is graduating and can no longer be bought from its curve.'
+  },
+  'Exceeds graduation supply': {
+    title: 'Amount Too Large',
+    message: () => 'Exceeds graduation supply - the curve has fewer tokens left than this buy would take',
+    hint: 'Nothing was sent. Try a smaller amount to buy the remaining supply.'
+  },
+  'Insufficient reserves': {
+    title: 'Insufficient Reserves',
+    message: () => 'Insufficient reserves - the curve cannot pay out this sale',
+    hint: 'Nothing was sent. Try selling a smaller amount.'
+  },
+  'Slippage exceeded': {
+    title: 'Slippage Exceeded',
+    message: ({ slippageBps }) => `Slippage exceeded - the price moved more than your ${formatSlippage(slippageBps)} tolerance`,
+    hint: 'The trade was reverted before any funds changed hands. Increase your slippage tolerance or try a smaller amount.'
+  },
+  'Token graduated': {
+    title: 'Token Graduated',
+    message: () => 'Token graduated - this token no longer trades on its bonding curve',
+    hint: 'Nothing was sent. Refresh the token to see its final state.'
+  }
+};
+
+// How nodes spell a require() failure in error messages
+const REASON_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: "([^"]*)"/,
+  /execution reverted: ([^"\n]+)/
+];
+
+/**
+ * The error and the ones it wraps: ethers keeps the RPC error in info.error,
+ * wallets nest theirs in error or cause
+ */
+const unwrap = (error) => {
+  const chain = [];
+  for (let current = error; current && typeof current === 'object' && chain.length < 8; ) {
+    chain.push(current);
+    current = current.info?.error || current.error || current.cause || current.data;
+  }
+  return chain;
+};
+
+const decodeErrorData = (data) => {
+  if (typeof data !== 'string' || !data.startsWith(ERROR_SELECTOR)) return null;
+  try {
+    return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The require string an error reverted with
+ * @returns {string|null} The reason, or null when there is none to find
+ */
+export const getRevertReason = (error) => {
+  const errors = unwrap(error);
+
+  for (const current of errors) {
+    if (typeof current.revertReason === 'string') return current.revertReason;
+    if (typeof current.reason === 'string' && current.reason) return current.reason;
+    const decoded = decodeErrorData(current.data);
+    if (decoded) return decoded;
+  }
+
+  // Nodes and wallets that only pass the reason along in a message
+  for (const { message = '' } of errors) {
+    for (const pattern of REASON_PATTERNS) {
+      const match = pattern.exec(message);
+      if (match) return match[1].trim();
+    }
+    const known = Object.keys(REVERT_REASONS).find((reason) => message.includes(reason));
+    if (known) return known;
+  }
+  return null;
+};
+
+/**
+ * Title, message and hint for a known revert reason
+ * @param context Values the messages refer to, e.g. { slippageBps }
+ * @returns {{ reason: string, title: string, message: string, hint: string }|null}
+ */
+export const describeRevert = (reason, context = {}) => {
+  const entry = REVERT_REASONS[reason];
+  if (!entry) return null;
+  return { reason, title: entry.title, message: entry.message(context), hint: entry.hint };
+};
+
+/**
+ * Error thrown when a pre-flight simulation or gas estimate fails
+ * Reverts carry the decoded reason; "execution reverted" in the message keeps
+ * generic error mapping working for reasons without a description. Other
+ * failures (funds, RPC) keep their code and message
+ */
+export const simulationError = (cause) => {
+  const reason = getRevertReason(cause);
+  const reverted = cause?.code === 'CALL_EXCEPTION' || !!reason;
+  const error = new Error(reverted
+    ? `execution reverted in simulation${reason ? `: ${reason}` : ''}`
+    : `Pre-flight check failed: ${cause?.shortMessage || cause?.message}`);
+  error.code = reverted ? 'CALL_EXCEPTION' : cause?.code;
+  error.simulated = true;
+  error.revertReason = reason;
+  error.cause = cause;
+  return error;
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { getRevertReason, describeRevert, simulationError } from './revertReasons.js';
+
+const errorData = (reason) => ethers.concat([
+  '0x08c379a0',
+  ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])
+]);
+
+describe('getRevertReason', () => {
+  it('uses the reason ethers decoded', () => {
+    expect(getRevertReason({ code: 'CALL_EXCEPTION', reason: 'Curve complete', message: 'execution reverted' }))
+      .toBe('Curve complete');
+  });
+
+  it('decodes Error(string) data a wallet nested in its error', () => {
+    const error = { message: 'Internal JSON-RPC error.', error: { code: -32603, data: errorData('Insufficient reserves') } };
+    expect(getRevertReason(error)).toBe('Insufficient reserves');
+  });
+
+  it('reads the reason from an RPC message when the data is missing', () => {
+    const error = {
+      code: 'CALL_EXCEPTION',
+      reason: null,
+      message: 'missing revert data',
+      info: { error: { code: -32000, message: "VM Exception while processing transaction: reverted with reason string 'Token graduated'" } }
+    };
+    expect(getRevertReason(error)).toBe('Token graduated');
+  });
+
+  it('returns null when nothing reverted', () => {
+    expect(getRevertReason(new Error('user rejected action'))).toBeNull();
+  });
+
+  it('keeps the reason on simulation errors', () => {
+    const error = simulationError({ code: 'CALL_EXCEPTION', reason: 'Exceeds graduation supply' });
+    expect(error.simulated).toBe(true);
+    expect(getRevertReason(error)).toBe('Exceeds graduation supply');
+  });
+});
+
+describe('describeRevert', () => {
+  it('fills in the slippage tolerance', () => {
+    expect(describeRevert('Slippage exceeded', { slippageBps: 300 }).message).toMatch(/more than your 3(\.0+)?% tolerance/);
+  });
+
+  it('has nothing for reasons a trader cannot act on', () => {
+    expect(describeRevert('Invalid amount')).toBeNull();
+  });
+});
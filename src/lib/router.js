@@ -0,0 +1,98 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Minimal History API router
+ * Path matching and navigation without pulling in a routing framework
+ */
+
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  window.addEventListener('popstate', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('popstate', listener);
+  };
+};
+
+const getSnapshot = () => window.location.pathname + window.location.search;
+
+/**
+ * Push (or replace) a path onto the history stack and re-render subscribers
+ */
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === getSnapshot()) return;
+
+  const pathChanged = to.split('?')[0] !== window.location.pathname;
+
+  if (replace) {
+    window.history.replaceState(null, '', to);
+  } else {
+    window.history.pushState(null, '', to);
+  }
+
+  // Query-only updates (search, sort) keep the scroll position
+  if (pathChanged) {
+    window.scrollTo(0, 0);
+  }
+  notify();
+};
+
+/**
+ * Current path and query string, updated on navigate() and back/forward
+ */
+export const useLocation = () => {
+  const location = useSyncExternalStore(subscribe, getSnapshot);
+  const [pathname, search = ''] = location.split('?');
+  return { pathname, search: search ? `?${search}` : '' };
+};
+
+/**
+ * Query string params plus a setter that merges updates into the current URL
+ * Empty values are dropped so default views keep clean links
+ */
+export const useSearchParams = () => {
+  const { pathname, search } = useLocation();
+  const params = new URLSearchParams(search);
+
+  const setParams = (updates, { replace = false } = {}) => {
+    const next = new URLSearchParams(window.location.search);
+    for (const [key, value] of Object.entries(updates)) {
+      if (value === undefined || value === null || value === '') {
+        next.delete(key);
+      } else {
+        next.set(key, value);
+      }
+    }
+    const query = next.toString();
+    navigate(query ? `${pathname}?${query}` : pathname, { replace });
+  };
+
+  return [params, setParams];
+};
+
+/**
+ * Match a pattern like /token/:address against a pathname
+ * @returns Params object on match, otherwise null
+ */
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
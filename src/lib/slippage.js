@@ -0,0 +1,62 @@
+/**
+ * Slippage tolerance helpers
+ * Tolerances are expressed in basis points (100 = 1%) to match the contracts
+ */
+
+export const DEFAULT_SLIPPAGE_BPS = 100;
+export const MAX_SLIPPAGE_BPS = 5000;
+export const SLIPPAGE_PRESETS = [50, 100, 300, 500];
+
+const STORAGE_KEY = 'stealthly.slippageBps';
+
+/**
+ * Clamp a tolerance to the supported range, falling back to the default
+ */
+export const normalizeSlippage = (bps) => {
+  const value = Math.round(Number(bps));
+  if (!Number.isFinite(value) || value < 0) return DEFAULT_SLIPPAGE_BPS;
+  return Math.min(value, MAX_SLIPPAGE_BPS);
+};
+
+/**
+ * Read the persisted default tolerance
+ */
+export const getDefaultSlippage = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored === null ? DEFAULT_SLIPPAGE_BPS : normalizeSlippage(stored);
+  } catch {
+    return DEFAULT_SLIPPAGE_BPS;
+  }
+};
+
+/**
+ * Persist a new default tolerance
+ */
+export const setDefaultSlippage = (bps) => {
+  const value = normalizeSlippage(bps);
+  try {
+    localStorage.setItem(STORAGE_KEY, String(value));
+  } catch (error) {
+    console.error('Failed to persist slippage setting:', error);
+  }
+  return value;
+};
+
+/**
+ * Minimum acceptable output for a quoted amount at the given tolerance
+ */
+export const applySlippage = (quotedAmount, bps) => {
+  const amount = BigInt(quotedAmount || 0);
+  return (amount * BigInt(10000 - normalizeSlippage(bps))) / 10000n;
+};
+
+/**
+ * Convert a percentage string from an input field into basis points
+ */
+export const percentToBps = (percent) => normalizeSlippage(parseFloat(percent) * 100);
+
+/**
+ * Format basis points as a percentage label
+ */
+export const formatSlippage = (bps) => `${(normalizeSlippage(bps) / 100).toFixed(2)}%`;
@@ -0,0 +1,124 @@
+import { ethers } from 'ethers';
+import { BONDING_CURVE_ABI, TOKEN_ABI } from './abis.js';
+import { fetchLogs, sortLogs, getBlockTimestamps, requireStartBlock } from './logs.js';
+
+/**
+ * Per-token event history
+ * Trades and price points from the bonding curve, holder balances from
+ * token Transfer events, fetched incrementally from the token's creation block
+ */
+
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+const tokenInterface = new ethers.Interface(TOKEN_ABI);
+
+const HISTORY_TOPICS = ['TokensPurchased', 'TokensSold', 'PriceUpdate']
+  .map((name) => curveInterface.getEvent(name).topicHash);
+const TRANSFER_TOPIC = tokenInterface.getEvent('Transfer').topicHash;
+
+/**
+ * Empty history for a token that has not been fetched yet
+ * @param startBlock First block to fetch from
+ */
+export const emptyHistory = (startBlock) => ({
+  lastBlock: startBlock - 1,
+  trades: [],
+  pricePoints: [],
+  balances: {}
+});
+
+/**
+ * Number of addresses holding a non-zero balance
+ */
+export const getHolderCount = (history) => {
+  return Object.values(history.balances).filter((balance) => balance > 0n).length;
+};
+
+const applyTransfer = (balances, excluded, { from, to, value }) => {
+  const fromKey = from.toLowerCase();
+  const toKey = to.toLowerCase();
+
+  if (!excluded.has(fromKey)) {
+    balances[fromKey] = (balances[fromKey] ?? 0n) - value;
+  }
+  if (!excluded.has(toKey)) {
+    balances[toKey] = (balances[toKey] ?? 0n) + value;
+  }
+};
+
+/**
+ * Fetch events since the last fetched block and merge them into the history
+ * @param token { address, bondingCurveAddress, createdBlock? }
+ * @param previous History returned by an earlier call, or null to start over
+ * @param deployBlock Where to start a token without a createdBlock (records read
+ * straight from the factory). Throws with code 'DEPLOY_BLOCK_REQUIRED' when
+ * neither is known outside dev chains, see requireStartBlock()
+ */
+export const fetchTokenHistory = async (provider, token, previous = null, deployBlock = 0) => {
+  const history = previous ?? emptyHistory(await requireStartBlock(provider, token.createdBlock ?? deployBlock));
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = history.lastBlock + 1;
+
+  if (fromBlock > latestBlock) return history;
+
+  const [curveLogs, transferLogs] = await Promise.all([
+    fetchLogs(provider, { address: token.bondingCurveAddress, topics: [HISTORY_TOPICS] }, fromBlock, latestBlock),
+    fetchLogs(provider, { address: token.address, topics: [TRANSFER_TOPIC] }, fromBlock, latestBlock)
+  ]);
+
+  const timestamps = await getBlockTimestamps(provider, curveLogs.map((log) => log.blockNumber));
+
+  const trades = [...history.trades];
+  const pricePoints = [...history.pricePoints];
+  let pendingTrade = null;
+
+  for (const log of sortLogs(curveLogs)) {
+    const { name, args } = curveInterface.parseLog(log);
+    const timestamp = timestamps[log.blockNumber];
+
+    if (name === 'PriceUpdate') {
+      pricePoints.push({ timestamp, price: args.currentPrice, blockNumber: log.blockNumber });
+
+      // Every trade is followed by a PriceUpdate carrying the post-trade price
+      if (pendingTrade && pendingTrade.txHash === log.transactionHash) {
+        pendingTrade.price = args.currentPrice;
+      }
+      pendingTrade = null;
+      continue;
+    }
+
+    pendingTrade = name === 'TokensPurchased'
+      ? {
+          type: 'buy',
+          account: args.buyer,
+          tokenAmount: args.tokensOut,
+          fairAmount: args.FAIRIn,
+          fee: 0n,
+          price: args.newPrice
+        }
+      : {
+          type: 'sell',
+          account: args.seller,
+          tokenAmount: args.tokensIn,
+          fairAmount: args.FAIROut,
+          fee: args.fee,
+          price: 0n
+        };
+
+    Object.assign(pendingTrade, {
+      id: `${log.transactionHash}:${log.index}`,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      timestamp
+    });
+    trades.push(pendingTrade);
+  }
+
+  // The curve and the zero address hold supply, not positions
+  const excluded = new Set([ethers.ZeroAddress, token.bondingCurveAddress.toLowerCase()]);
+  const balances = { ...history.balances };
+  for (const log of sortLogs(transferLogs)) {
+    applyTransfer(balances, excluded, tokenInterface.parseLog(log).args);
+  }
+
+  return { lastBlock: latestBlock, trades, pricePoints, balances };
+};
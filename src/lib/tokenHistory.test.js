@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { fetchTokenHistory } from './tokenHistory.js';
+
+const TOKEN = {
+  address: '0x1000000000000000000000000000000000000001',
+  bondingCurveAddress: '0x2000000000000000000000000000000000000002'
+};
+
+const createProvider = (chainId) => ({
+  getNetwork: vi.fn(async () => ({ chainId })),
+  getBlockNumber: vi.fn(async () => 20),
+  getLogs: vi.fn(async () => [])
+});
+
+describe('fetchTokenHistory', () => {
+  it('starts at the token creation block', async () => {
+    const provider = createProvider(1020352220n);
+
+    const history = await fetchTokenHistory(provider, { ...TOKEN, createdBlock: 12 }, null, 5);
+
+    expect(history.lastBlock).toBe(20);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 12, toBlock: 20 }));
+  });
+
+  it('falls back to the deploy block for records read straight from the factory', async () => {
+    const provider = createProvider(1020352220n);
+
+    await fetchTokenHistory(provider, TOKEN, null, 5);
+
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 5 }));
+  });
+
+  it('refuses to scan a public chain from genesis', async () => {
+    const provider = createProvider(1020352220n);
+
+    await expect(fetchTokenHistory(provider, TOKEN)).rejects.toMatchObject({ code: 'DEPLOY_BLOCK_REQUIRED' });
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+
+  it('only fetches the new range on refresh', async () => {
+    const provider = createProvider(1020352220n);
+    const previous = await fetchTokenHistory(provider, { ...TOKEN, createdBlock: 12 });
+    provider.getLogs.mockClear();
+    provider.getBlockNumber.mockResolvedValue(25);
+
+    await fetchTokenHistory(provider, TOKEN, previous);
+
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 21, toBlock: 25 }));
+  });
+});
@@ -0,0 +1,232 @@
+import { ethers } from 'ethers';
+import { FACTORY_ABI, BONDING_CURVE_ABI } from './abis.js';
+import { fetchLogs, sortLogs, getBlockTimestamps, requireStartBlock } from './logs.js';
+import { loadSnapshot, saveSnapshot, clearSnapshot } from './indexerCache.js';
+import { getCurrentPrice, getProgress, getSellFeeAt } from './curveMath.js';
+
+/**
+ * Client-side token indexer
+ * Replays TokenCreated and bonding curve events into token state, keeping an
+ * incremental block cursor in IndexedDB so refreshes only fetch the delta
+ */
+
+const SNAPSHOT_VERSION = 3;
+
+const factoryInterface = new ethers.Interface(FACTORY_ABI);
+const curveInterface = new ethers.Interface(BONDING_CURVE_ABI);
+
+const TOKEN_CREATED_TOPIC = factoryInterface.getEvent('TokenCreated').topicHash;
+const TOKEN_METADATA_TOPIC = factoryInterface.getEvent('TokenMetadataURI').topicHash;
+export const CURVE_EVENT_TOPICS = ['TokensPurchased', 'TokensSold', 'PriceUpdate', 'Graduated']
+  .map((name) => curveInterface.getEvent(name).topicHash);
+
+/**
+ * Decode a bonding curve log into { name, args }, or null if it is not one
+ */
+export const parseCurveLog = (log) => {
+  try {
+    const parsed = curveInterface.parseLog(log);
+    return parsed ? { name: parsed.name, args: parsed.args } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Apply a decoded curve event to a token record, returning the new record
+ */
+export const applyCurveEvent = (token, event) => {
+  const next = { ...token };
+
+  switch (event.name) {
+    case 'TokensPurchased':
+      next.tokensSold = BigInt(token.tokensSold) + event.args.tokensOut;
+      next.avaxRaised = BigInt(token.avaxRaised) + event.args.FAIRIn;
+      next.currentPrice = event.args.newPrice;
+      break;
+    case 'TokensSold':
+      // FAIROut is net of the sell fee; reserves drop by the gross amount
+      next.tokensSold = BigInt(token.tokensSold) - event.args.tokensIn;
+      next.avaxRaised = BigInt(token.avaxRaised) - event.args.FAIROut - event.args.fee;
+      next.currentPrice = getCurrentPrice(next);
+      break;
+    case 'PriceUpdate':
+      next.tokensSold = event.args.tokensSold;
+      next.currentPrice = event.args.currentPrice;
+      next.marketCap = event.args.marketCap;
+      break;
+    case 'Graduated':
+      // The curve resets FAIRRaised once liquidity has been added
+      next.graduated = true;
+      next.avaxRaised = 0n;
+      break;
+    default:
+      return token;
+  }
+
+  next.progressToGraduation = getProgress(next);
+  return next;
+};
+
+/**
+ * Build a fresh token record from a TokenCreated event
+ */
+const createTokenRecord = (args, launchTime, createdBlock) => ({
+  address: args.token,
+  bondingCurveAddress: args.bondingCurve,
+  name: args.name,
+  symbol: args.symbol,
+  description: args.description,
+  imageUrl: args.imageUrl,
+  website: args.website,
+  twitter: args.twitter,
+  metadataUri: '',
+  creator: args.creator,
+  launchTime,
+  createdBlock,
+  tokensSold: 0n,
+  avaxRaised: 0n,
+  currentPrice: getCurrentPrice({ tokensSold: 0n, avaxRaised: 0n }),
+  marketCap: 0n,
+  graduated: false,
+  progressToGraduation: 0n
+});
+
+/**
+ * Create an indexer bound to a provider and factory
+ * @param startBlock Block the factory was deployed at (first block to replay).
+ * Required outside dev chains: sync() throws with code 'DEPLOY_BLOCK_REQUIRED'
+ * rather than scanning from genesis
+ */
+export const createTokenIndexer = ({ provider, factoryAddress, startBlock = 0 }) => {
+  let state = null;
+  let cacheKey = null;
+  let pendingSync = null;
+
+  const emptyState = () => ({
+    version: SNAPSHOT_VERSION,
+    lastBlock: startBlock - 1,
+    tokens: {},
+    curves: {}
+  });
+
+  const restoreState = async () => {
+    await requireStartBlock(provider, startBlock);
+    const network = await provider.getNetwork();
+    cacheKey = `${network.chainId}:${factoryAddress.toLowerCase()}`;
+
+    const snapshot = await loadSnapshot(cacheKey);
+    state = snapshot && snapshot.version === SNAPSHOT_VERSION ? snapshot : emptyState();
+  };
+
+  const applyChunk = async (factoryLogs, curveLogs) => {
+    const launchTimes = await getBlockTimestamps(
+      provider,
+      factoryLogs.map((log) => log.blockNumber)
+    );
+
+    for (const log of sortLogs([...factoryLogs, ...curveLogs])) {
+      if (log.topics[0] === TOKEN_CREATED_TOPIC) {
+        const { args } = factoryInterface.parseLog(log);
+        state.tokens[args.token] = createTokenRecord(args, launchTimes[log.blockNumber], log.blockNumber);
+        state.curves[args.bondingCurve.toLowerCase()] = args.token;
+        continue;
+      }
+
+      // Emitted right after TokenCreated in the same transaction
+      if (log.topics[0] === TOKEN_METADATA_TOPIC) {
+        const { args } = factoryInterface.parseLog(log);
+        if (state.tokens[args.token]) {
+          state.tokens[args.token] = { ...state.tokens[args.token], metadataUri: args.metadataURI };
+        }
+        continue;
+      }
+
+      const tokenAddress = state.curves[log.address.toLowerCase()];
+      const event = tokenAddress && parseCurveLog(log);
+      if (event) {
+        state.tokens[tokenAddress] = applyCurveEvent(state.tokens[tokenAddress], event);
+      }
+    }
+  };
+
+  const runSync = async () => {
+    if (!state) {
+      await restoreState();
+    }
+
+    const latestBlock = await provider.getBlockNumber();
+    const fromBlock = state.lastBlock + 1;
+
+    if (fromBlock <= latestBlock) {
+      const factoryLogs = await fetchLogs(
+        provider,
+        { address: factoryAddress, topics: [[TOKEN_CREATED_TOPIC, TOKEN_METADATA_TOPIC]] },
+        fromBlock,
+        latestBlock
+      );
+
+      // Curve events are matched by topic and filtered against known curves,
+      // so the request size does not grow with the number of launches
+      await fetchLogs(
+        provider,
+        { topics: [CURVE_EVENT_TOPICS] },
+        fromBlock,
+        latestBlock,
+        async (curveLogs, chunkEnd) => {
+          const chunkStart = state.lastBlock + 1;
+          const chunkFactoryLogs = factoryLogs.filter(
+            (log) => log.blockNumber >= chunkStart && log.blockNumber <= chunkEnd
+          );
+          await applyChunk(chunkFactoryLogs, curveLogs);
+          state.lastBlock = chunkEnd;
+        }
+      );
+
+      await saveSnapshot(cacheKey, state);
+    }
+
+    return getTokens();
+  };
+
+  /**
+   * Fetch new events since the cursor and return the updated token list
+   */
+  const sync = () => {
+    if (!pendingSync) {
+      pendingSync = runSync().finally(() => {
+        pendingSync = null;
+      });
+    }
+    return pendingSync;
+  };
+
+  /**
+   * Current token list with time-dependent fields resolved, newest first
+   */
+  const getTokens = () => {
+    if (!state) return [];
+
+    const now = Math.floor(Date.now() / 1000);
+    return Object.values(state.tokens)
+      .map((token) => ({ ...token, currentSellFee: getSellFeeAt(token.launchTime, now) }))
+      .sort((a, b) => b.launchTime - a.launchTime);
+  };
+
+  /**
+   * Last block whose events are reflected in the indexed state
+   */
+  const getCursor = () => (state ? state.lastBlock : startBlock - 1);
+
+  /**
+   * Discard the cursor and cached snapshot
+   */
+  const reset = async () => {
+    if (cacheKey) {
+      await clearSnapshot(cacheKey);
+    }
+    state = null;
+  };
+
+  return { sync, getTokens, getCursor, reset };
+};
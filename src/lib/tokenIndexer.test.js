@@ -0,0 +1,36 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createTokenIndexer } from './tokenIndexer.js';
+
+const FACTORY = '0x4000000000000000000000000000000000000004';
+
+const createProvider = (chainId) => ({
+  getNetwork: vi.fn(async () => ({ chainId })),
+  getBlockNumber: vi.fn(async () => 20),
+  getLogs: vi.fn(async () => [])
+});
+
+describe('createTokenIndexer', () => {
+  it('refuses to index a public chain from genesis', async () => {
+    const provider = createProvider(1020352220n);
+    const indexer = createTokenIndexer({ provider, factoryAddress: FACTORY });
+
+    await expect(indexer.sync()).rejects.toMatchObject({ code: 'DEPLOY_BLOCK_REQUIRED' });
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+
+  it('starts at the deploy block', async () => {
+    const provider = createProvider(1020352220n);
+    const indexer = createTokenIndexer({ provider, factoryAddress: FACTORY, startBlock: 15 });
+
+    expect(await indexer.sync()).toEqual([]);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 15, toBlock: 20 }));
+  });
+
+  it('replays dev chains from genesis', async () => {
+    const provider = createProvider(31337n);
+    const indexer = createTokenIndexer({ provider, factoryAddress: FACTORY });
+
+    await indexer.sync();
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 0 }));
+  });
+});
@@ -0,0 +1,225 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchStoredJson } from './imageStorage.js';
+
+/**
+ * Token metadata links
+ * Website and X (Twitter) live on the token contract itself. Everything else
+ * goes into a JSON metadata document the token references by URI:
+ *
+ *   { "version": 1, "links": { "telegram": "https://t.me/..." },
+ *     "customLinks": [{ "label": "Docs", "url": "https://..." }] }
+ *
+ * Each link type validates what a creator types and normalizes it to a URL.
+ * Documents are untrusted input, so their links go through the same checks
+ */
+
+export const METADATA_VERSION = 1;
+export const MAX_CUSTOM_LINKS = 4;
+export const MAX_LINK_LABEL_LENGTH = 24;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * A link type that accepts either a full URL matching `urlPattern` or a short
+ * form (handle, invite code...) matching `shortPattern`, which `toUrl` expands
+ */
+const linkType = ({ urlPattern, shortPattern, toUrl, ...fields }) => ({
+  ...fields,
+  validate: (value) => urlPattern.test(value) || shortPattern.test(value),
+  normalize: (value) => (urlPattern.test(value) ? value : toUrl(value))
+});
+
+export const LINK_TYPES = [
+  {
+    id: 'website',
+    label: 'Website',
+    placeholder: 'https://yourproject.com',
+    hint: "Your project's official website",
+    error: 'Please enter a valid website URL',
+    onChain: true,
+    validate: isHttpUrl,
+    normalize: (value) => value
+  },
+  linkType({
+    id: 'twitter',
+    label: 'X (Twitter)',
+    placeholder: '@username',
+    hint: "Your project's X (Twitter) profile",
+    error: 'Please enter a valid X (Twitter) URL or username',
+    onChain: true,
+    urlPattern: /^https?:\/\/(www\.)?(twitter\.com|x\.com)\/[a-zA-Z0-9_]+\/?$/,
+    shortPattern: /^@?[a-zA-Z0-9_]+$/,
+    toUrl: (value) => `https://x.com/${value.replace(/^@/, '')}`
+  }),
+  linkType({
+    id: 'telegram',
+    label: 'Telegram',
+    placeholder: '@group or https://t.me/+invite',
+    hint: 'Public group, channel or invite link',
+    error: 'Please enter a valid Telegram link or username',
+    onChain: false,
+    urlPattern: /^https?:\/\/(www\.)?(t\.me|telegram\.me)\/(\+[a-zA-Z0-9_-]+|joinchat\/[a-zA-Z0-9_-]+|[a-zA-Z][a-zA-Z0-9_]{4,31})\/?$/,
+    shortPattern: /^@?[a-zA-Z][a-zA-Z0-9_]{4,31}$/,
+    toUrl: (value) => `https://t.me/${value.replace(/^@/, '')}`
+  }),
+  linkType({
+    id: 'discord',
+    label: 'Discord',
+    placeholder: 'https://discord.gg/invite',
+    hint: 'Server invite link or code',
+    error: 'Please enter a valid Discord invite',
+    onChain: false,
+    urlPattern: /^https?:\/\/(www\.)?(discord\.gg|discord\.com\/invite|discordapp\.com\/invite)\/[a-zA-Z0-9-]+\/?$/,
+    shortPattern: /^[a-zA-Z0-9-]{2,32}$/,
+    toUrl: (value) => `https://discord.gg/${value}`
+  }),
+  linkType({
+    id: 'github',
+    label: 'GitHub',
+    placeholder: 'owner or owner/repo',
+    hint: 'Organization, user or repository',
+    error: 'Please enter a valid GitHub URL or owner/repo',
+    onChain: false,
+    urlPattern: /^https?:\/\/(www\.)?github\.com\/[a-zA-Z0-9-]+(\/[a-zA-Z0-9_.-]+)?\/?$/,
+    shortPattern: /^[a-zA-Z0-9-]+(\/[a-zA-Z0-9_.-]+)?$/,
+    toUrl: (value) => `https://github.com/${value}`
+  })
+];
+
+export const emptyCustomLink = () => ({ label: '', url: '' });
+
+/**
+ * Check a custom link from the form
+ * @returns {string|null} An error message, or null when it is fine
+ */
+export const validateCustomLink = ({ label, url }) => {
+  if (!label.trim() && !url.trim()) return null;
+  if (!label.trim()) return 'Give this link a label';
+  if (label.trim().length > MAX_LINK_LABEL_LENGTH) {
+    return `Labels must not exceed ${MAX_LINK_LABEL_LENGTH} characters`;
+  }
+  if (!isHttpUrl(url.trim())) return 'Please enter a valid URL';
+  return null;
+};
+
+/**
+ * Normalize form values into { [type]: url, customLinks }
+ * Invalid and empty entries are dropped, so this also serves the live preview
+ */
+export const normalizeLinks = (values) => {
+  const links = {};
+  for (const type of LINK_TYPES) {
+    const value = (values[type.id] || '').trim();
+    links[type.id] = value && type.validate(value) ? type.normalize(value) : '';
+  }
+
+  links.customLinks = (values.customLinks || [])
+    .filter((link) => link.label.trim() && !validateCustomLink(link))
+    .slice(0, MAX_CUSTOM_LINKS)
+    .map((link) => ({ label: link.label.trim(), url: link.url.trim() }));
+
+  return links;
+};
+
+/**
+ * Whether normalized links need a metadata document (anything not on-chain)
+ */
+export const needsMetadataDocument = (links) =>
+  links.customLinks.length > 0 || LINK_TYPES.some((type) => !type.onChain && links[type.id]);
+
+/**
+ * The metadata document for normalized links
+ */
+export const buildMetadataDocument = (links) => ({
+  version: METADATA_VERSION,
+  links: Object.fromEntries(LINK_TYPES.filter((type) => links[type.id]).map((type) => [type.id, links[type.id]])),
+  customLinks: links.customLinks
+});
+
+/**
+ * Read links out of a fetched document, keeping only ones that validate
+ */
+export const parseMetadataDocument = (document) => {
+  const raw = document && typeof document === 'object' ? document : {};
+  const rawLinks = raw.links && typeof raw.links === 'object' ? raw.links : {};
+
+  return normalizeLinks({
+    ...Object.fromEntries(LINK_TYPES.map((type) => [
+      type.id,
+      typeof rawLinks[type.id] === 'string' ? rawLinks[type.id] : ''
+    ])),
+    customLinks: (Array.isArray(raw.customLinks) ? raw.customLinks : [])
+      .filter((link) => typeof link?.label === 'string' && typeof link?.url === 'string')
+  });
+};
+
+/**
+ * Links to render, in display order
+ * @param links Normalized links, e.g. from normalizeLinks()
+ * @returns {Array<{ type: string, label: string, url: string }>} One entry per
+ * link type (url is '' when missing), then the custom links
+ */
+export const getTokenLinks = (links) => [
+  ...LINK_TYPES.map((type) => ({ type: type.id, label: type.label, url: links[type.id] || '' })),
+  ...(links.customLinks || []).map((link) => ({ type: 'custom', label: link.label, url: link.url }))
+];
+
+const documents = new Map();
+
+/**
+ * Fetch and parse a metadata document, once per URI
+ * @returns {Promise<Object|null>} Normalized links, or null when it cannot be loaded
+ */
+export const loadMetadataDocument = (uri) => {
+  if (!documents.has(uri)) {
+    documents.set(uri, fetchStoredJson(uri).then(parseMetadataDocument).catch((error) => {
+      console.error('Failed to load token metadata:', error);
+      documents.delete(uri);
+      return null;
+    }));
+  }
+  return documents.get(uri);
+};
+
+/**
+ * A token's links: the on-chain website and twitter, plus its metadata document
+ */
+export const useTokenLinks = (token) => {
+  const uri = token?.metadataUri || '';
+  const [loaded, setLoaded] = useState({ uri: '', links: null });
+
+  useEffect(() => {
+    if (!uri) return undefined;
+
+    let cancelled = false;
+    loadMetadataDocument(uri).then((links) => {
+      if (!cancelled) setLoaded({ uri, links });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uri]);
+
+  const website = token?.website || '';
+  const twitter = token?.twitter || '';
+  const documentLinks = loaded.uri === uri ? loaded.links : null;
+
+  return useMemo(() => {
+    const onChain = normalizeLinks({ website, twitter });
+    if (!documentLinks) return getTokenLinks(onChain);
+
+    // The contract's fields win: they are what other integrations read
+    const merged = { ...documentLinks };
+    for (const type of LINK_TYPES) {
+      if (onChain[type.id]) merged[type.id] = onChain[type.id];
+    }
+    return getTokenLinks(merged);
+  }, [website, twitter, documentLinks]);
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { LINK_TYPES, normalizeLinks, needsMetadataDocument, parseMetadataDocument, getTokenLinks } from './tokenMetadata.js';
+
+const linkType = (id) => LINK_TYPES.find((type) => type.id === id);
+
+describe('tokenMetadata', () => {
+  it.each([
+    ['twitter', '@stealthly', 'https://x.com/stealthly'],
+    ['twitter', 'https://twitter.com/stealthly', 'https://twitter.com/stealthly'],
+    ['telegram', '@stealthly_chat', 'https://t.me/stealthly_chat'],
+    ['telegram', 'https://t.me/+AbCdEf123', 'https://t.me/+AbCdEf123'],
+    ['discord', 'abc123', 'https://discord.gg/abc123'],
+    ['discord', 'https://discord.com/invite/abc123', 'https://discord.com/invite/abc123'],
+    ['github', 'stealthly/launchpad', 'https://github.com/stealthly/launchpad'],
+    ['website', 'https://stealthly.xyz', 'https://stealthly.xyz']
+  ])('normalizes %s %s', (id, input, url) => {
+    expect(linkType(id).validate(input)).toBe(true);
+    expect(linkType(id).normalize(input)).toBe(url);
+  });
+
+  it.each([
+    ['website', 'javascript:alert(1)'],
+    ['twitter', 'https://example.com/someone'],
+    ['telegram', 'abc'],
+    ['discord', 'https://discord.gg.evil.com/abc'],
+    ['github', 'https://gitlab.com/stealthly']
+  ])('rejects %s %s', (id, input) => {
+    expect(linkType(id).validate(input)).toBe(false);
+  });
+
+  it('only needs a document for links the contract cannot hold', () => {
+    expect(needsMetadataDocument(normalizeLinks({ website: 'https://a.xyz', twitter: '@a' }))).toBe(false);
+    expect(needsMetadataDocument(normalizeLinks({ github: 'stealthly' }))).toBe(true);
+    expect(needsMetadataDocument(normalizeLinks({ customLinks: [{ label: 'Docs', url: 'https://docs.a.xyz' }] }))).toBe(true);
+  });
+
+  it('drops links from a document that do not validate', () => {
+    const links = parseMetadataDocument({
+      version: 1,
+      links: { telegram: 'https://t.me/stealthly_chat', discord: 'javascript:alert(1)', github: 42 },
+      customLinks: [
+        { label: 'Docs', url: 'https://docs.example.com' },
+        { label: 'Bad', url: 'data:text/html,hi' },
+        'nonsense'
+      ]
+    });
+
+    expect(getTokenLinks(links).filter((link) => link.url)).toEqual([
+      { type: 'telegram', label: 'Telegram', url: 'https://t.me/stealthly_chat' },
+      { type: 'custom', label: 'Docs', url: 'https://docs.example.com' }
+    ]);
+    expect(parseMetadataDocument(null).customLinks).toEqual([]);
+  });
+});
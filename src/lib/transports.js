@@ -0,0 +1,116 @@
+import { ethers } from 'ethers';
+import { BITE } from '@skalenetwork/bite';
+
+/**
+ * Transaction transports for the launchpad client
+ * A transport submits a prepared { to, data, value, gasLimit } call for a
+ * signer. The plain transport sends it as is; the BITE transport encrypts it
+ * first so the call stays hidden until the block is final. `gasOverhead` is
+ * the gas a transport needs beyond the call itself
+ */
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Default gas for decrypting a call on-chain; deployments can override it
+export const DEFAULT_BITE_GAS_OVERHEAD = 100000n;
+
+/**
+ * Sends calls in the clear
+ */
+export const plainTransport = {
+  encrypted: false,
+  gasOverhead: 0n,
+  send: (signer, tx) => signer.sendTransaction({ to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit })
+};
+
+/**
+ * Wrap a BITE instance as a transport
+ * Encrypted calls cannot be estimated by the node, so tx.gasLimit is required
+ * and must cover the decryption as well as the call
+ */
+export const createBiteTransport = (bite, { gasOverhead = DEFAULT_BITE_GAS_OVERHEAD } = {}) => ({
+  encrypted: true,
+  gasOverhead: BigInt(gasOverhead),
+  send: async (signer, tx) => {
+    const encrypted = await bite.encryptTransaction({
+      to: tx.to,
+      data: tx.data,
+      value: tx.value ?? 0,
+      gasLimit: tx.gasLimit
+    });
+
+    if (!encrypted || !encrypted.data || encrypted.data === '0x') {
+      throw new Error('BITE encryption failed - no transaction data returned');
+    }
+
+    return signer.sendTransaction({
+      to: encrypted.to,
+      data: encrypted.data,
+      value: encrypted.value,
+      gasLimit: encrypted.gasLimit
+    });
+  }
+});
+
+/**
+ * Check the endpoint answers JSON-RPC before handing it to BITE
+ */
+const validateEndpoint = async (endpoint) => {
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'web3_clientVersion',
+        params: [],
+        id: 1
+      })
+    });
+
+    const result = await response.json();
+
+    return response.ok && result.result;
+  } catch (error) {
+    console.error('SKALE endpoint validation failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Connect to a BITE endpoint and verify it can encrypt
+ * Throws when the endpoint, the committee key or a test encryption fails
+ * @param options Passed to createBiteTransport, e.g. { gasOverhead }
+ */
+export const connectBiteTransport = async (endpoint, options = {}) => {
+  const isEndpointValid = await validateEndpoint(endpoint);
+  if (!isEndpointValid) {
+    throw new Error(`SKALE endpoint validation failed: ${endpoint}`);
+  }
+
+  const bite = new BITE(endpoint);
+
+  const publicKey = await bite.getCommitteesInfo(endpoint);
+  if (!publicKey || publicKey.length === 0) {
+    throw new Error('Invalid public key received from BITE');
+  }
+
+  const testEncrypted = await bite.encryptTransaction({
+    to: ZERO_ADDRESS,
+    data: '0x',
+    value: '0x0',
+    gasLimit: 500000
+  });
+
+  if (!testEncrypted || !testEncrypted.to || !testEncrypted.data) {
+    throw new Error('BITE encryption test failed - invalid response structure');
+  }
+
+  if (!ethers.isAddress(testEncrypted.to)) {
+    console.warn('BITE returned non-standard address format:', testEncrypted.to);
+  }
+
+  return createBiteTransport(bite, options);
+};
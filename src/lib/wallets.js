@@ -0,0 +1,129 @@
+/**
+ * Wallet discovery and sessions
+ * EIP-6963 injected provider discovery, a WalletConnect v2 connector and the
+ * remembered last-used wallet for auto-reconnect
+ */
+
+const LAST_WALLET_KEY = 'stealthly.lastWallet';
+
+export const WALLETCONNECT_ID = 'walletconnect';
+export const LEGACY_INJECTED_ID = 'injected';
+
+const WALLETCONNECT_PROJECT_ID = import.meta.env.VITE_WALLETCONNECT_PROJECT_ID || '';
+
+export const isWalletConnectAvailable = () => !!WALLETCONNECT_PROJECT_ID;
+
+/**
+ * Discover injected wallets announced through EIP-6963
+ * Falls back to a single legacy `window.ethereum` entry when nothing announces
+ * @param onChange Called with the full wallet list whenever it grows
+ * @returns Unsubscribe function
+ */
+export const discoverInjectedWallets = (onChange) => {
+  const wallets = new Map();
+
+  const emit = () => {
+    const list = [...wallets.values()];
+    if (list.length === 0 && typeof window.ethereum !== 'undefined') {
+      list.push({
+        id: LEGACY_INJECTED_ID,
+        name: 'Browser Wallet',
+        icon: '',
+        provider: window.ethereum
+      });
+    }
+    onChange(list);
+  };
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info || !provider) return;
+
+    wallets.set(info.rdns || info.uuid, {
+      id: info.rdns || info.uuid,
+      name: info.name,
+      icon: info.icon,
+      provider
+    });
+    emit();
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  emit();
+
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+};
+
+/**
+ * Create a WalletConnect v2 EIP-1193 provider
+ * The package is loaded on demand so injected-only users never download it
+ * @param showQrModal False when restoring a previous session silently
+ */
+export const createWalletConnectProvider = async ({ chainId, rpcUrl, showQrModal = true }) => {
+  if (!WALLETCONNECT_PROJECT_ID) {
+    throw new Error('WalletConnect is not configured (set VITE_WALLETCONNECT_PROJECT_ID)');
+  }
+
+  const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+
+  return EthereumProvider.init({
+    projectId: WALLETCONNECT_PROJECT_ID,
+    chains: [Number(chainId)],
+    rpcMap: { [Number(chainId)]: rpcUrl },
+    showQrModal,
+    metadata: {
+      name: 'STEALTHLY',
+      description: 'Launch tokens with MEV protection on SKALE',
+      url: window.location.origin,
+      icons: [`${window.location.origin}/favicon.png`]
+    }
+  });
+};
+
+/**
+ * Id of the wallet used in the last session, if any
+ */
+export const getLastWallet = () => {
+  try {
+    return localStorage.getItem(LAST_WALLET_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const setLastWallet = (id) => {
+  try {
+    localStorage.setItem(LAST_WALLET_KEY, id);
+  } catch {
+    // Storage can be unavailable (private mode); auto-reconnect just won't happen
+  }
+};
+
+export const clearLastWallet = () => {
+  try {
+    localStorage.removeItem(LAST_WALLET_KEY);
+  } catch {
+    // See setLastWallet
+  }
+};
+
+/**
+ * Subscribe to EIP-1193 session events
+ * @returns Unsubscribe function
+ */
+export const watchWalletEvents = (eip1193, { onAccountsChanged, onChainChanged, onDisconnect }) => {
+  if (!eip1193 || typeof eip1193.on !== 'function') return () => {};
+
+  eip1193.on('accountsChanged', onAccountsChanged);
+  eip1193.on('chainChanged', onChainChanged);
+  eip1193.on('disconnect', onDisconnect);
+
+  return () => {
+    const remove = (eip1193.removeListener || eip1193.off)?.bind(eip1193);
+    if (!remove) return;
+    remove('accountsChanged', onAccountsChanged);
+    remove('chainChanged', onChainChanged);
+    remove('disconnect', onDisconnect);
+  };
+};
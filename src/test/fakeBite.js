@@ -0,0 +1,37 @@
+/**
+ * Fake @skalenetwork/bite
+ * Mirrors the BITE class surface the app uses; tests steer it through biteState
+ */
+
+export const BITE_ADDRESS = '0x42495445204D452049274d20454e435259505444';
+export const ENCRYPTED_DATA = `0x${'e7'.repeat(64)}`;
+
+export const biteState = {
+  committees: [],
+  encryptError: null,
+  encrypted: []
+};
+
+export const resetBite = () => {
+  biteState.committees = [{ commonBLSPublicKey: 'ab'.repeat(128), epochId: 1 }];
+  biteState.encryptError = null;
+  biteState.encrypted = [];
+};
+
+export class BITE {
+  constructor(providerURL) {
+    this.providerURL = providerURL;
+  }
+
+  async getCommitteesInfo() {
+    return biteState.committees;
+  }
+
+  async encryptTransaction(tx) {
+    if (biteState.encryptError) throw biteState.encryptError;
+    biteState.encrypted.push(tx);
+    return { ...tx, to: BITE_ADDRESS, data: ENCRYPTED_DATA };
+  }
+}
+
+resetBite();
@@ -0,0 +1,255 @@
+import { FACTORY_ABI, BONDING_CURVE_ABI, TOKEN_ABI } from '../lib/abis.js';
+
+/**
+ * In-memory stand-in for the chain
+ * Backs the mocked ethers providers/signer and the read batcher.
+ * Writes are recorded rather than executed; tests seed reads and queue failures.
+ */
+
+export const ACCOUNT = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+export const CHAIN_ID = 31337n;
+
+const WEI = 10n ** 18n;
+
+const defaultReads = () => ({
+  tokenCreationFee: () => WEI / 10n,
+  platformFeePercent: () => 100n,
+  // tokensOut, newPrice, priceImpact, platformFee
+  previewBuy: ([amount]) => [amount * 1000n, WEI / 1000n, 50n, amount / 100n],
+  // gross, net, sellFee, feeAmount
+  previewSell: ([amount]) => [amount / 1000n, (amount / 1000n) * 99n / 100n, 100n, amount / 100000n],
+  // tokensSold, FAIRRaised, currentSellFee, graduated, progress; as makeToken()
+  getTokenInfo: () => [1000n * WEI, 5n * WEI, 100n, false, 1000n],
+  allowance: () => 0n,
+  balanceOf: () => 0n
+});
+
+export const chain = {
+  tokens: [],
+  reads: defaultReads(),
+  // Every write: { kind: 'call', target, method, args, value } when the calldata
+  // decodes against the launchpad ABIs, otherwise { kind: 'raw', ...tx }
+  writes: [],
+  // Every pre-flight eth_call, described like writes
+  simulations: [],
+  // Errors thrown by the next writes, in order
+  failures: [],
+  // Errors thrown by the next writes' wait(), after they were sent
+  receiptFailures: [],
+  // Errors thrown by the next simulations, in order
+  reverts: [],
+  // What eth_estimateGas and eth_gasPrice answer
+  gas: { estimate: 100000n, price: 10n ** 9n },
+  // Errors thrown by the next gas estimates, in order
+  estimateFailures: [],
+  // The account's native balance, which pays for gas
+  nativeBalance: 100n * WEI,
+  // Receipts by hash, as waitForTransaction answers them; unknown hashes stay pending
+  receipts: {},
+  // Factory functions missing from its code, as on factories deployed before them
+  missingFactoryFunctions: []
+};
+
+export const resetChain = () => {
+  chain.tokens = [];
+  chain.reads = defaultReads();
+  chain.writes = [];
+  chain.simulations = [];
+  chain.failures = [];
+  chain.receiptFailures = [];
+  chain.reverts = [];
+  chain.gas = { estimate: 100000n, price: 10n ** 9n };
+  chain.estimateFailures = [];
+  chain.nativeBalance = 100n * WEI;
+  chain.receipts = {};
+  chain.missingFactoryFunctions = [];
+};
+
+export const failNextWrite = (error) => {
+  chain.failures.push(error);
+};
+
+/**
+ * Make the next write revert once mined, as ethers' wait() reports a status 0 receipt
+ */
+export const revertNextReceipt = () => {
+  const error = new Error('transaction execution reverted');
+  error.code = 'CALL_EXCEPTION';
+  chain.receiptFailures.push(error);
+};
+
+/**
+ * Make the next simulation revert, as ethers reports a require() failure
+ */
+export const revertNextSimulation = (reason) => {
+  const error = new Error(`execution reverted: "${reason}"`);
+  error.code = 'CALL_EXCEPTION';
+  error.reason = reason;
+  chain.reverts.push(error);
+};
+
+export const failNextEstimate = (error) => {
+  chain.estimateFailures.push(error);
+};
+
+const submit = async (write) => {
+  const failure = chain.failures.shift();
+  if (failure) throw failure;
+
+  chain.writes.push(write);
+  const hash = `0x${chain.writes.length.toString(16).padStart(64, '0')}`;
+  const receiptFailure = chain.receiptFailures.shift();
+  const receipt = { status: receiptFailure ? 0 : 1, hash, logs: [], blockNumber: 1 };
+  chain.receipts[hash] = receipt;
+  return {
+    hash,
+    wait: async () => {
+      if (receiptFailure) throw receiptFailure;
+      return receipt;
+    }
+  };
+};
+
+export const read = async (target, method, args = []) => {
+  const handler = chain.reads[method];
+  if (!handler) throw new Error(`No mock read for ${method}`);
+  return handler(args, target);
+};
+
+/**
+ * Mocked read batcher module
+ */
+export const readBatcherMock = {
+  createReadBatcher: () => ({
+    read: (target, abi, method, args) => read(target, method, args),
+    readMany: (calls) => Promise.all(calls.map((call) => read(call.target, call.method, call.args)))
+  })
+};
+
+/**
+ * Build the mocked `ethers` module around the real one
+ * Providers and signer are fakes; everything else (Interface, parseEther, ...)
+ * stays real
+ */
+export const createEthersMock = (actual) => {
+  const callInterface = new actual.Interface([...FACTORY_ABI, ...BONDING_CURVE_ABI, ...TOKEN_ABI]);
+
+  const describeWrite = (tx) => {
+    let call = null;
+    try {
+      call = callInterface.parseTransaction({ data: tx.data, value: tx.value });
+    } catch {
+      // Not ABI-encoded, e.g. BITE ciphertext
+    }
+    if (!call) return { kind: 'raw', ...tx };
+    return { kind: 'call', target: tx.to, method: call.name, args: Array.from(call.args), value: tx.value, gasLimit: tx.gasLimit };
+  };
+
+  class FakeSigner {
+    async getAddress() {
+      return ACCOUNT;
+    }
+
+    sendTransaction(tx) {
+      return submit(describeWrite(tx));
+    }
+  }
+
+  class FakeProvider {
+    async getNetwork() {
+      return { chainId: CHAIN_ID, name: 'devnet' };
+    }
+
+    async getBlockNumber() {
+      return 0;
+    }
+
+    async call(tx) {
+      chain.simulations.push(describeWrite(tx));
+      const revert = chain.reverts.shift();
+      if (revert) throw revert;
+      return '0x';
+    }
+
+    async estimateGas() {
+      const failure = chain.estimateFailures.shift();
+      if (failure) throw failure;
+      return chain.gas.estimate;
+    }
+
+    async getBalance() {
+      return chain.nativeBalance;
+    }
+
+    async getFeeData() {
+      return { gasPrice: chain.gas.price, maxFeePerGas: null, maxPriorityFeePerGas: null };
+    }
+
+    // Contract code that dispatches on every launchpad selector the chain has
+    async getCode() {
+      const selectors = [];
+      callInterface.forEachFunction((fragment) => {
+        if (!chain.missingFactoryFunctions.includes(fragment.name)) selectors.push(`63${fragment.selector.slice(2)}`);
+      });
+      return `0x${selectors.join('')}`;
+    }
+
+    async waitForTransaction(hash) {
+      return chain.receipts[hash] ?? null;
+    }
+
+    async getTransaction() {
+      return null;
+    }
+  }
+
+  class FakeBrowserProvider extends FakeProvider {
+    async getSigner() {
+      return new FakeSigner();
+    }
+  }
+
+  const ethers = {
+    ...actual.ethers,
+    JsonRpcProvider: FakeProvider,
+    BrowserProvider: FakeBrowserProvider
+  };
+
+  return { ...actual, ethers };
+};
+
+/**
+ * EIP-1193 provider exposed as window.ethereum
+ */
+export const createInjectedProvider = () => ({
+  request: async ({ method }) => {
+    if (method === 'eth_requestAccounts' || method === 'eth_accounts') return [ACCOUNT];
+    if (method === 'eth_chainId') return `0x${CHAIN_ID.toString(16)}`;
+    throw new Error(`Unsupported wallet method ${method}`);
+  }
+});
+
+/**
+ * Token record as produced by the indexer
+ */
+export const makeToken = (overrides = {}) => ({
+  address: '0x1000000000000000000000000000000000000001',
+  bondingCurveAddress: '0x2000000000000000000000000000000000000002',
+  name: 'Test Token',
+  symbol: 'TEST',
+  description: 'A token used in tests',
+  imageUrl: '',
+  creator: '0x3000000000000000000000000000000000000003',
+  launchTime: Math.floor(Date.now() / 1000) - 3600,
+  createdBlock: 1,
+  website: '',
+  twitter: '',
+  tokensSold: 1000n * WEI,
+  avaxRaised: 5n * WEI,
+  currentSellFee: 100,
+  graduated: false,
+  progressToGraduation: 1000n,
+  currentPrice: WEI / 1000n,
+  userBalance: 0n,
+  ...overrides
+});